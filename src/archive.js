@@ -0,0 +1,66 @@
+/**
+ * Off-market listing verification
+ *
+ * Listings recorded by earlier runs that are missing from the current search
+ * results are fetched again and classified from what their detail page shows.
+ * Those that left the market become archive records carrying the last known
+ * price and the total time on market, the raw material for absorption rates.
+ */
+
+import { daysSince } from './utils.js';
+
+/**
+ * Classify a listing from the response to its detail page
+ *
+ * - sold: the page shows a "Vendu" / "Sold" banner
+ * - withdrawn: the page is gone (HTTP 404 or 410)
+ * - expired: Centris redirects to a search or home page
+ * - active: the listing page is still online
+ *
+ * @param {object} page
+ * @param {number} page.httpStatus - HTTP status of the detail page
+ * @param {boolean} page.available - The page is the listing's own detail page
+ * @param {boolean} page.sold - The page carries a sold banner
+ * @param {string} page.pageUrl - URL the request ended up on
+ * @returns {{ status: string, reason: string }|null} Null when the response does not tell (other HTTP errors)
+ */
+export function classifyListingPage({ httpStatus, available, sold, pageUrl }) {
+    if (httpStatus === 404 || httpStatus === 410) {
+        return { status: 'withdrawn', reason: `HTTP ${httpStatus}` };
+    }
+    if (httpStatus >= 400) return null;
+    if (sold) return { status: 'sold', reason: 'Sold banner on the listing page' };
+    if (!available) return { status: 'expired', reason: `Redirected to ${pageUrl}` };
+    return { status: 'active', reason: 'Listing page still online' };
+}
+
+/**
+ * Archive record for a listing that left the market
+ *
+ * Time on market runs from the Centris listing date, or our first sighting,
+ * to the last run that saw the listing in the search results.
+ *
+ * @param {string} centrisId
+ * @param {object} entry - The listing's price history entry
+ * @param {{ status: string, reason: string }} result - Outcome of classifyListingPage
+ */
+export function archiveRecord(centrisId, entry, result, now = new Date()) {
+    const lastSeen = entry.lastSeenAt ? new Date(entry.lastSeenAt) : now;
+    return {
+        centrisId,
+        url: entry.url ?? null,
+        status: result.status,
+        reason: result.reason,
+        lastKnownPrice: entry.priceHistory?.at(-1)?.price ?? null,
+        priceHistory: entry.priceHistory ?? [],
+        propertyType: entry.propertyType ?? null,
+        city: entry.city ?? null,
+        neighborhood: entry.neighborhood ?? null,
+        matchedRegions: entry.matchedRegions ?? [],
+        listingDate: entry.listingDate ?? null,
+        firstSeenAt: entry.firstSeenAt ?? null,
+        lastSeenAt: entry.lastSeenAt ?? null,
+        daysOnMarket: daysSince(entry.listingDate ?? entry.firstSeenAt, lastSeen),
+        verifiedAt: now.toISOString()
+    };
+}
@@ -0,0 +1,214 @@
+/**
+ * Block detection and adaptive request pacing
+ *
+ * When Centris distrusts a client it serves captcha, bot-challenge or
+ * rate-limit pages, often with HTTP 200, which parse as pages without
+ * listings. These pages are recognised so the session that got them can be
+ * retired, requests to the domain slowed down with backoff, and the run
+ * stopped once most requests are blocked instead of "succeeding" empty.
+ */
+
+// Markers specific to bot-protection pages, matched anywhere in the HTML
+const VENDOR_PATTERNS = [
+    ['captcha', /captcha-delivery\.com|px-captcha|id="challenge-form"[^>]*captcha/i],
+    ['challenge', /window\._cf_chl_opt|cf-chl-widget|_Incapsula_Resource|Incapsula incident ID|Pardon Our Interruption/i]
+];
+
+// Generic wording, only trusted in the title or on pages with little text,
+// since real listing pages may embed a reCAPTCHA contact form
+const GENERIC_PATTERNS = [
+    ['captcha', /captcha|are you a robot|êtes-vous un robot|verify you are human|vérifiez que vous êtes humain/i],
+    ['challenge', /just a moment|checking your browser|attention required|un instant/i],
+    ['rate-limit', /too many requests|rate limit|trop de requêtes/i],
+    ['access-denied', /access denied|request unsuccessful|accès refusé/i]
+];
+
+// Pages with less visible text than this are checked against the generic wording
+const SHORT_PAGE_CHARS = 2000;
+
+// First backoff delay after a block when no delay was set, and how delays recover
+const BACKOFF_START_MS = 5000;
+const BACKOFF_FACTOR = 2;
+const RECOVERY_FACTOR = 0.8;
+
+// Share of the delay added at random so requests do not come at a fixed rhythm
+const JITTER = 0.3;
+
+function visibleText(html) {
+    return html
+        .replace(/<(script|style|noscript)\b[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Tell whether a response is a captcha, challenge or rate-limit page
+ *
+ * @param {object} page
+ * @param {number} [page.status] - HTTP status of the response
+ * @param {string} [page.html] - Page HTML
+ * @returns {string|null} 'captcha', 'challenge', 'rate-limit' or 'access-denied'; null for a regular page
+ */
+export function detectBlock({ status, html = '' }) {
+    if (status === 429) return 'rate-limit';
+
+    for (const [reason, pattern] of VENDOR_PATTERNS) {
+        if (pattern.test(html)) return reason;
+    }
+
+    const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] ?? '';
+    const text = visibleText(html);
+    for (const [reason, pattern] of GENERIC_PATTERNS) {
+        if (pattern.test(title) || (text.length < SHORT_PAGE_CHARS && pattern.test(text))) return reason;
+    }
+
+    if (status === 403) return 'access-denied';
+    return null;
+}
+
+/**
+ * Milliseconds to wait from a Retry-After header, given in seconds or as a date
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return 0;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? 0 : Math.max(0, date - now);
+}
+
+/**
+ * Per-domain spacing between requests that backs off on blocks
+ *
+ * Each domain has a delay between the start of consecutive requests. A block
+ * doubles it (or honours Retry-After), and every successful request brings it
+ * back down towards the configured minimum.
+ */
+export class RequestPacer {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.minDelayMs] - Delay between requests to a domain while nothing is blocked
+     * @param {number} [options.maxDelayMs] - Ceiling of the backoff
+     * @param {Function} [options.sleep] - (ms) → Promise, for tests
+     * @param {Function} [options.now] - () → epoch ms, for tests
+     * @param {Function} [options.random] - () → [0, 1), for tests
+     */
+    constructor({
+        minDelayMs = 0,
+        maxDelayMs = 60000,
+        sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+        now = Date.now,
+        random = Math.random
+    } = {}) {
+        this.minDelayMs = minDelayMs;
+        this.maxDelayMs = Math.max(maxDelayMs, minDelayMs);
+        this.sleep = sleep;
+        this.now = now;
+        this.random = random;
+        this.domains = new Map();
+    }
+
+    state(domain) {
+        if (!this.domains.has(domain)) {
+            this.domains.set(domain, { delayMs: this.minDelayMs, nextAt: 0 });
+        }
+        return this.domains.get(domain);
+    }
+
+    /**
+     * Current delay between requests to a domain, without jitter
+     */
+    delayFor(domain) {
+        return this.state(domain).delayMs;
+    }
+
+    /**
+     * Wait for the domain's turn and book the slot after it, so concurrent
+     * requests to one domain are spaced out too
+     */
+    async wait(domain) {
+        const state = this.state(domain);
+        const now = this.now();
+        const startAt = Math.max(now, state.nextAt);
+        state.nextAt = startAt + state.delayMs * (1 + JITTER * this.random());
+        if (startAt > now) await this.sleep(startAt - now);
+    }
+
+    /**
+     * A request to the domain went through: ease the delay back towards the minimum
+     */
+    success(domain) {
+        const state = this.state(domain);
+        state.delayMs = Math.max(this.minDelayMs, Math.round(state.delayMs * RECOVERY_FACTOR));
+    }
+
+    /**
+     * A request to the domain was blocked: back off, and hold every request
+     * to the domain for the new delay
+     *
+     * @param {string} domain
+     * @param {number} [retryAfterMs] - Wait asked for by the server
+     * @returns {number} The new delay in ms
+     */
+    blocked(domain, retryAfterMs = 0) {
+        const state = this.state(domain);
+        state.delayMs = Math.min(
+            this.maxDelayMs,
+            Math.max(state.delayMs * BACKOFF_FACTOR, BACKOFF_START_MS, retryAfterMs)
+        );
+        state.nextAt = Math.max(state.nextAt, this.now() + state.delayMs);
+        return state.delayMs;
+    }
+}
+
+/**
+ * Run-wide block rate, and whether it is too high to go on
+ */
+export class BlockTracker {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxBlockRate] - Percentage of blocked requests that ends the run
+     * @param {number} [options.minRequests] - Requests to see before the rate is trusted
+     */
+    constructor({ maxBlockRate = 50, minRequests = 10 } = {}) {
+        this.maxBlockRate = maxBlockRate;
+        this.minRequests = minRequests;
+        this.requests = 0;
+        this.blocked = 0;
+        this.byReason = {};
+    }
+
+    success() {
+        this.requests++;
+    }
+
+    block(reason) {
+        this.requests++;
+        this.blocked++;
+        this.byReason[reason] = (this.byReason[reason] || 0) + 1;
+    }
+
+    /**
+     * Percentage of requests blocked so far
+     */
+    get blockRate() {
+        return this.requests === 0 ? 0 : Math.round((this.blocked / this.requests) * 1000) / 10;
+    }
+
+    /**
+     * True once enough requests were seen and too many of them were blocked
+     */
+    get thresholdExceeded() {
+        return this.requests >= this.minRequests && this.blockRate > this.maxBlockRate;
+    }
+
+    summary() {
+        return {
+            requests: this.requests,
+            blocked: this.blocked,
+            blockRate: this.blockRate,
+            byReason: this.byReason
+        };
+    }
+}
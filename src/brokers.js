@@ -0,0 +1,77 @@
+/**
+ * Broker directory
+ *
+ * Collects the brokers of every listing scraped during the run into one record
+ * per broker, with the listings they carry and the neighborhoods those are in,
+ * for the separate brokers dataset.
+ */
+
+import { normalizeText } from './utils.js';
+
+/**
+ * Key identifying a broker across listings: the id ending the profile URL, which
+ * is the same in French and English, otherwise the name and agency
+ */
+export function brokerKey(broker) {
+    const profileId = broker.profileUrl?.match(/\/([^/?#]+)\/?(?:[?#]|$)/)?.[1];
+    if (profileId) return profileId;
+    return `${normalizeText(broker.name)}|${normalizeText(broker.agency ?? '')}`;
+}
+
+export class BrokerDirectory {
+    /**
+     * @param {Array} [entries] - [key, broker] pairs from toJSON, to carry on a restarted run
+     */
+    constructor(entries = []) {
+        this.brokers = new Map(entries);
+    }
+
+    get size() {
+        return this.brokers.size;
+    }
+
+    /**
+     * Add the brokers of a scraped listing
+     */
+    add(listing) {
+        for (const broker of listing.brokers ?? []) {
+            const key = brokerKey(broker);
+            const entry = this.brokers.get(key) ?? {
+                name: broker.name,
+                agency: broker.agency ?? null,
+                phone: null,
+                email: null,
+                profileUrl: broker.profileUrl ?? null,
+                activeListingIds: [],
+                neighborhoods: {}
+            };
+
+            // Later listings fill in contact details a card left out
+            entry.phone ??= broker.phone ?? null;
+            entry.email ??= broker.email ?? null;
+
+            if (listing.centrisId && !entry.activeListingIds.includes(listing.centrisId)) {
+                entry.activeListingIds.push(listing.centrisId);
+                const neighborhood = listing.address?.neighborhood || listing.address?.city;
+                if (neighborhood) {
+                    entry.neighborhoods[neighborhood] = (entry.neighborhoods[neighborhood] || 0) + 1;
+                }
+            }
+
+            this.brokers.set(key, entry);
+        }
+    }
+
+    /**
+     * One record per broker, most active listings first
+     */
+    toRecords() {
+        return [...this.brokers.values()]
+            .map((entry) => ({ ...entry, activeListingCount: entry.activeListingIds.length }))
+            .sort((a, b) => b.activeListingCount - a.activeListingCount || a.name.localeCompare(b.name));
+    }
+
+    toJSON() {
+        return [...this.brokers];
+    }
+}
@@ -0,0 +1,92 @@
+/**
+ * Run checkpoint
+ *
+ * Apify may migrate a run to another server or restart it after a crash; the
+ * request queue, dataset and default key-value store survive, the process
+ * memory does not. The run state (counters, the listings seen so far and how
+ * far each search got) is written to the default key-value store at regular
+ * intervals and on migration, and read back on startup so an interrupted run
+ * carries on where it stopped.
+ */
+
+import { Actor } from 'apify';
+
+const STATE_KEY = 'RUN_CHECKPOINT';
+
+export class RunCheckpoint {
+    /**
+     * Open the run's default key-value store and load the checkpoint of an earlier attempt
+     *
+     * @param {object} [store] - Key-value store, the run's default one unless given
+     */
+    static async open(store) {
+        store ??= await Actor.openKeyValueStore();
+        return new RunCheckpoint(store, await store.getValue(STATE_KEY));
+    }
+
+    /**
+     * @param {object} store - Key-value store the checkpoint is written to
+     * @param {object|null} state - Checkpoint left by an earlier attempt of this run
+     */
+    constructor(store, state) {
+        this.store = store;
+        this.state = state;
+        this.searches = state?.searches ?? {};
+    }
+
+    /**
+     * True when an earlier attempt of this run left a checkpoint
+     */
+    get isResumed() {
+        return Boolean(this.state);
+    }
+
+    /**
+     * Key of one region (or area) of one search, as used in the checkpoint
+     */
+    static searchKey(profile, region) {
+        return profile ? `${profile}:${region}` : region;
+    }
+
+    /**
+     * Progress of a search: { done, lastPage, next } where next is the point to resume from
+     */
+    searchProgress(key) {
+        return this.searches[key] ?? null;
+    }
+
+    /**
+     * Record that a result page of a search was processed
+     *
+     * @param {string} key - See searchKey
+     * @param {number} pageNumber - Page just processed
+     * @param {object} [next] - Where the next page starts, for the search API
+     */
+    recordPage(key, pageNumber, next) {
+        this.searches[key] = { ...this.searches[key], done: false, lastPage: pageNumber, ...(next && { next }) };
+    }
+
+    /**
+     * Record that a search read all its result pages
+     */
+    recordSearchDone(key) {
+        this.searches[key] = { ...this.searches[key], done: true };
+    }
+
+    /**
+     * Write the checkpoint
+     *
+     * @param {object} snapshot - Run state to restore on a restart, merged with the search progress
+     */
+    async save(snapshot) {
+        this.state = { ...snapshot, searches: this.searches, savedAt: new Date().toISOString() };
+        await this.store.setValue(STATE_KEY, this.state);
+    }
+
+    /**
+     * Remove the checkpoint once the run has finished
+     */
+    async clear() {
+        await this.store.setValue(STATE_KEY, null);
+    }
+}
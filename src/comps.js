@@ -0,0 +1,286 @@
+/**
+ * Comparables finder
+ *
+ * Given a subject property, the run searches around it for listings of the
+ * same type and similar size, age and bedroom count, scores each scraped
+ * listing for similarity, and turns the price per square foot of the closest
+ * ones into a suggested price range for the subject.
+ */
+
+import { PROPERTY_TYPE_CATEGORIES } from './constants.js';
+import { resolvePlace } from './gazetteer.js';
+import { haversineKm } from './geo.js';
+import { percentile } from './market-report.js';
+import { propertyCategory } from './normalize.js';
+
+// How far a comparable may be from the subject before it is filtered out
+export const COMP_TOLERANCES = {
+    radiusKm: 2,
+    livingAreaPercent: 30,
+    yearBuilt: 15,
+    bedrooms: 1
+};
+
+// Weight of each similarity component in the score; missing data drops its component
+const SCORE_WEIGHTS = {
+    distance: 0.3,
+    size: 0.25,
+    age: 0.15,
+    bedrooms: 0.15,
+    type: 0.15
+};
+
+// Location similarity when the subject has no coordinates to measure from
+const SAME_NEIGHBORHOOD_SCORE = 0.8;
+const SAME_CITY_SCORE = 0.5;
+
+// Price per square foot adjustment per year a comparable is newer than the subject, capped
+const AGE_ADJUSTMENT_PER_YEAR = 0.005;
+const MAX_AGE_ADJUSTMENT = 0.25;
+
+function positive(value) {
+    const number = Number(value);
+    return number > 0 ? number : null;
+}
+
+/**
+ * Validate the subjectProperty input
+ *
+ * @param {object} input - { address?, latitude?, longitude?, propertyType, bedrooms?, livingArea?, yearBuilt?, radiusKm?, maxComps? }
+ * @returns {object} Subject with coordinates or locality, and its search tolerances
+ * @throws {Error} When the subject has no location or no type
+ */
+export function parseSubjectProperty(input) {
+    if (!input || typeof input !== 'object') throw new Error('subjectProperty must be an object');
+
+    const type = String(input.propertyType ?? '').toLowerCase();
+    if (!PROPERTY_TYPE_CATEGORIES[type]) {
+        throw new Error(`subjectProperty.propertyType must be one of ${Object.keys(PROPERTY_TYPE_CATEGORIES).join(', ')}`);
+    }
+
+    const latitude = Number(input.latitude);
+    const longitude = Number(input.longitude);
+    const hasCoordinates = input.latitude !== undefined && input.longitude !== undefined
+        && Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+
+    const locality = input.address ? subjectLocality(input.address) : null;
+    if (!hasCoordinates && !locality) {
+        throw new Error('subjectProperty needs latitude and longitude, or an address ending with a known Quebec municipality');
+    }
+
+    return {
+        address: input.address ?? null,
+        coordinates: hasCoordinates ? { latitude, longitude } : null,
+        locality,
+        propertyType: type,
+        bedrooms: Number.isInteger(input.bedrooms) && input.bedrooms >= 0 ? input.bedrooms : null,
+        livingArea: positive(input.livingArea),
+        yearBuilt: positive(input.yearBuilt),
+        radiusKm: positive(input.radiusKm) ?? COMP_TOLERANCES.radiusKm,
+        maxComps: positive(input.maxComps) ?? 10
+    };
+}
+
+/**
+ * Municipality or borough named in an address, read from its comma-separated
+ * parts from the end: "812, Rue des Patriotes, Laval, QC H7X 2T4" → Laval
+ *
+ * @returns {object|null} The gazetteer place
+ */
+export function subjectLocality(address) {
+    const parts = String(address).split(',').map((part) => part.trim()).filter(Boolean).reverse();
+    for (const part of parts) {
+        // Postal code dropped; "Montréal (Verdun)" resolves to the borough
+        const { place } = resolvePlace(part.replace(/\s+[A-Z]\d[A-Z]\s?\d[A-Z]\d$/i, ''));
+        if (place && place.type !== 'region' && place.type !== 'mrc') return place;
+    }
+    return null;
+}
+
+/**
+ * Search criteria that keep only plausible comparables, checked by the usual filters
+ */
+export function compsCriteria(subject) {
+    const criteria = { propertyTypes: [subject.propertyType] };
+    if (subject.bedrooms !== null) {
+        criteria.minBedrooms = Math.max(0, subject.bedrooms - COMP_TOLERANCES.bedrooms);
+        criteria.maxBedrooms = subject.bedrooms + COMP_TOLERANCES.bedrooms;
+    }
+    if (subject.livingArea) {
+        const tolerance = COMP_TOLERANCES.livingAreaPercent / 100;
+        criteria.minLivingArea = Math.floor(subject.livingArea * (1 - tolerance));
+        criteria.maxLivingArea = Math.ceil(subject.livingArea * (1 + tolerance));
+    }
+    if (subject.yearBuilt) {
+        criteria.yearBuiltMin = subject.yearBuilt - COMP_TOLERANCES.yearBuilt;
+        criteria.yearBuiltMax = subject.yearBuilt + COMP_TOLERANCES.yearBuilt;
+    }
+    return criteria;
+}
+
+function closeness(difference, tolerance) {
+    return Math.max(0, 1 - Math.abs(difference) / tolerance);
+}
+
+function sameText(a, b) {
+    return Boolean(a && b) && a.localeCompare(b, 'fr', { sensitivity: 'base' }) === 0;
+}
+
+/**
+ * Similarity of a listing to the subject, from 0 to 100
+ *
+ * Every component is 1 for a perfect match and falls to 0 at the edge of its
+ * tolerance. A component the listing has no data for is left out and the
+ * others are reweighted.
+ *
+ * @returns {{ score: number, components: object, distanceKm: number|null }}
+ */
+export function similarity(subject, listing) {
+    const components = {};
+    let distanceKm = null;
+
+    if (subject.coordinates && listing.coordinates) {
+        distanceKm = haversineKm(subject.coordinates, listing.coordinates);
+        components.distance = closeness(distanceKm, subject.radiusKm);
+    } else if (subject.locality) {
+        const place = subject.locality;
+        const address = listing.address ?? {};
+        const city = place.type === 'borough' ? place.city : place.name;
+        if (place.type === 'borough' && sameText(address.neighborhood, place.name)) {
+            components.distance = SAME_NEIGHBORHOOD_SCORE;
+        } else if (sameText(address.city, city)) {
+            components.distance = SAME_CITY_SCORE;
+        } else {
+            components.distance = 0;
+        }
+    }
+
+    if (subject.livingArea && listing.livingArea) {
+        const tolerance = subject.livingArea * (COMP_TOLERANCES.livingAreaPercent / 100);
+        components.size = closeness(listing.livingArea - subject.livingArea, tolerance);
+    }
+    if (subject.yearBuilt && listing.yearBuilt) {
+        components.age = closeness(listing.yearBuilt - subject.yearBuilt, COMP_TOLERANCES.yearBuilt);
+    }
+    if (subject.bedrooms !== null && typeof listing.bedrooms === 'number') {
+        components.bedrooms = closeness(listing.bedrooms - subject.bedrooms, COMP_TOLERANCES.bedrooms + 1);
+    }
+
+    const category = listing.normalized?.propertyType?.code ?? propertyCategory(listing.propertyType)?.code;
+    if (category) {
+        const covered = PROPERTY_TYPE_CATEGORIES[subject.propertyType];
+        components.type = category === covered[0] ? 1 : covered.includes(category) ? 0.5 : 0;
+    }
+
+    const weights = Object.keys(components).map((name) => SCORE_WEIGHTS[name]);
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const weighted = Object.entries(components).reduce((sum, [name, value]) => sum + value * SCORE_WEIGHTS[name], 0);
+
+    return {
+        score: totalWeight > 0 ? Math.round((weighted / totalWeight) * 1000) / 10 : 0,
+        components: Object.fromEntries(Object.entries(components).map(([name, value]) => [name, Math.round(value * 100) / 100])),
+        distanceKm: distanceKm === null ? null : Math.round(distanceKm * 100) / 100
+    };
+}
+
+/**
+ * Price per square foot of a comparable, adjusted to the subject's age:
+ * a newer comparable is adjusted down, an older one up
+ *
+ * @returns {{ pricePerSqft: number, adjustedPricePerSqft: number, ageAdjustment: number }|null}
+ */
+export function adjustedPricePerSqft(subject, listing) {
+    if (!(listing.price > 0) || !(listing.livingArea > 0)) return null;
+    const pricePerSqft = listing.price / listing.livingArea;
+
+    let ageAdjustment = 0;
+    if (subject.yearBuilt && listing.yearBuilt) {
+        const raw = (subject.yearBuilt - listing.yearBuilt) * AGE_ADJUSTMENT_PER_YEAR;
+        ageAdjustment = Math.max(-MAX_AGE_ADJUSTMENT, Math.min(MAX_AGE_ADJUSTMENT, raw));
+    }
+
+    return {
+        pricePerSqft: Math.round(pricePerSqft),
+        adjustedPricePerSqft: Math.round(pricePerSqft * (1 + ageAdjustment)),
+        ageAdjustment: Math.round(ageAdjustment * 1000) / 1000
+    };
+}
+
+/**
+ * Score and rank the saved listings against the subject
+ *
+ * Monitoring change records are unwrapped to their listing, like in the market report.
+ *
+ * @param {object} subject - Outcome of parseSubjectProperty
+ * @param {object[]} records - Dataset records
+ * @returns {{ comps: object[], summary: object }} The best maxComps listings, ranked, and the suggested price
+ */
+export function findComps(subject, records) {
+    const seen = new Set();
+    const scored = [];
+    for (const record of records) {
+        const listing = record.listing ?? record;
+        if (!(listing.price > 0) || seen.has(listing.centrisId)) continue;
+        seen.add(listing.centrisId);
+
+        const { score, components, distanceKm } = similarity(subject, listing);
+        scored.push({
+            score,
+            scoreComponents: components,
+            centrisId: listing.centrisId,
+            url: listing.url,
+            price: listing.price,
+            propertyType: listing.propertyType ?? null,
+            category: listing.normalized?.propertyType?.code ?? propertyCategory(listing.propertyType)?.code ?? null,
+            bedrooms: listing.bedrooms ?? null,
+            livingArea: listing.livingArea ?? null,
+            yearBuilt: listing.yearBuilt ?? null,
+            distanceKm,
+            address: listing.address ?? null,
+            daysOnMarket: listing.daysOnMarket ?? null,
+            ...adjustedPricePerSqft(subject, listing)
+        });
+    }
+
+    const comps = scored
+        .sort((a, b) => b.score - a.score || (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity))
+        .slice(0, subject.maxComps)
+        .map((comp, index) => ({ rank: index + 1, ...comp }));
+
+    return { comps, summary: compsSummary(subject, comps) };
+}
+
+/**
+ * Suggested price range: the interquartile range and median of the comparables'
+ * adjusted price per square foot, times the subject's living area
+ */
+export function compsSummary(subject, comps) {
+    const rates = comps.map((comp) => comp.adjustedPricePerSqft).filter((rate) => rate > 0).sort((a, b) => a - b);
+    const rate = {
+        p25: percentile(rates, 25),
+        median: percentile(rates, 50),
+        p75: percentile(rates, 75)
+    };
+    const price = (value) => (value === null || !subject.livingArea ? null : Math.round((value * subject.livingArea) / 1000) * 1000);
+
+    return {
+        subject: {
+            address: subject.address,
+            coordinates: subject.coordinates,
+            locality: subject.locality?.name ?? null,
+            propertyType: subject.propertyType,
+            bedrooms: subject.bedrooms,
+            livingArea: subject.livingArea,
+            yearBuilt: subject.yearBuilt
+        },
+        compsFound: comps.length,
+        compsPriced: rates.length,
+        averageScore: comps.length ? Math.round(comps.reduce((sum, comp) => sum + comp.score, 0) / comps.length) : null,
+        adjustedPricePerSqft: Object.fromEntries(Object.entries(rate).map(([key, value]) => [key, value === null ? null : Math.round(value)])),
+        suggestedPrice: {
+            low: price(rate.p25),
+            mid: price(rate.median),
+            high: price(rate.p75)
+        }
+    };
+}
@@ -0,0 +1,23 @@
+/**
+ * Shared Centris.ca configuration
+ */
+
+// Centris.ca configuration
+export const CENTRIS_BASE_URL = 'https://www.centris.ca';
+
+// Path Centris redirects from to a listing's full URL, per language
+export const LISTING_PATHS = {
+    fr: 'propriete',
+    en: 'property'
+};
+
+// Property type inputs → the normalised categories they cover (see normalize.js)
+export const PROPERTY_TYPE_CATEGORIES = {
+    'house': ['house'],
+    'condo': ['condo', 'apartment', 'loft-studio'],
+    'plex': ['plex'],
+    'land': ['land'],
+    'commercial': ['commercial'],
+    'farm': ['farm'],
+    'cottage': ['cottage']
+};
@@ -0,0 +1,197 @@
+/**
+ * Flat export formats
+ *
+ * Turns the nested dataset records into rows with dotted column names
+ * (address.city, coordinates.latitude) for CSV and XLSX, and into a GeoJSON
+ * FeatureCollection for mapping tools. Column order is fixed so files from
+ * different runs line up.
+ */
+
+import ExcelJS from 'exceljs';
+
+export const OUTPUT_FORMATS = {
+    csv: { key: 'OUTPUT.csv', contentType: 'text/csv; charset=utf-8' },
+    xlsx: { key: 'OUTPUT.xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    geojson: { key: 'OUTPUT.geojson', contentType: 'application/geo+json' }
+};
+
+// Columns always written first, in this order; any other field follows alphabetically
+export const BASE_COLUMNS = [
+    'centrisId',
+    'url',
+    'status',
+    'changeType',
+    'listingTitle',
+    'propertyType',
+    'normalized.propertyType.code',
+    'dataQuality.confidence',
+    'transactionType',
+    'price',
+    'priceFormatted',
+    'address.street',
+    'address.city',
+    'address.neighborhood',
+    'address.region',
+    'address.postalCode',
+    'address.fullAddress',
+    'coordinates.latitude',
+    'coordinates.longitude',
+    'distanceKm',
+    'bedrooms',
+    'bathrooms',
+    'halfBathrooms',
+    'livingArea',
+    'lotSize',
+    'yearBuilt',
+    'parkingSpaces',
+    'garageSpaces',
+    'features',
+    'municipalTaxes',
+    'schoolTaxes',
+    'condoFees',
+    'unitCount',
+    'revenue.gross',
+    'rental.monthlyRent',
+    'rental.availableFrom',
+    'rental.furnished',
+    'rental.utilitiesIncluded',
+    'investmentMetrics.grossRentMultiplier',
+    'investmentMetrics.capRate',
+    'investmentMetrics.monthlyCashFlow',
+    'listingDate',
+    'daysOnMarket',
+    'firstSeenAt',
+    'priceHistory',
+    'matchedRegions',
+    'matchedProfiles',
+    'mlsNumber',
+    'broker.name',
+    'broker.agency',
+    'broker.phone',
+    'broker.email',
+    'description',
+    'mainImage',
+    'images',
+    'scrapedAt'
+];
+
+// Separator for lists of plain values inside one cell
+const LIST_SEPARATOR = ' | ';
+
+/**
+ * Flatten a record into a single-level object with dotted keys
+ *
+ * Lists of plain values are joined into one cell; lists of objects
+ * (priceHistory, unitTypes) are kept as JSON text.
+ */
+export function flattenRecord(record, prefix = '', row = {}) {
+    for (const [key, value] of Object.entries(record)) {
+        const column = prefix ? `${prefix}.${key}` : key;
+        if (value === undefined || value === null) {
+            continue;
+        } else if (Array.isArray(value)) {
+            row[column] = value.some((item) => item !== null && typeof item === 'object')
+                ? JSON.stringify(value)
+                : value.join(LIST_SEPARATOR);
+        } else if (typeof value === 'object') {
+            flattenRecord(value, column, row);
+        } else {
+            row[column] = value;
+        }
+    }
+    return row;
+}
+
+/**
+ * Flattened row for a dataset record; change records from monitoring mode are
+ * merged with the listing they carry so the listing fields land in the base columns
+ */
+export function exportRow(record) {
+    const { listing, ...rest } = record;
+    return flattenRecord(listing ? { ...listing, ...rest } : record);
+}
+
+/**
+ * Column order for a set of flattened rows: the base columns, then the rest sorted
+ */
+export function exportColumns(rows) {
+    const extra = new Set();
+    for (const row of rows) {
+        for (const column of Object.keys(row)) {
+            if (!BASE_COLUMNS.includes(column)) extra.add(column);
+        }
+    }
+    return [...BASE_COLUMNS, ...[...extra].sort()];
+}
+
+function csvCell(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV text for the records, with a BOM so Excel reads accents correctly
+ */
+export function toCsv(records) {
+    const rows = records.map(exportRow);
+    const columns = exportColumns(rows);
+    const lines = [
+        columns.map(csvCell).join(','),
+        ...rows.map((row) => columns.map((column) => csvCell(row[column])).join(','))
+    ];
+    return `\ufeff${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * XLSX workbook with one "Listings" sheet, as a Buffer
+ */
+export async function toXlsx(records) {
+    const rows = records.map(exportRow);
+    const columns = exportColumns(rows);
+
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Listings', { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = columns.map((column) => ({ header: column, key: column }));
+    sheet.getRow(1).font = { bold: true };
+    for (const row of rows) {
+        sheet.addRow(row);
+    }
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * GeoJSON FeatureCollection of the records that have coordinates
+ */
+export function toGeoJson(records) {
+    const features = [];
+    for (const record of records) {
+        const coordinates = record.coordinates ?? record.listing?.coordinates;
+        if (!Number.isFinite(coordinates?.latitude) || !Number.isFinite(coordinates?.longitude)) continue;
+
+        const properties = exportRow(record);
+        delete properties['coordinates.latitude'];
+        delete properties['coordinates.longitude'];
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [coordinates.longitude, coordinates.latitude] },
+            properties
+        });
+    }
+    return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Serialize the records in one of OUTPUT_FORMATS
+ *
+ * @returns {Promise<string|Buffer>} Value to store under the format's key
+ */
+export async function exportRecords(records, format) {
+    switch (format) {
+        case 'csv': return toCsv(records);
+        case 'xlsx': return toXlsx(records);
+        case 'geojson': return JSON.stringify(toGeoJson(records));
+        default: throw new Error(`Unknown output format "${format}"`);
+    }
+}
@@ -0,0 +1,152 @@
+/**
+ * Listing filters
+ *
+ * Each filter checks one group of inputs against a scraped listing. A listing is
+ * only removed for data that was actually extracted: missing values pass, since
+ * search cards carry fewer fields than detail pages. The listing age is the exception:
+ * Centris cannot search by it, so a listing of unknown age would slip through unchecked.
+ */
+
+import { PROPERTY_TYPE_CATEGORIES } from './constants.js';
+import { normalizeText } from './utils.js';
+import { containsPoint } from './geo.js';
+import { FEATURES, propertyCategory } from './normalize.js';
+
+// listingAge input → maximum days on market
+export const LISTING_AGE_DAYS = {
+    '24h': 1,
+    '7days': 7,
+    '30days': 30,
+    '90days': 90
+};
+
+// Words that identify each feature input in the French or English feature list and description
+export const FEATURE_KEYWORDS = Object.fromEntries(FEATURES.map(({ code, keywords }) => [code, keywords]));
+
+/**
+ * True when the value is unknown or within the min/max bounds (0 = no bound)
+ */
+function inRange(value, min, max) {
+    if (value === null || value === undefined) return true;
+    if (min > 0 && value < min) return false;
+    if (max > 0 && value > max) return false;
+    return true;
+}
+
+function matchesPropertyType(listing, { propertyTypes = [] }) {
+    if (propertyTypes.length === 0) return true;
+    // A type no category recognises counts as missing data
+    const category = propertyCategory(listing.propertyType)?.code;
+    if (!category) return true;
+
+    return propertyTypes.some((requestedType) => {
+        const type = requestedType.toLowerCase();
+        return (PROPERTY_TYPE_CATEGORIES[type] ?? [type]).includes(category);
+    });
+}
+
+function matchesNeighborhoods(listing, { neighborhoods = [] }) {
+    if (neighborhoods.length === 0) return true;
+    const address = listing.address ?? {};
+    // Compare without accents or separators: "Plateau Mont-Royal" matches the
+    // "le-plateau-mont-royal" URL slug as well as the written address
+    const flatten = (text) => normalizeText(text).replace(/[-~/]+/g, ' ');
+    const haystack = flatten([
+        address.neighborhood,
+        address.fullAddress,
+        listing.addressText,
+        listing.url && decodeURIComponent(listing.url)
+    ].filter(Boolean).join(' | '));
+
+    return neighborhoods.some((name) => haystack.includes(flatten(name)));
+}
+
+function matchesFeatures(listing, { features = [] }) {
+    // Search cards carry no feature list; features are only checked on detail data
+    if (features.length === 0 || !Array.isArray(listing.features)) return true;
+    const haystack = normalizeText([...listing.features, listing.description].filter(Boolean).join(' | '));
+
+    return features.every((feature) => {
+        if (feature === 'garage' && listing.garageSpaces > 0) return true;
+        const keywords = FEATURE_KEYWORDS[feature] ?? [feature];
+        return keywords.some((keyword) => haystack.includes(keyword));
+    });
+}
+
+function matchesListingAge(listing, { listingAge = 'any' }) {
+    const maxDays = LISTING_AGE_DAYS[listingAge];
+    if (!maxDays) return true;
+    // Centris does not search by age, so this is the only check: an unknown age fails it
+    if (listing.daysOnMarket === null || listing.daysOnMarket === undefined) return false;
+    return inRange(listing.daysOnMarket, 0, maxDays);
+}
+
+function matchesFurnished(listing, { furnished = 'any' }) {
+    if (furnished === 'any' || !listing.rental?.furnished) return true;
+    return listing.rental.furnished === furnished;
+}
+
+function matchesAvailability(listing, { availableBefore }) {
+    if (!availableBefore || !listing.rental) return true;
+    if (listing.rental.availableImmediately || !listing.rental.availableFrom) return true;
+    return listing.rental.availableFrom <= availableBefore;
+}
+
+function matchesUtilities(listing, { utilitiesIncluded = [] }) {
+    // Only rentals whose page lists the included services are checked
+    if (utilitiesIncluded.length === 0 || !Array.isArray(listing.rental?.utilitiesIncluded)) return true;
+    return utilitiesIncluded.every((utility) => listing.rental.utilitiesIncluded.includes(utility));
+}
+
+function matchesGeoArea(listing, { geoArea }) {
+    // Centris searched the area's bounding box; the exact shape needs the coordinates of a detail page
+    if (!geoArea || !listing.coordinates) return true;
+    return containsPoint(geoArea, listing.coordinates);
+}
+
+function matchesPrice(listing, { searchType, minPrice, maxPrice }) {
+    // minPrice and maxPrice are sale prices; rentals only have the maxRent bound
+    if (searchType === 'rent') return true;
+    return inRange(listing.price || null, minPrice, maxPrice);
+}
+
+function matchesRent(listing, { searchType, maxRent }) {
+    // A search card of a rental has its rent as the price
+    const rent = listing.rental?.monthlyRent ?? (searchType === 'rent' ? listing.price || null : null);
+    return inRange(rent, 0, maxRent);
+}
+
+// Filters in the order they are checked; the name is what the run summary reports
+const FILTERS = [
+    { name: 'price', test: matchesPrice },
+    { name: 'bedrooms', test: (l, c) => inRange(l.bedrooms, c.minBedrooms, c.maxBedrooms) },
+    { name: 'bathrooms', test: (l, c) => inRange(l.bathrooms, c.minBathrooms, c.maxBathrooms) },
+    { name: 'livingArea', test: (l, c) => inRange(l.livingArea, c.minLivingArea, c.maxLivingArea) },
+    { name: 'lotSize', test: (l, c) => inRange(l.lotSize, c.minLotSize, c.maxLotSize) },
+    { name: 'yearBuilt', test: (l, c) => inRange(l.yearBuilt, c.yearBuiltMin, c.yearBuiltMax) },
+    { name: 'propertyType', test: matchesPropertyType },
+    { name: 'neighborhoods', test: matchesNeighborhoods },
+    { name: 'geoArea', test: matchesGeoArea },
+    { name: 'features', test: matchesFeatures },
+    { name: 'listingAge', test: matchesListingAge },
+    { name: 'rent', test: matchesRent },
+    { name: 'furnished', test: matchesFurnished },
+    { name: 'availableBefore', test: matchesAvailability },
+    { name: 'utilitiesIncluded', test: matchesUtilities }
+];
+
+/**
+ * Find the first filter a listing fails
+ *
+ * @param {object} listing - Listing from a search card or a detail page
+ * @param {object} criteria - Filter inputs (minPrice, neighborhoods, features, listingAge, ...)
+ * @param {string[]} [only] - Restrict the check to these filter names
+ * @returns {string|null} Name of the failed filter, or null when the listing matches
+ */
+export function findFailedFilter(listing, criteria, only) {
+    for (const filter of FILTERS) {
+        if (only && !only.includes(filter.name)) continue;
+        if (!filter.test(listing, criteria)) return filter.name;
+    }
+    return null;
+}
@@ -0,0 +1,279 @@
+/**
+ * Quebec place name resolver
+ *
+ * Region inputs are checked against a bundled gazetteer of Quebec's
+ * administrative regions, MRCs, municipalities and the boroughs or sectors of
+ * the larger cities (src/data/quebec-gazetteer.json). Matching ignores case,
+ * accents, punctuation and "Ville de" style prefixes, tolerates small typos,
+ * and names that match nothing fail with "did you mean" suggestions before
+ * any request is sent. An entry may carry the geography id Centris gives the
+ * place (`centrisId`, with its `matchType`), so API searches need no
+ * autocomplete lookup for it.
+ */
+
+import { readFileSync } from 'node:fs';
+import { normalizeText } from './utils.js';
+
+const GAZETTEER = JSON.parse(readFileSync(new URL('./data/quebec-gazetteer.json', import.meta.url), 'utf8'));
+
+// Which entry wins when one name is both, e.g. the city of Laval and the Laval region
+const TYPE_PRIORITY = ['municipality', 'borough', 'region', 'mrc'];
+
+// Prefixes dropped before matching, with the place type they point to
+const PREFIXES = [
+    [/^(ville|cite|municipalite|paroisse|canton|village) (de la|de l|des|du|de|d) /, 'municipality'],
+    [/^(city|town|municipality|village|township) of (the )?/, 'municipality'],
+    [/^(arrondissement|secteur|quartier) (de la|de l|des|du|de|d) /, 'borough'],
+    [/^(arrondissement|secteur|borough of) /, 'borough'],
+    [/^(mrc|municipalite regionale de comte) (de la|de l|des|du|de|d) /, 'mrc'],
+    [/^mrc /, 'mrc'],
+    [/^(region administrative|region) (de la|de l|des|du|de|d) /, 'region'],
+    [/^region (of )?/, 'region']
+];
+
+/**
+ * Lowercased, accent-free place name with punctuation as single spaces and
+ * "St" / "Ste" spelled out
+ */
+export function placeKey(name) {
+    return normalizeText(name)
+        .replace(/[-–—'’.,()/]+/g, ' ')
+        .replace(/\bste\b/g, 'sainte')
+        .replace(/\bst\b/g, 'saint')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Centris URL slug of a place name: "L'Île-Perrot" → "l-ile-perrot"
+ */
+export function placeSlug(name) {
+    return normalizeText(name).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Edit distance between two strings
+ */
+export function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Flatten the gazetteer into one list of places with their lookup keys
+ */
+function buildPlaces(gazetteer) {
+    const regionNames = Object.fromEntries(gazetteer.regions.map((region) => [region.code, region.name]));
+    const place = (type, entry, extra) => ({
+        type,
+        name: entry.name,
+        region: regionNames[entry.region ?? entry.code],
+        aliases: entry.aliases ?? [],
+        ...(entry.centrisId && { centrisGeography: { Id: entry.centrisId, MatchType: entry.matchType, Text: entry.name } }),
+        ...extra
+    });
+
+    return [
+        ...gazetteer.regions.map((entry) => place('region', entry, {
+            slug: placeSlug(entry.name),
+            searchText: entry.name
+        })),
+        ...gazetteer.mrcs.map((entry) => place('mrc', entry, {
+            slug: placeSlug(entry.name),
+            searchText: entry.name
+        })),
+        ...gazetteer.municipalities.map((entry) => place('municipality', entry, {
+            slug: placeSlug(entry.name),
+            searchText: entry.name
+        })),
+        ...gazetteer.boroughs.map((entry) => place('borough', entry, {
+            city: entry.city,
+            slug: `${placeSlug(entry.city)}-${placeSlug(entry.name)}`,
+            searchText: `${entry.city} (${entry.name})`
+        }))
+    ].map((entry) => {
+        const keys = new Set([entry.name, ...entry.aliases].map(placeKey));
+        if (entry.type === 'borough') keys.add(placeKey(`${entry.city} ${entry.name}`));
+        const nameKeys = [...keys];
+        // "Plateau-Mont-Royal" for "Le Plateau-Mont-Royal"
+        for (const key of nameKeys) keys.add(key.replace(/^(le|la|les|l) /, ''));
+        return { ...entry, keys: [...keys], nameKeys };
+    });
+}
+
+const PLACES = buildPlaces(GAZETTEER);
+
+function byPriority(a, b) {
+    return TYPE_PRIORITY.indexOf(a.type) - TYPE_PRIORITY.indexOf(b.type);
+}
+
+/**
+ * How a place is shown in messages: "Saint-Isidore (municipality, Montérégie)"
+ */
+export function describePlace(place) {
+    const where = place.type === 'borough' ? place.city : place.region;
+    return `${place.name} (${place.type}${where && where !== place.name ? `, ${where}` : ''})`;
+}
+
+/**
+ * Resolve a region input to one gazetteer place
+ *
+ * The name may end with its region or city to pick among homonyms:
+ * "Saint-Isidore, Montérégie" or "Saint-Isidore (Montérégie)".
+ *
+ * @param {string} input - Place name as typed
+ * @returns {{ place?: object, fuzzy?: boolean, ambiguous?: object[], suggestions?: object[] }}
+ */
+export function resolvePlace(input) {
+    let key = placeKey(input);
+    let preferredType;
+    for (const [pattern, type] of PREFIXES) {
+        if (pattern.test(key)) {
+            key = key.replace(pattern, '');
+            preferredType = type;
+            break;
+        }
+    }
+
+    let candidates = PLACES.filter((place) => place.keys.includes(key));
+    // Ange-Gardien itself rather than L'Ange-Gardien without its article
+    const exact = candidates.filter((place) => place.nameKeys.includes(key));
+    if (exact.length > 0) candidates = exact;
+
+    // "Name, Region" / "Name (City)" qualifiers
+    if (candidates.length === 0) {
+        const qualified = String(input).match(/^(.+?)\s*(?:,|\()\s*([^,()]+?)\)?\s*$/);
+        if (qualified) {
+            const within = placeKey(qualified[2]);
+            candidates = PLACES.filter((place) => place.keys.includes(placeKey(qualified[1]))
+                && [place.region, place.city].some((name) => name && placeKey(name) === within));
+        }
+    }
+
+    if (candidates.length > 0) {
+        const preferred = candidates.filter((place) => place.type === preferredType);
+        const pool = (preferred.length > 0 ? preferred : candidates).sort(byPriority);
+        const sameType = pool.filter((place) => place.type === pool[0].type);
+        if (sameType.length > 1) return { ambiguous: sameType };
+        return { place: pool[0] };
+    }
+
+    // Typos: accept a single close match, otherwise suggest the closest places
+    const scored = PLACES
+        .map((place) => ({
+            place,
+            distance: Math.min(...place.keys.map((candidate) => levenshtein(key, candidate)))
+        }))
+        .sort((a, b) => a.distance - b.distance || byPriority(a.place, b.place));
+
+    const tolerance = key.length >= 10 ? 2 : key.length >= 5 ? 1 : 0;
+    const close = scored.filter(({ distance }) => distance <= tolerance);
+    if (close.length > 0 && close.every(({ place }) => place.name === close[0].place.name)) {
+        return { place: close[0].place, fuzzy: true };
+    }
+
+    const maxDistance = Math.max(3, Math.floor(key.length * 0.4));
+    const partial = PLACES.filter((place) => key.length >= 4
+        && place.keys.some((candidate) => candidate.includes(key) || key.includes(candidate)));
+    const suggestions = [...new Set([
+        ...partial.sort(byPriority),
+        ...scored.filter(({ distance }) => distance <= maxDistance).map(({ place }) => place)
+    ])].slice(0, 3);
+    return { suggestions };
+}
+
+/**
+ * Place for a name the gazetteer cannot resolve, such as the geoArea label,
+ * compared with other places by its slug
+ */
+function unresolvedPlace(input) {
+    const name = String(input).trim();
+    return {
+        type: 'unresolved',
+        name,
+        aliases: [],
+        slug: placeSlug(name),
+        searchText: name,
+        keys: [placeKey(name)]
+    };
+}
+
+/**
+ * Resolve every region input, reporting all the unknown names at once
+ *
+ * @param {string[]} inputs - Region names from the input
+ * @returns {{ places: Map<string, object>, corrections: string[] }} Place per input, and notes on typo corrections
+ * @throws {Error} Listing every name that is unknown or ambiguous, with suggestions
+ */
+export function resolveRegions(inputs) {
+    const places = new Map();
+    const corrections = [];
+    const problems = [];
+
+    for (const input of inputs) {
+        const result = resolvePlace(input);
+        if (result.place) {
+            places.set(input, result.place);
+            if (result.fuzzy) corrections.push(`"${input}" read as ${describePlace(result.place)}`);
+        } else if (result.ambiguous) {
+            problems.push(`"${input}" matches several places: ${result.ambiguous.map(describePlace).join(', ')}. `
+                + `Add the region, e.g. "${result.ambiguous[0].name}, ${result.ambiguous[0].region}"`);
+        } else if (result.suggestions.length > 0) {
+            problems.push(`Unknown region "${input}". Did you mean ${result.suggestions.map((place) => `"${place.name}"`).join(', ')}?`);
+        } else {
+            problems.push(`Unknown region "${input}"`);
+        }
+    }
+
+    if (problems.length > 0) throw new Error(problems.join('\n'));
+    return { places, corrections };
+}
+
+const resolvedPlaces = new Map();
+
+function placeOf(name) {
+    if (!resolvedPlaces.has(name)) resolvedPlaces.set(name, resolvePlace(name).place ?? unresolvedPlace(name));
+    return resolvedPlaces.get(name);
+}
+
+/**
+ * True when a search of one region takes in a place: the same place however it
+ * is spelled ("Montreal" and "Montréal"), a borough of a searched city, or a
+ * place in a searched administrative region
+ *
+ * @param {string} searched - Region searched
+ * @param {string} name - Region or place name, e.g. one that returned a listing in an earlier run
+ */
+export function regionCovers(searched, name) {
+    const region = placeOf(searched);
+    const place = placeOf(name);
+    if (region.slug === place.slug) return true;
+    if (region.type === 'municipality' && place.type === 'borough') return place.city === region.name;
+    if (region.type === 'region') return place.type !== 'region' && place.region === region.name;
+    return false;
+}
+
+/**
+ * True when a listing known from an earlier run lies in one of the regions
+ * searched now, judged by the regions that returned it then and by its address
+ *
+ * @param {{ matchedRegions?: string[], city?: string, neighborhood?: string }} listing
+ * @param {string[]} regions - Regions searched by this run
+ */
+export function inSearchedRegions(listing, regions) {
+    const names = [...(listing.matchedRegions ?? [])];
+    if (listing.city && listing.neighborhood) names.push(`${listing.neighborhood}, ${listing.city}`);
+    if (listing.city) names.push(listing.city);
+    return names.some((name) => regions.some((region) => regionCovers(region, name)));
+}
@@ -0,0 +1,176 @@
+/**
+ * Geographic search areas
+ *
+ * A search can cover a circle around a point, a bounding box or a GeoJSON
+ * polygon instead of named regions. Centris is asked for the bounding box of
+ * the area, and each scraped listing is then checked against the exact shape
+ * using its coordinates.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+// Label used as the matched region of listings found by an area search
+export const GEO_AREA_REGION = 'Search area';
+
+function toRadians(degrees) {
+    return (degrees * Math.PI) / 180;
+}
+
+function isLatitude(value) {
+    return Number.isFinite(value) && value >= -90 && value <= 90;
+}
+
+function isLongitude(value) {
+    return Number.isFinite(value) && value >= -180 && value <= 180;
+}
+
+/**
+ * Great-circle distance between two { latitude, longitude } points, in km
+ */
+export function haversineKm(a, b) {
+    const dLat = toRadians(b.latitude - a.latitude);
+    const dLng = toRadians(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Polygons of a GeoJSON geometry, Feature or FeatureCollection, as arrays of
+ * [lng, lat] rings (outer ring first, then holes)
+ */
+function geoJsonPolygons(geoJson) {
+    switch (geoJson?.type) {
+        case 'Polygon': return [geoJson.coordinates];
+        case 'MultiPolygon': return geoJson.coordinates;
+        case 'Feature': return geoJsonPolygons(geoJson.geometry);
+        case 'FeatureCollection': return geoJson.features.flatMap((feature) => geoJsonPolygons(feature));
+        default: return [];
+    }
+}
+
+/**
+ * Validate the geoArea input and bring it into one of three shapes
+ *
+ * Accepted input:
+ * - { latitude, longitude, radiusKm }
+ * - { south, west, north, east }
+ * - a GeoJSON Polygon or MultiPolygon, bare or in a Feature / FeatureCollection
+ *
+ * @returns {object} { type: 'radius', center, radiusKm } | { type: 'bbox', bounds } | { type: 'polygon', polygons }
+ * @throws {Error} When the input matches none of the shapes
+ */
+export function parseGeoArea(input) {
+    if (!input || typeof input !== 'object') {
+        throw new Error('geoArea must be an object');
+    }
+
+    if (input.radiusKm !== undefined) {
+        const center = { latitude: Number(input.latitude), longitude: Number(input.longitude) };
+        const radiusKm = Number(input.radiusKm);
+        if (!isLatitude(center.latitude) || !isLongitude(center.longitude) || !(radiusKm > 0)) {
+            throw new Error('geoArea radius search needs latitude, longitude and a positive radiusKm');
+        }
+        return { type: 'radius', center, radiusKm };
+    }
+
+    if (['south', 'west', 'north', 'east'].some((key) => input[key] !== undefined)) {
+        const bounds = {
+            south: Number(input.south),
+            west: Number(input.west),
+            north: Number(input.north),
+            east: Number(input.east)
+        };
+        if (!isLatitude(bounds.south) || !isLatitude(bounds.north) || !isLongitude(bounds.west)
+            || !isLongitude(bounds.east) || bounds.south >= bounds.north || bounds.west >= bounds.east) {
+            throw new Error('geoArea bounding box needs south < north and west < east, in degrees');
+        }
+        return { type: 'bbox', bounds };
+    }
+
+    const polygons = geoJsonPolygons(input).filter((rings) => rings?.[0]?.length >= 4);
+    if (polygons.length === 0) {
+        throw new Error('geoArea must be a radius, a bounding box or a GeoJSON Polygon / MultiPolygon');
+    }
+    return { type: 'polygon', polygons };
+}
+
+/**
+ * Bounding box of an area, the rectangle sent to Centris
+ *
+ * @returns {{ south: number, west: number, north: number, east: number }}
+ */
+export function areaBounds(area) {
+    if (area.type === 'bbox') return area.bounds;
+
+    if (area.type === 'radius') {
+        const { latitude, longitude } = area.center;
+        const latDelta = (area.radiusKm / EARTH_RADIUS_KM) * (180 / Math.PI);
+        const lngDelta = latDelta / Math.cos(toRadians(latitude));
+        return {
+            south: latitude - latDelta,
+            west: longitude - lngDelta,
+            north: latitude + latDelta,
+            east: longitude + lngDelta
+        };
+    }
+
+    const points = area.polygons.flatMap((rings) => rings[0]);
+    const lngs = points.map(([lng]) => lng);
+    const lats = points.map(([, lat]) => lat);
+    return {
+        south: Math.min(...lats),
+        west: Math.min(...lngs),
+        north: Math.max(...lats),
+        east: Math.max(...lngs)
+    };
+}
+
+/**
+ * Centre point distances are measured from: the radius centre, else the middle of the bounding box
+ */
+export function areaCenter(area) {
+    if (area.type === 'radius') return area.center;
+    const { south, west, north, east } = areaBounds(area);
+    return { latitude: (south + north) / 2, longitude: (west + east) / 2 };
+}
+
+/**
+ * Ray casting test of a [lng, lat] point against one ring
+ */
+function inRing([x, y], ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * True when a [lng, lat] point is inside a polygon's outer ring and outside its holes
+ */
+export function pointInPolygon(point, rings) {
+    const [outer, ...holes] = rings;
+    return inRing(point, outer) && !holes.some((hole) => inRing(point, hole));
+}
+
+/**
+ * True when { latitude, longitude } coordinates fall inside the area
+ */
+export function containsPoint(area, coordinates) {
+    const { latitude, longitude } = coordinates;
+    switch (area.type) {
+        case 'radius':
+            return haversineKm(area.center, coordinates) <= area.radiusKm;
+        case 'bbox': {
+            const { south, west, north, east } = area.bounds;
+            return latitude >= south && latitude <= north && longitude >= west && longitude <= east;
+        }
+        default:
+            return area.polygons.some((rings) => pointInPolygon([longitude, latitude], rings));
+    }
+}
@@ -0,0 +1,124 @@
+/**
+ * Per-listing price history
+ *
+ * Records every price observed for a listing, with the date it was first seen,
+ * in a named key-value store that outlives individual runs. Output records get
+ * their price history and a days-on-market figure from these observations.
+ */
+
+import { Actor } from 'apify';
+import { inSearchedRegions } from './gazetteer.js';
+import { daysSince } from './utils.js';
+
+const STATE_KEY = 'PRICE_HISTORY';
+
+/**
+ * Fields kept with the history so listings that leave the market can still be
+ * archived and grouped by area
+ */
+function describeListing(listing) {
+    const description = {};
+    if (listing.url) description.url = listing.url;
+    if (listing.propertyType) description.propertyType = listing.propertyType;
+    if (listing.address?.city) description.city = listing.address.city;
+    if (listing.address?.neighborhood) description.neighborhood = listing.address.neighborhood;
+    if (listing.listingDate) description.listingDate = listing.listingDate;
+    if (listing.matchedRegions?.length > 0) description.matchedRegions = listing.matchedRegions;
+    return description;
+}
+
+export class ListingHistory {
+    /**
+     * Open the named store and load the observations of earlier runs
+     *
+     * @param {string} storeName - Named key-value store holding the history
+     */
+    static async open(storeName) {
+        const store = await Actor.openKeyValueStore(storeName);
+        const state = await store.getValue(STATE_KEY) ?? {};
+        return new ListingHistory(store, state);
+    }
+
+    constructor(store, state) {
+        this.store = store;
+        this.state = state;
+    }
+
+    /**
+     * Days since the listing was first seen by an earlier run, or null if it never was
+     */
+    daysOnMarket(centrisId, now = new Date()) {
+        const entry = this.state[centrisId];
+        return entry ? daysSince(entry.firstSeenAt, now) : null;
+    }
+
+    /**
+     * Record an observation of a listing and return the history fields for it
+     *
+     * A price is only appended when it differs from the last recorded one.
+     * daysOnMarket from the listing itself (derived from the Centris listing date)
+     * wins over the one counted from our first sighting.
+     *
+     * @param {object} listing - Scraped listing with centrisId and price
+     * @returns {{ priceHistory?: object[], firstSeenAt?: string, daysOnMarket?: number }}
+     */
+    record(listing, now = new Date()) {
+        const { centrisId } = listing;
+        if (!centrisId) return {};
+
+        const observedAt = now.toISOString();
+        const entry = this.state[centrisId] ?? { firstSeenAt: observedAt, priceHistory: [] };
+        const lastPrice = entry.priceHistory.at(-1)?.price;
+
+        if (listing.price && listing.price !== lastPrice) {
+            entry.priceHistory.push({ date: observedAt.slice(0, 10), price: listing.price });
+        }
+        entry.lastSeenAt = observedAt;
+        Object.assign(entry, describeListing(listing));
+        // Back on the market after being archived
+        delete entry.offMarket;
+        this.state[centrisId] = entry;
+
+        return {
+            priceHistory: entry.priceHistory.map((point) => ({ ...point })),
+            firstSeenAt: entry.firstSeenAt,
+            daysOnMarket: listing.daysOnMarket ?? daysSince(entry.firstSeenAt, now)
+        };
+    }
+
+    /**
+     * Note that a known listing still shows up in the search results, without
+     * recording a new observation (it was filtered out or unchanged)
+     */
+    markSeen(centrisId, now = new Date()) {
+        const entry = this.state[centrisId];
+        if (entry && !entry.offMarket) entry.lastSeenAt = now.toISOString();
+    }
+
+    /**
+     * Listings still on the market as far as we know that this run did not see,
+     * limited to the ones in the given regions, whichever spelling or enclosing
+     * region found them in an earlier run
+     *
+     * @param {Function} isSeen - centrisId → true when this run saw the listing
+     * @param {string[]} regions - Regions searched by this run
+     * @returns {Array<[string, object]>} centrisId and history entry of each listing
+     */
+    missingListings(isSeen, regions) {
+        return Object.entries(this.state).filter(([centrisId, entry]) => !entry.offMarket
+            && !isSeen(centrisId)
+            && inSearchedRegions(entry, regions));
+    }
+
+    /**
+     * Record that a listing left the market, so later runs do not verify it again
+     */
+    markOffMarket(centrisId, status, now = new Date()) {
+        const entry = this.state[centrisId];
+        if (entry) entry.offMarket = { status, verifiedAt: now.toISOString() };
+    }
+
+    async save() {
+        await this.store.setValue(STATE_KEY, this.state);
+    }
+}
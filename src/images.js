@@ -0,0 +1,205 @@
+/**
+ * Listing photo downloader
+ *
+ * Saves gallery photos into a named key-value store or a local directory under
+ * the SHA-256 of their content. An index of the Centris media ids already saved
+ * is kept next to the photos, so repeat runs skip photos they have fetched
+ * before and identical photos are stored once. Photos are fetched a few at a
+ * time in the background, so a large gallery does not hold up the crawl.
+ */
+
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { Actor } from 'apify';
+import { gotScraping } from 'got-scraping';
+
+const INDEX_KEY = 'IMAGE_INDEX';
+const INDEX_FILE = 'index.json';
+
+// Photos fetched at the same time
+const DOWNLOAD_CONCURRENCY = 4;
+
+const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif'
+};
+
+/**
+ * Hex SHA-256 of a buffer
+ */
+export function contentHash(buffer) {
+    return createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Storage backend holding the photos in a named key-value store
+ */
+export class KeyValueImageStorage {
+    static async open(storeName) {
+        return new KeyValueImageStorage(await Actor.openKeyValueStore(storeName));
+    }
+
+    constructor(store) {
+        this.store = store;
+    }
+
+    async readIndex() {
+        return await this.store.getValue(INDEX_KEY) ?? {};
+    }
+
+    async writeIndex(index) {
+        await this.store.setValue(INDEX_KEY, index);
+    }
+
+    async write(name, body, contentType) {
+        await this.store.setValue(name, body, { contentType });
+        return name;
+    }
+}
+
+/**
+ * Storage backend holding the photos in a local directory
+ */
+export class DirectoryImageStorage {
+    static async open(directory) {
+        await mkdir(directory, { recursive: true });
+        return new DirectoryImageStorage(directory);
+    }
+
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    async readIndex() {
+        try {
+            return JSON.parse(await readFile(join(this.directory, INDEX_FILE), 'utf8'));
+        } catch {
+            return {};
+        }
+    }
+
+    async writeIndex(index) {
+        await writeFile(join(this.directory, INDEX_FILE), JSON.stringify(index, null, 2));
+    }
+
+    async write(name, body) {
+        const path = join(this.directory, name);
+        await writeFile(path, body);
+        return path;
+    }
+}
+
+/**
+ * Fetch a photo with got-scraping
+ *
+ * @returns {Promise<{ body: Buffer, contentType: string }>}
+ */
+async function fetchImage(url, proxyUrl) {
+    const response = await gotScraping({ url, proxyUrl, responseType: 'buffer', timeout: { request: 30000 } });
+    if (response.statusCode !== 200) {
+        throw new Error(`Image ${url} responded with HTTP ${response.statusCode}`);
+    }
+    return { body: response.body, contentType: response.headers['content-type'] ?? 'image/jpeg' };
+}
+
+export class ImageDownloader {
+    /**
+     * @param {object} storage - KeyValueImageStorage or DirectoryImageStorage
+     * @param {object} index - Media id → { hash, storedAs } of the photos already saved
+     * @param {object} [options]
+     * @param {Function} [options.fetch] - Photo fetcher, (url) → { body, contentType }
+     * @param {number} [options.concurrency] - Photos fetched at the same time
+     */
+    constructor(storage, index, { fetch = fetchImage, concurrency = DOWNLOAD_CONCURRENCY } = {}) {
+        this.storage = storage;
+        this.index = index;
+        this.fetch = fetch;
+        this.concurrency = concurrency;
+        // Photos waiting for a download slot, the downloads under way, and the ids of both
+        this.waiting = [];
+        this.active = new Set();
+        this.queued = new Set();
+        this.errors = new Map();
+        this.downloaded = 0;
+        this.reused = 0;
+    }
+
+    /**
+     * Open the downloader on a local directory when one is given, else on a named store
+     */
+    static async open({ storeName, directory, fetch }) {
+        const storage = directory
+            ? await DirectoryImageStorage.open(directory)
+            : await KeyValueImageStorage.open(storeName);
+        return new ImageDownloader(storage, await storage.readIndex(), { fetch });
+    }
+
+    /**
+     * Number of photos that could not be fetched
+     */
+    get failed() {
+        return this.errors.size;
+    }
+
+    /**
+     * The gallery with hash and storedAs on the photos already stored
+     */
+    stored(gallery) {
+        return gallery.map((photo) => ({ ...photo, ...this.index[photo.id] }));
+    }
+
+    /**
+     * Queue the photos of a gallery that are not stored yet; they are fetched in the background
+     *
+     * @param {object[]} gallery - Photos as returned by the detail parser
+     * @param {string} [proxyUrl] - Proxy to download through
+     */
+    enqueue(gallery, proxyUrl) {
+        for (const photo of gallery) {
+            if (this.index[photo.id]) {
+                this.reused++;
+            } else if (!this.queued.has(photo.id)) {
+                this.queued.add(photo.id);
+                this.waiting.push({ photo, proxyUrl });
+            }
+        }
+        while (this.active.size < this.concurrency && this.waiting.length > 0) this.startNext();
+    }
+
+    startNext() {
+        const { photo, proxyUrl } = this.waiting.shift();
+        const task = this.fetchPhoto(photo, proxyUrl).finally(() => {
+            this.active.delete(task);
+            if (this.waiting.length > 0) this.startNext();
+        });
+        this.active.add(task);
+    }
+
+    async fetchPhoto(photo, proxyUrl) {
+        try {
+            const { body, contentType } = await this.fetch(photo.url, proxyUrl);
+            const hash = contentHash(body);
+            const type = contentType.split(';')[0].trim();
+            const storedAs = await this.storage.write(`${hash}.${EXTENSIONS[type] ?? 'jpg'}`, body, type);
+
+            this.index[photo.id] = { hash, storedAs };
+            this.downloaded++;
+        } catch (err) {
+            this.errors.set(photo.id, err.message);
+        }
+    }
+
+    /**
+     * Wait until every queued photo is fetched or failed
+     */
+    async idle() {
+        while (this.active.size > 0) await Promise.all([...this.active]);
+    }
+
+    async save() {
+        await this.storage.writeIndex(this.index);
+    }
+}
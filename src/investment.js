@@ -0,0 +1,128 @@
+/**
+ * Investment metrics for income properties (plexes)
+ *
+ * Computed from the unit breakdown, potential gross revenue, taxes and expenses
+ * the detail parser reads off plex pages, with the financing assumptions given
+ * in the input.
+ */
+
+export const DEFAULT_FINANCING = {
+    mortgageRate: 5,
+    downPaymentPercent: 20,
+    vacancyRate: 3,
+    amortizationYears: 25
+};
+
+const FINANCING_RANGES = {
+    mortgageRate: [0, 30],
+    downPaymentPercent: [0, 100],
+    vacancyRate: [0, 100],
+    amortizationYears: [1, 40]
+};
+
+/**
+ * Validate the financing inputs
+ *
+ * Every value must be a number within its range, decimals included. Missing
+ * values keep their default.
+ *
+ * @param {object} input - mortgageRate, downPaymentPercent, vacancyRate and amortizationYears
+ * @returns {object} The financing assumptions as numbers
+ */
+export function parseFinancing(input = {}) {
+    const financing = { ...DEFAULT_FINANCING };
+    const problems = [];
+    for (const [key, [min, max]] of Object.entries(FINANCING_RANGES)) {
+        const value = input[key];
+        if (value === undefined || value === null) continue;
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+            problems.push(`${key} must be a number from ${min} to ${max}, got ${JSON.stringify(value)}`);
+            continue;
+        }
+        financing[key] = value;
+    }
+    if (problems.length > 0) throw new Error(problems.join('\n'));
+    return financing;
+}
+
+function round(value, decimals = 0) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Monthly payment of a fixed-rate Canadian mortgage
+ *
+ * Canadian fixed rates are compounded semi-annually, so the monthly rate is
+ * derived from the half-yearly one rather than divided by 12.
+ *
+ * @param {number} principal - Amount borrowed
+ * @param {number} annualRate - Posted yearly rate, in percent
+ * @param {number} amortizationYears - Amortization period
+ */
+export function monthlyMortgagePayment(principal, annualRate, amortizationYears) {
+    const payments = amortizationYears * 12;
+    if (principal <= 0 || payments <= 0) return 0;
+    if (!annualRate) return principal / payments;
+
+    const monthlyRate = (1 + annualRate / 200) ** (1 / 6) - 1;
+    return principal * monthlyRate / (1 - (1 + monthlyRate) ** -payments);
+}
+
+/**
+ * Compute the investment block of a listing
+ *
+ * Yearly operating expenses are the municipal and school taxes plus the
+ * expenses table; vacancy is taken off the potential gross revenue before the
+ * net operating income. Metrics whose inputs are missing are null.
+ *
+ * @param {object} listing - Listing with price, unitCount, revenue, expenses and taxes
+ * @param {object} [financing] - mortgageRate, downPaymentPercent and vacancyRate in percent, amortizationYears
+ * @returns {object|undefined} Metrics, or undefined for listings without units or revenue
+ */
+export function computeInvestmentMetrics(listing, financing = {}) {
+    const { price, unitCount, revenue } = listing;
+    const grossRevenue = revenue?.gross;
+    if (!unitCount && !grossRevenue) return undefined;
+
+    const assumptions = { ...DEFAULT_FINANCING };
+    for (const [key, value] of Object.entries(financing)) {
+        if (typeof value === 'number' && Number.isFinite(value)) assumptions[key] = value;
+    }
+
+    const operatingExpenses = (listing.municipalTaxes ?? 0)
+        + (listing.schoolTaxes ?? 0)
+        + (listing.expenses?.total ?? 0);
+
+    const metrics = {
+        grossRentMultiplier: null,
+        pricePerDoor: null,
+        effectiveGrossRevenue: null,
+        operatingExpenses,
+        netOperatingIncome: null,
+        capRate: null,
+        monthlyMortgagePayment: null,
+        monthlyCashFlow: null,
+        assumptions
+    };
+
+    if (price && unitCount) {
+        metrics.pricePerDoor = round(price / unitCount);
+    }
+    if (!grossRevenue) return metrics;
+
+    const effectiveGrossRevenue = grossRevenue * (1 - assumptions.vacancyRate / 100);
+    const netOperatingIncome = effectiveGrossRevenue - operatingExpenses;
+    metrics.effectiveGrossRevenue = round(effectiveGrossRevenue);
+    metrics.netOperatingIncome = round(netOperatingIncome);
+    if (!price) return metrics;
+
+    const loan = price * (1 - assumptions.downPaymentPercent / 100);
+    const payment = monthlyMortgagePayment(loan, assumptions.mortgageRate, assumptions.amortizationYears);
+
+    metrics.grossRentMultiplier = round(price / grossRevenue, 2);
+    metrics.capRate = round(netOperatingIncome / price * 100, 2);
+    metrics.monthlyMortgagePayment = round(payment);
+    metrics.monthlyCashFlow = round(netOperatingIncome / 12 - payment);
+    return metrics;
+}
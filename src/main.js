@@ -2,74 +2,67 @@
  * Centris.ca Quebec Real Estate Scraper
  * 
  * Scrapes property listings from Centris.ca with comprehensive filtering options.
- * Uses Playwright for JavaScript rendering and applies filters post-scrape
- * since Centris uses complex AJAX/POST-based filtering.
+ * By default searches go through the same AJAX/POST search API the Centris site
+ * uses, so filtering and paging happen server-side; Playwright renders detail
+ * pages and is the fallback for searches the API cannot serve.
  * 
  * @author DC Immobilier
  * @version 2.0.0
  */
 
 import { Actor, log } from 'apify';
-import { PlaywrightCrawler } from 'crawlee';
-
-// Centris.ca configuration
-const CENTRIS_BASE_URL = 'https://www.centris.ca';
-
-// Region mappings to Centris slugs
-const REGION_MAP = {
-    'montreal': 'montreal',
-    'montréal': 'montreal',
-    'quebec city': 'quebec',
-    'québec': 'quebec',
-    'laval': 'laval',
-    'longueuil': 'longueuil',
-    'gatineau': 'gatineau',
-    'sherbrooke': 'sherbrooke',
-    'trois-rivières': 'trois-rivieres',
-    'trois-rivieres': 'trois-rivieres',
-    'saguenay': 'saguenay',
-    'lévis': 'levis',
-    'levis': 'levis',
-    'terrebonne': 'terrebonne',
-    'brossard': 'brossard',
-    'repentigny': 'repentigny',
-    'drummondville': 'drummondville',
-    'saint-jean-sur-richelieu': 'saint-jean-sur-richelieu',
-    'saint-jerome': 'saint-jerome',
-    'granby': 'granby',
-    'blainville': 'blainville',
-    'saint-hyacinthe': 'saint-hyacinthe',
-    'shawinigan': 'shawinigan',
-    'dollard-des-ormeaux': 'dollard-des-ormeaux',
-    'rimouski': 'rimouski',
-    'victoriaville': 'victoriaville',
-    'saint-eustache': 'saint-eustache',
-    'mascouche': 'mascouche'
-};
-
-// Property type mappings
-const PROPERTY_TYPE_MAP = {
-    'house': ['maison', 'house', 'detached', 'unifamiliale'],
-    'condo': ['condo', 'condominium', 'appartement', 'apartment'],
-    'plex': ['plex', 'duplex', 'triplex', 'quadruplex', 'multiplex', 'revenue'],
-    'land': ['terrain', 'land', 'lot'],
-    'commercial': ['commercial', 'industriel', 'industrial'],
-    'farm': ['ferme', 'farm', 'agricole'],
-    'cottage': ['chalet', 'cottage']
-};
+import { CheerioCrawler, PlaywrightCrawler, RequestList } from 'crawlee';
+import { CENTRIS_BASE_URL } from './constants.js';
+import { centrisIdFromUrl, daysSince, listingUrlFromId, parsePrice } from './utils.js';
+import { parseSearchResults, parseNextPageUrl } from './parsers/search.js';
+import { isListingAvailable, isListingSold, parseListingDetails } from './parsers/listing.js';
+import { CentrisSearchClient, searchPriceRange, sortKey } from './search-api.js';
+import { findFailedFilter } from './filters.js';
+import { ListingMonitor } from './monitor.js';
+import { ListingHistory } from './history.js';
+import { archiveRecord, classifyListingPage } from './archive.js';
+import { ListingRegistry } from './registry.js';
+import { computeInvestmentMetrics, parseFinancing } from './investment.js';
+import { resolveRegions } from './gazetteer.js';
+import { GEO_AREA_REGION, areaBounds, areaCenter, haversineKm, parseGeoArea } from './geo.js';
+import { OUTPUT_FORMATS, exportRecords } from './export.js';
+import { BrokerDirectory } from './brokers.js';
+import { ImageDownloader } from './images.js';
+import { buildMarketReport, renderMarketReportHtml } from './market-report.js';
+import { BlockTracker, RequestPacer, detectBlock, parseRetryAfter } from './blocking.js';
+import { createNotifiers } from './notifications.js';
+import { normalizeListing } from './normalize.js';
+import { compsCriteria, findComps, parseSubjectProperty } from './comps.js';
+import { parseSearchProfiles } from './profiles.js';
+import { assessListingQuality } from './quality.js';
+import { RunCheckpoint } from './checkpoint.js';
+import { needsBrowser } from './rendering.js';
+import { loadPage } from './parsers/page.js';
 
 await Actor.init();
 
+// State left by an earlier attempt of this run, when it was migrated or restarted
+const checkpoint = await RunCheckpoint.open();
+const startedAt = checkpoint.state?.startedAt ?? new Date().toISOString();
+
 // Get input configuration
 const input = await Actor.getInput() ?? {};
 
 const {
     searchType = 'buy',
     propertyTypes = [],
-    regions = ['Montreal'],
+    regions: regionInput = ['Montreal'],
+    geoArea,
+    searchProfiles = [],
     neighborhoods = [],
+    startUrls = [],
+    centrisIds = [],
     minPrice = 0,
     maxPrice = 0,
+    maxRent = 0,
+    furnished = 'any',
+    availableBefore,
+    utilitiesIncluded = [],
     minBedrooms = 0,
     maxBedrooms = 0,
     minBathrooms = 0,
@@ -86,17 +79,179 @@ const {
     maxListings = 100,
     includeDetails = true,
     includeImages = true,
+    downloadImages = false,
+    imageStoreName = 'centris-images',
+    imageDirectory,
     language = 'fr',
     proxyConfiguration,
     maxConcurrency = 3,
-    maxRequestRetries = 3
+    maxRequestRetries = 3,
+    minRequestDelayMs = 500,
+    maxBlockRate = 50,
+    minDataConfidence = 60,
+    quarantineDatasetName = 'centris-quarantine',
+    searchMode = 'api',
+    crawlerMode = 'browser',
+    monitoringMode = false,
+    monitorStoreName = 'centris-monitor',
+    mortgageRate,
+    downPaymentPercent,
+    vacancyRate,
+    amortizationYears,
+    outputFormats = [],
+    marketReport = false,
+    collectBrokers = true,
+    brokersDatasetName = 'centris-brokers',
+    trackHistory = true,
+    historyStoreName = 'centris-listing-history',
+    verifyMissingListings = false,
+    archiveDatasetName = 'centris-archive',
+    notifiers: notifierConfigs = [],
+    subjectProperty,
+    compsDatasetName = 'centris-comps'
 } = input;
 
-// Track statistics
-let listingsScraped = 0;
-let listingsFiltered = 0;
-let pagesScraped = 0;
-let errors = 0;
+if (!['browser', 'http'].includes(crawlerMode)) {
+    await Actor.fail(`Invalid crawlerMode input: "${crawlerMode}" is not browser or http`);
+}
+
+// Financing assumptions behind the plex investment metrics
+let financing;
+try {
+    financing = parseFinancing({ mortgageRate, downPaymentPercent, vacancyRate, amortizationYears });
+} catch (err) {
+    await Actor.fail(`Invalid investment input:\n${err.message}`);
+}
+
+// Radius, bounding box or polygon searched instead of the regions
+let searchArea = null;
+if (geoArea) {
+    try {
+        searchArea = parseGeoArea(geoArea);
+    } catch (err) {
+        await Actor.fail(`Invalid geoArea input: ${err.message}`);
+    }
+}
+
+// Comparables mode: the search runs around the subject property, within a radius of its
+// coordinates or else in the municipality of its address, instead of geoArea or the regions
+let subject = null;
+if (subjectProperty) {
+    try {
+        subject = parseSubjectProperty(subjectProperty);
+    } catch (err) {
+        await Actor.fail(`Invalid subjectProperty input: ${err.message}`);
+    }
+    if (geoArea || input.regions || searchProfiles.length > 0) {
+        log.warning('subjectProperty replaces the geoArea, regions and searchProfiles inputs');
+    }
+    searchArea = subject.coordinates
+        ? { type: 'radius', center: subject.coordinates, radiusKm: subject.radiusKm }
+        : null;
+}
+const regions = subject && !searchArea ? [subject.locality.name] : regionInput;
+
+// Webhook, chat and email destinations told about matching listings as they are saved
+let notifiers = [];
+try {
+    notifiers = createNotifiers(notifierConfigs, { searchType });
+} catch (err) {
+    await Actor.fail(`Invalid notifiers input:\n${err.message}`);
+}
+if (notifiers.some((notifier) => notifier.config.onlyNew) && !trackHistory && !monitoringMode) {
+    log.warning('Notifiers with onlyNew need trackHistory or monitoringMode to tell new listings apart; every listing counts as new');
+}
+
+if (searchType === 'rent' && (minPrice > 0 || maxPrice > 0)) {
+    log.warning('minPrice and maxPrice are sale prices and are ignored for rentals; use maxRent to cap the monthly rent');
+}
+
+// Search and filter criteria, sent to the Centris search API in API mode and
+// enforced on every scraped listing
+const criteria = {
+    geoArea: searchArea,
+    searchType,
+    propertyTypes,
+    neighborhoods,
+    minPrice,
+    maxPrice,
+    maxRent,
+    furnished,
+    availableBefore,
+    utilitiesIncluded,
+    minBedrooms,
+    maxBedrooms,
+    minBathrooms,
+    maxBathrooms,
+    minLivingArea,
+    maxLivingArea,
+    minLotSize,
+    maxLotSize,
+    yearBuiltMin,
+    yearBuiltMax,
+    features,
+    listingAge,
+    sortBy
+};
+
+// Comparables of the subject: same type, similar bedrooms, size and age
+if (subject) {
+    Object.assign(criteria, compsCriteria(subject));
+    log.info('🏘️ Finding comparables for the subject property:', {
+        location: subject.coordinates ? `${subject.radiusKm} km around ${subject.coordinates.latitude}, ${subject.coordinates.longitude}` : regions[0],
+        ...compsCriteria(subject)
+    });
+}
+
+// Named searches sharing the crawler; without them the run is a single search of the
+// top-level regions or area and criteria
+let profiles = null;
+if (searchProfiles.length > 0 && !subject) {
+    try {
+        profiles = parseSearchProfiles(searchProfiles, criteria, regions);
+    } catch (err) {
+        await Actor.fail(`Invalid searchProfiles input:\n${err.message}`);
+    }
+}
+const searches = profiles ?? [{ name: null, regions: searchArea ? [] : regions, criteria }];
+const profileCriteria = new Map((profiles ?? []).map((profile) => [profile.name, profile.criteria]));
+const searchedRegions = [...new Set(searches.flatMap((search) => search.regions))];
+const searchesArea = searches.some((search) => search.criteria.geoArea);
+
+// Region names resolved against the bundled Quebec gazetteer before anything is crawled;
+// not needed when an area or direct listings replace the region search
+let regionPlaces = new Map();
+if (subject && !searchArea) {
+    regionPlaces = new Map([[regions[0], subject.locality]]);
+} else if (searchedRegions.length > 0 && startUrls.length === 0 && centrisIds.length === 0) {
+    try {
+        const { places, corrections } = resolveRegions(searchedRegions);
+        regionPlaces = places;
+        for (const correction of corrections) log.warning(`Region ${correction}`);
+    } catch (err) {
+        await Actor.fail(`Invalid regions input:\n${err.message}`);
+    }
+}
+
+// Run statistics, kept in the run checkpoint so a resumed run carries on counting
+const stats = {
+    listingsScraped: 0,
+    listingsFiltered: 0,
+    filteredBy: {},
+    listingsUnchanged: 0,
+    maxListingsReached: false,
+    duplicatesSkipped: 0,
+    listingsUnavailable: 0,
+    listingsVerified: {},
+    changesDetected: {},
+    pagesScraped: 0,
+    errors: 0,
+    failedUrls: [],
+    listingsSavedByProfile: {},
+    listingsQuarantined: 0,
+    qualityWarnings: {},
+    browserFallbacks: 0
+};
 
 log.info('🏠 Starting Centris.ca scraper v2.0 with configuration:', {
     searchType,
@@ -106,7 +261,10 @@ log.info('🏠 Starting Centris.ca scraper v2.0 with configuration:', {
     bedrooms: { min: minBedrooms, max: maxBedrooms },
     bathrooms: { min: minBathrooms, max: maxBathrooms },
     maxListings,
-    language
+    language,
+    searchMode,
+    crawlerMode,
+    ...(profiles && { searchProfiles: profiles.map(({ name }) => name) })
 });
 
 // Log filter criteria for debugging
@@ -117,89 +275,135 @@ log.info('📋 Filter criteria:', {
     maxBedrooms: maxBedrooms || 'none',
     minBathrooms: minBathrooms || 'none',
     maxBathrooms: maxBathrooms || 'none',
-    propertyTypes: propertyTypes.length > 0 ? propertyTypes : 'all'
+    minLotSize: minLotSize || 'none',
+    maxLotSize: maxLotSize || 'none',
+    propertyTypes: propertyTypes.length > 0 ? propertyTypes : 'all',
+    neighborhoods: neighborhoods.length > 0 ? neighborhoods : 'all',
+    features: features.length > 0 ? features : 'any',
+    listingAge,
+    sortBy,
+    ...(searchType === 'rent' && {
+        maxRent: maxRent || 'none',
+        furnished,
+        availableBefore: availableBefore || 'any time',
+        utilitiesIncluded: utilitiesIncluded.length > 0 ? utilitiesIncluded : 'any'
+    })
 });
 
+// In monitoring mode, load the state left by the previous run
+const monitor = monitoringMode ? await ListingMonitor.open(monitorStoreName) : null;
+if (monitor) {
+    log.info(`👀 Monitoring mode: ${monitor.knownCount} listing(s) known from previous runs in store "${monitorStoreName}"`);
+}
+
+// Price history and first sighting of each listing, kept across runs
+const history = trackHistory ? await ListingHistory.open(historyStoreName) : null;
+
+// Brokers of the saved listings, written to their own dataset at the end of the run
+const brokerDirectory = collectBrokers ? new BrokerDirectory(checkpoint.state?.brokers) : null;
+
+// Photos of saved listings, kept between runs so each is downloaded once
+const imageDownloader = includeImages && downloadImages
+    ? await ImageDownloader.open({ storeName: imageStoreName, directory: imageDirectory })
+    : null;
+
+// Listings seen across all regions and pages, and the run-wide maxListings cap
+const registry = new ListingRegistry(maxListings);
+
+// Searches stopped because maxListings had no room left, with the cards they had not gone
+// through and how to read on; they carry on if filtered or failed listings give slots back
+const pausedSearches = [];
+
+// An interrupted attempt left its pending pages in the request queue and its saved
+// listings in the dataset: carry on with its counters, seen listings and search progress
+const resumedFrom = checkpoint.state?.savedAt ?? null;
+if (checkpoint.isResumed) {
+    Object.assign(stats, checkpoint.state.stats);
+    registry.restore(checkpoint.state.registry);
+    for (const centrisId of checkpoint.state.monitorSeen ?? []) monitor?.seen.add(centrisId);
+    log.info(`♻️ Resuming from the checkpoint of ${resumedFrom}: ${stats.listingsScraped} listing(s) saved, ${registry.seenCount} seen`);
+}
+
+/**
+ * Write the run checkpoint, and the monitoring, history and photo stores it relies on
+ */
+async function saveCheckpoint() {
+    try {
+        await monitor?.save();
+        await history?.save();
+        await imageDownloader?.save();
+        await checkpoint.save({
+            startedAt,
+            stats,
+            registry: registry.toJSON(),
+            monitorSeen: monitor ? [...monitor.seen] : [],
+            brokers: brokerDirectory?.toJSON() ?? []
+        });
+    } catch (err) {
+        log.warning(`Could not save the run checkpoint: ${err.message}`);
+    }
+}
+
+// persistState fires at regular intervals; migrating right before the run moves
+Actor.on('persistState', saveCheckpoint);
+Actor.on('migrating', saveCheckpoint);
+
 // Create proxy configuration
 const proxyConfig = await Actor.createProxyConfiguration(proxyConfiguration);
 
+// Captcha, challenge and rate-limit pages: per-domain pacing that backs off on them,
+// and the share of blocked requests that ends the run
+const pacer = new RequestPacer({ minDelayMs: minRequestDelayMs });
+const blockTracker = new BlockTracker({ maxBlockRate });
+let runBlocked = false;
+
 /**
- * Check if a listing matches the filter criteria
+ * Count an error and remember the URL it happened on for the run summary
  */
-function matchesFilters(listing) {
-    // Price filter
-    if (minPrice > 0 && listing.price && listing.price < minPrice) {
-        log.debug(`Filtered out ${listing.centrisId}: price ${listing.price} < minPrice ${minPrice}`);
-        return false;
-    }
-    if (maxPrice > 0 && listing.price && listing.price > maxPrice) {
-        log.debug(`Filtered out ${listing.centrisId}: price ${listing.price} > maxPrice ${maxPrice}`);
-        return false;
-    }
-    
-    // Bedrooms filter
-    if (minBedrooms > 0 && listing.bedrooms !== null && listing.bedrooms < minBedrooms) {
-        log.debug(`Filtered out ${listing.centrisId}: bedrooms ${listing.bedrooms} < minBedrooms ${minBedrooms}`);
-        return false;
-    }
-    if (maxBedrooms > 0 && listing.bedrooms !== null && listing.bedrooms > maxBedrooms) {
-        log.debug(`Filtered out ${listing.centrisId}: bedrooms ${listing.bedrooms} > maxBedrooms ${maxBedrooms}`);
-        return false;
-    }
-    
-    // Bathrooms filter
-    if (minBathrooms > 0 && listing.bathrooms !== null && listing.bathrooms < minBathrooms) {
-        log.debug(`Filtered out ${listing.centrisId}: bathrooms ${listing.bathrooms} < minBathrooms ${minBathrooms}`);
-        return false;
-    }
-    if (maxBathrooms > 0 && listing.bathrooms !== null && listing.bathrooms > maxBathrooms) {
-        log.debug(`Filtered out ${listing.centrisId}: bathrooms ${listing.bathrooms} > maxBathrooms ${maxBathrooms}`);
-        return false;
-    }
-    
-    // Living area filter
-    if (minLivingArea > 0 && listing.livingArea !== null && listing.livingArea < minLivingArea) {
-        log.debug(`Filtered out ${listing.centrisId}: livingArea ${listing.livingArea} < minLivingArea ${minLivingArea}`);
-        return false;
-    }
-    if (maxLivingArea > 0 && listing.livingArea !== null && listing.livingArea > maxLivingArea) {
-        log.debug(`Filtered out ${listing.centrisId}: livingArea ${listing.livingArea} > maxLivingArea ${maxLivingArea}`);
-        return false;
-    }
+function recordFailure(url, message) {
+    stats.errors++;
+    stats.failedUrls.push({ url, error: message });
+}
+
+/**
+ * Count a blocked request, slow down its domain and stop the crawl once the
+ * block rate crosses maxBlockRate
+ */
+function recordBlock(request, reason, retryAfterMs) {
+    blockTracker.block(reason);
+    const delayMs = pacer.blocked(new URL(request.url).hostname, retryAfterMs);
+    log.warning(`🛑 Blocked (${reason}) on ${request.url}; retrying on a new session, ${Math.round(delayMs / 1000)}s between requests`);
     
-    // Year built filter
-    if (yearBuiltMin > 0 && listing.yearBuilt !== null && listing.yearBuilt < yearBuiltMin) {
-        log.debug(`Filtered out ${listing.centrisId}: yearBuilt ${listing.yearBuilt} < yearBuiltMin ${yearBuiltMin}`);
-        return false;
-    }
-    if (yearBuiltMax > 0 && listing.yearBuilt !== null && listing.yearBuilt > yearBuiltMax) {
-        log.debug(`Filtered out ${listing.centrisId}: yearBuilt ${listing.yearBuilt} > yearBuiltMax ${yearBuiltMax}`);
-        return false;
+    if (!runBlocked && blockTracker.thresholdExceeded) {
+        runBlocked = true;
+        log.error(`Centris blocked ${blockTracker.blockRate}% of ${blockTracker.requests} requests, above maxBlockRate (${maxBlockRate}%); stopping the crawl`);
+        crawler.autoscaledPool?.abort();
+        browserCrawler.autoscaledPool?.abort();
     }
-    
-    // Property type filter
-    if (propertyTypes.length > 0 && listing.propertyType) {
-        const listingType = listing.propertyType.toLowerCase();
-        let typeMatched = false;
-        
-        for (const requestedType of propertyTypes) {
-            const typeVariants = PROPERTY_TYPE_MAP[requestedType.toLowerCase()] || [requestedType.toLowerCase()];
-            for (const variant of typeVariants) {
-                if (listingType.includes(variant)) {
-                    typeMatched = true;
-                    break;
-                }
-            }
-            if (typeMatched) break;
-        }
-        
-        if (!typeMatched) {
-            log.debug(`Filtered out ${listing.centrisId}: propertyType "${listing.propertyType}" doesn't match ${propertyTypes}`);
-            return false;
+}
+
+/**
+ * Check if a listing matches the filter criteria, counting which filter removed it
+ * With search profiles it has to match one of the profiles that returned it (or the
+ * given ones), and a full check tags it with the profiles it matches
+ */
+function matchesFilters(listing, only, profileNames = registry.matchedProfiles(listing)) {
+    let failedFilter;
+    if (profiles) {
+        const matched = profileNames.filter((name) => !findFailedFilter(listing, profileCriteria.get(name), only));
+        if (matched.length > 0) {
+            if (!only) listing.matchedProfiles = matched;
+            return true;
         }
+        failedFilter = findFailedFilter(listing, profileCriteria.get(profileNames[0]) ?? criteria, only) ?? 'profiles';
+    } else {
+        failedFilter = findFailedFilter(listing, criteria, only);
+        if (!failedFilter) return true;
     }
     
-    return true;
+    stats.filteredBy[failedFilter] = (stats.filteredBy[failedFilter] || 0) + 1;
+    log.debug(`Filtered out ${listing.centrisId}: ${failedFilter} outside criteria`);
+    return false;
 }
 
 /**
@@ -207,9 +411,9 @@ function matchesFilters(listing) {
  * Note: Centris filtering is primarily done via POST/AJAX, so URL params have limited effect
  * We scrape more than needed and filter locally for accuracy
  */
-function buildRegionSearchUrl(region, pageNumber = 1) {
+function buildRegionSearchUrl(region, searchCriteria = criteria, pageNumber = 1) {
     const isFrench = language === 'fr';
-    const regionSlug = REGION_MAP[region.toLowerCase()] || region.toLowerCase().replace(/\s+/g, '-');
+    const regionSlug = regionPlaces.get(region).slug;
     
     let baseUrl;
     if (searchType === 'rent') {
@@ -225,9 +429,11 @@ function buildRegionSearchUrl(region, pageNumber = 1) {
     // Add URL params as hints (may not work on all pages but helps in some cases)
     const params = new URLSearchParams();
     
-    if (minPrice > 0) params.append('pmin', minPrice.toString());
-    if (maxPrice > 0) params.append('pmax', maxPrice.toString());
-    if (minBedrooms > 0) params.append('bed', minBedrooms.toString());
+    const price = searchPriceRange(searchCriteria);
+    if (price.min > 0) params.append('pmin', price.min.toString());
+    if (price.max > 0) params.append('pmax', price.max.toString());
+    if (searchCriteria.minBedrooms > 0) params.append('bed', searchCriteria.minBedrooms.toString());
+    params.append('sort', sortKey(searchCriteria.sortBy));
     
     if (pageNumber > 1) {
         params.append('view', 'Thumbnail');
@@ -239,27 +445,9 @@ function buildRegionSearchUrl(region, pageNumber = 1) {
 }
 
 /**
- * Parse price from formatted string
+ * Wait for a search results page to render in the browser, scrolling to trigger lazy loading
  */
-function parsePrice(priceStr) {
-    if (!priceStr) return null;
-    const cleaned = priceStr.replace(/[^0-9]/g, '');
-    return cleaned ? parseInt(cleaned, 10) : null;
-}
-
-/**
- * Parse number from string (for bedrooms, bathrooms, etc)
- */
-function parseNumber(str) {
-    if (!str) return null;
-    const match = str.match(/(\d+)/);
-    return match ? parseInt(match[1], 10) : null;
-}
-
-/**
- * Extract listings from page using JavaScript evaluation
- */
-async function extractListingsFromPage(page) {
+async function renderSearchPage(page) {
     // Wait for the page to fully load
     await page.waitForLoadState('domcontentloaded');
     await page.waitForTimeout(3000);
@@ -273,314 +461,641 @@ async function extractListingsFromPage(page) {
         window.scrollTo(0, document.body.scrollHeight);
     });
     await page.waitForTimeout(2000);
+}
+
+/**
+ * Extract detailed information from a listing page
+ *
+ * @param {import('cheerio').CheerioAPI} $ - Document of the page, rendered or as fetched
+ * @param {string} pageUrl - URL the page was loaded from
+ * @param {object} basicListing - Search card or direct listing the details are merged over
+ */
+function extractListingDetails($, pageUrl, basicListing) {
+    const details = parseListingDetails($, pageUrl);
     
-    // Try to extract data directly from the page using evaluate
-    const listings = await page.evaluate(() => {
-        const results = [];
-        
-        // Centris uses various selectors - try multiple approaches
-        const cardSelectors = [
-            '.property-thumbnail-item',
-            '.thumbnail-item',
-            '[data-id]',
-            '.property-thumbnail',
-            'a.property-thumbnail-summary-link',
-            '.shell',
-            '.property-thumbnail-summary'
-        ];
-        
-        let cards = [];
-        for (const selector of cardSelectors) {
-            cards = document.querySelectorAll(selector);
-            if (cards.length > 0) {
-                console.log(`Found ${cards.length} cards with selector: ${selector}`);
-                break;
-            }
-        }
-        
-        // If no cards found, try to find links to property pages
-        if (cards.length === 0) {
-            const allLinks = document.querySelectorAll('a[href*="/fr/"][href*="~a-vendre~"], a[href*="/en/"][href*="~for-sale~"]');
-            cards = allLinks;
-            console.log(`Found ${cards.length} property links`);
+    // Centris only publishes the listing date; derive the time on market from it,
+    // or from our own first sighting when the page has none
+    if (details.listingDate) {
+        details.daysOnMarket = daysSince(details.listingDate);
+    } else if (history) {
+        details.daysOnMarket = history.daysOnMarket(basicListing.centrisId);
+    }
+    
+    const listing = { ...basicListing, ...details };
+    
+    if (!includeImages) {
+        delete listing.images;
+        delete listing.gallery;
+    }
+    
+    // Plexes and other income properties: GRM, cap rate and cash flow
+    const investmentMetrics = computeInvestmentMetrics(listing, financing);
+    if (investmentMetrics) listing.investmentMetrics = investmentMetrics;
+    
+    return listing;
+}
+
+/**
+ * Save a listing that passed the filters
+ * In monitoring mode only its change record is pushed, and nothing when it is unchanged.
+ * A listing whose values look misread goes to the quarantine dataset instead and gives
+ * its maxListings slot back.
+ *
+ * @param {object} listing
+ * @param {object} [card] - Search card the listing was queued from, checked against its detail values
+ * @returns {Promise<boolean>} False when the listing was quarantined
+ */
+async function saveListing(listing, card) {
+    listing.transactionType = searchType === 'rent' ? 'Rental' : 'Sale';
+    // Detail pages are normalised by the parser; search cards only here
+    listing.normalized ??= normalizeListing(listing);
+    
+    listing.dataQuality = assessListingQuality(listing, { card });
+    for (const { code } of listing.dataQuality.warnings) {
+        stats.qualityWarnings[code] = (stats.qualityWarnings[code] || 0) + 1;
+    }
+    if (listing.dataQuality.confidence < minDataConfidence) {
+        listing.scrapedAt = new Date().toISOString();
+        await (await Actor.openDataset(quarantineDatasetName)).pushData(listing);
+        stats.listingsQuarantined++;
+        registry.release();
+        log.warning(`🧪 Quarantined listing ${listing.centrisId} (confidence ${listing.dataQuality.confidence}): `
+            + listing.dataQuality.warnings.map(({ message }) => message).join('; '));
+        return false;
+    }
+    
+    listing.matchedRegions = registry.matchedRegions(listing);
+    // Distance from the top-level area, or else from the area of a profile it matched
+    const area = searchArea ?? (listing.matchedProfiles ?? [])
+        .map((name) => profileCriteria.get(name).geoArea)
+        .find(Boolean);
+    if (area && listing.coordinates) {
+        listing.distanceKm = Math.round(haversineKm(areaCenter(area), listing.coordinates) * 100) / 100;
+    }
+    listing.scrapedAt = new Date().toISOString();
+    
+    if (history) {
+        Object.assign(listing, history.record(listing));
+    }
+    
+    brokerDirectory?.add(listing);
+    
+    // Photos stored by earlier runs are named on the record; new ones are fetched once it is out
+    if (imageDownloader && listing.gallery?.length > 0) {
+        listing.gallery = imageDownloader.stored(listing.gallery);
+    }
+    
+    if (monitor) {
+        const change = monitor.update(listing);
+        if (change) {
+            await Actor.pushData(change);
+            stats.changesDetected[change.changeType] = (stats.changesDetected[change.changeType] || 0) + 1;
+            notify(listing, change.changeType === 'new');
         }
-        
-        cards.forEach((card) => {
-            try {
-                const listing = {};
-                
-                // Try to get the URL
-                let link = card;
-                if (card.tagName !== 'A') {
-                    link = card.querySelector('a[href*="~a-vendre~"], a[href*="~for-sale~"], a[href*="~a-louer~"], a[href*="~for-rent~"], a.property-thumbnail-summary-link');
-                }
-                
-                if (link && link.href) {
-                    listing.url = link.href;
-                    // Extract ID from URL - Centris IDs are typically 8 digits
-                    const idMatch = listing.url.match(/\/(\d{7,8})(?:[?#]|$)/);
-                    if (idMatch) listing.centrisId = idMatch[1];
-                }
-                
-                // Skip if no valid URL
-                if (!listing.url || !listing.url.includes('centris.ca')) return;
-                
-                // Get price - try multiple selectors
-                const priceSelectors = [
-                    '.price', 
-                    '.price span', 
-                    '[class*="price"]', 
-                    '.property-price',
-                    '.listing-price',
-                    'span[itemprop="price"]'
-                ];
-                
-                for (const selector of priceSelectors) {
-                    const priceEl = card.querySelector(selector);
-                    if (priceEl) {
-                        listing.priceFormatted = priceEl.textContent?.trim();
-                        if (listing.priceFormatted) break;
-                    }
-                }
-                
-                // Get address
-                const addressSelectors = [
-                    '.address',
-                    '.property-address', 
-                    '[class*="address"]',
-                    '.location',
-                    'span[itemprop="address"]'
-                ];
-                
-                for (const selector of addressSelectors) {
-                    const addrEl = card.querySelector(selector);
-                    if (addrEl) {
-                        listing.addressText = addrEl.textContent?.trim();
-                        if (listing.addressText) break;
-                    }
-                }
-                
-                // Get property type
-                const typeSelectors = [
-                    '.category',
-                    '.property-type',
-                    '[class*="category"]',
-                    '.property-thumbnail-summary-type'
-                ];
-                
-                for (const selector of typeSelectors) {
-                    const typeEl = card.querySelector(selector);
-                    if (typeEl) {
-                        listing.propertyType = typeEl.textContent?.trim();
-                        if (listing.propertyType) break;
-                    }
-                }
-                
-                // Get bedrooms/bathrooms from features text
-                const featureSelectors = [
-                    '.cac',
-                    '.features',
-                    '[class*="feature"]',
-                    '.property-thumbnail-summary-bedroom',
-                    '.property-thumbnail-summary-bathroom'
-                ];
-                
-                let featuresText = '';
-                for (const selector of featureSelectors) {
-                    const featureEls = card.querySelectorAll(selector);
-                    featureEls.forEach(el => {
-                        featuresText += ' ' + (el.textContent || '');
-                    });
-                }
-                
-                // Also check for specific bedroom/bathroom elements
-                const bedroomEl = card.querySelector('[class*="bedroom"], [class*="chambre"]');
-                const bathroomEl = card.querySelector('[class*="bathroom"], [class*="salle"]');
-                
-                if (bedroomEl) {
-                    const bedMatch = bedroomEl.textContent?.match(/(\d+)/);
-                    if (bedMatch) listing.bedrooms = parseInt(bedMatch[1], 10);
-                }
-                
-                if (bathroomEl) {
-                    const bathMatch = bathroomEl.textContent?.match(/(\d+)/);
-                    if (bathMatch) listing.bathrooms = parseInt(bathMatch[1], 10);
-                }
-                
-                // Parse from features text if not found
-                if (!listing.bedrooms) {
-                    const bedMatch = featuresText.match(/(\d+)\s*(?:ch|bed|chambre|bedroom)/i);
-                    if (bedMatch) listing.bedrooms = parseInt(bedMatch[1], 10);
-                }
-                
-                if (!listing.bathrooms) {
-                    const bathMatch = featuresText.match(/(\d+)\s*(?:sdb|bath|salle|bathroom)/i);
-                    if (bathMatch) listing.bathrooms = parseInt(bathMatch[1], 10);
-                }
-                
-                // Get main image
-                const imgSelectors = [
-                    'img.property-thumbnail-summary-link-image',
-                    'img[src*="centris"]',
-                    'img[data-src*="centris"]',
-                    'img.property-photo',
-                    'img'
-                ];
-                
-                for (const selector of imgSelectors) {
-                    const imgEl = card.querySelector(selector);
-                    if (imgEl) {
-                        listing.mainImage = imgEl.src || imgEl.dataset?.src;
-                        if (listing.mainImage && listing.mainImage.includes('centris')) break;
-                    }
-                }
-                
-                if (listing.url) {
-                    results.push(listing);
-                }
-            } catch (err) {
-                console.error('Error extracting card:', err);
-            }
-        });
-        
-        return results;
+    } else {
+        await Actor.pushData(listing);
+        // First seen in this run, or no history to tell
+        notify(listing, !listing.firstSeenAt || listing.firstSeenAt >= startedAt);
+    }
+    if (imageDownloader && listing.gallery?.length > 0) {
+        imageDownloader.enqueue(listing.gallery, proxyConfig ? await proxyConfig.newUrl() : undefined);
+    }
+    stats.listingsScraped++;
+    for (const name of listing.matchedProfiles ?? []) {
+        stats.listingsSavedByProfile[name] = (stats.listingsSavedByProfile[name] || 0) + 1;
+    }
+    return true;
+}
+
+/**
+ * Hand a saved listing to every notifier; they deliver in the background, and
+ * their delivery problems are logged when they are flushed at the end of the run
+ */
+function notify(listing, isNew) {
+    for (const notifier of notifiers) notifier.add(listing, { isNew });
+}
+
+/**
+ * Push a record for a listing given by URL or ID that no longer resolves
+ */
+async function saveUnavailable(listing, reason) {
+    await Actor.pushData({
+        centrisId: listing.centrisId,
+        url: listing.url,
+        status: 'unavailable',
+        reason,
+        scrapedAt: new Date().toISOString()
+    });
+    stats.listingsUnavailable++;
+    log.info(`❌ Listing ${listing.centrisId || listing.url} is unavailable (${reason})`);
+}
+
+/**
+ * Classify a listing that dropped out of the search results from its detail page,
+ * archiving it when it left the market
+ */
+async function verifyListing(request, { $, url, status }) {
+    const { centrisId } = request.userData;
+    const result = classifyListingPage({
+        httpStatus: status ?? 200,
+        available: isListingAvailable($, url, centrisId),
+        sold: isListingSold($),
+        pageUrl: url
     });
     
-    return listings;
+    if (!result) {
+        recordFailure(request.url, `Could not verify listing ${centrisId}: HTTP ${status}`);
+        return;
+    }
+    
+    stats.listingsVerified[result.status] = (stats.listingsVerified[result.status] || 0) + 1;
+    if (result.status === 'active') {
+        log.info(`🔎 Listing ${centrisId} is still online but no longer in the search results`);
+        return;
+    }
+    
+    const archive = await Actor.openDataset(archiveDatasetName);
+    await archive.pushData(archiveRecord(centrisId, history.state[centrisId], result));
+    history.markOffMarket(centrisId, result.status);
+    log.info(`📦 Archived listing ${centrisId} as ${result.status} (${result.reason})`);
 }
 
 /**
- * Extract detailed information from a listing page
+ * URLs of the startUrls input; sources with requestsFromUrl are downloaded and
+ * expanded to the URLs the file lists
  */
-async function extractListingDetails(page, basicListing) {
-    await page.waitForLoadState('domcontentloaded');
-    await page.waitForTimeout(2000);
+async function startUrlList() {
+    const sources = startUrls.map((source) => (typeof source === 'string' ? { url: source } : source));
+    const requestList = await RequestList.open(null, sources);
+    const urls = [];
+    let request;
+    while ((request = await requestList.fetchNextRequest())) {
+        urls.push(request.url);
+        await requestList.markRequestHandled(request);
+    }
+    return urls;
+}
+
+/**
+ * Detail requests for the listings given by URL (startUrls) or Centris number (centrisIds)
+ */
+async function buildDirectRequests() {
+    const listings = [];
+    let urls = [];
+    try {
+        urls = await startUrlList();
+    } catch (err) {
+        await Actor.fail(`Invalid startUrls input: ${err.message}`);
+    }
+    for (const url of urls) {
+        listings.push({ url, centrisId: centrisIdFromUrl(url) });
+    }
+    for (const id of centrisIds) {
+        const centrisId = String(id).trim();
+        if (/^\d{7,8}$/.test(centrisId)) {
+            listings.push({ url: listingUrlFromId(centrisId, language), centrisId });
+        } else {
+            log.warning(`Ignoring invalid Centris ID "${id}"`);
+        }
+    }
     
-    const details = await page.evaluate(() => {
-        const data = {};
-        
-        // Price
-        const priceEl = document.querySelector('.price, [class*="price"], [itemprop="price"]');
-        if (priceEl) {
-            data.priceFormatted = priceEl.textContent?.trim();
+    const requests = [];
+    for (const listing of listings) {
+        if (!registry.claim(listing)) continue;
+        if (!registry.reserve()) {
+            log.warning(`Reached max listings limit: ${maxListings}; ignoring the remaining listings`);
+            stats.maxListingsReached = true;
+            break;
         }
+        requests.push({
+            url: listing.url,
+            userData: { isListingPage: true, isDirect: true, basicData: listing }
+        });
+    }
+    return requests;
+}
+
+/**
+ * Pre-filter search result cards, then queue them for detail scraping or save them directly
+ * A slot of the maxListings cap is reserved before a listing is queued, so concurrent
+ * detail requests cannot push the run past the cap
+ */
+async function processSearchListings(listings, region, profile) {
+    for (const [index, listing] of listings.entries()) {
+        if (!registry.hasCapacity()) return listings.slice(index);
         
-        // Address
-        const addressEl = document.querySelector('.address, [itemprop="address"], .property-address');
-        if (addressEl) {
-            data.fullAddress = addressEl.textContent?.trim();
-        }
+        // Still present in the search results, so not removed since the last run
+        monitor?.markSeen(listing.centrisId);
+        history?.markSeen(listing.centrisId);
         
-        // Property type / category
-        const categoryEl = document.querySelector('.category, .property-type, h1[itemprop="category"]');
-        if (categoryEl) {
-            data.propertyType = categoryEl.textContent?.trim();
+        // Already returned by another region, page or profile: only note the region and
+        // profile, unless another profile's pre-filter dropped it and this one may want it
+        if (!registry.claim(listing, region, profile)) {
+            if (profile && registry.takeFilteredOut(listing)) {
+                stats.listingsFiltered--;
+            } else {
+                log.debug(`Skipping duplicate listing ${listing.centrisId} (also in ${region})`);
+                stats.duplicatesSkipped++;
+                continue;
+            }
         }
         
-        // Features section - bedrooms, bathrooms, living area
-        const allText = document.body.innerText || '';
-        
-        // Bedrooms
-        const bedroomPatterns = [
-            /(\d+)\s*chambre/i,
-            /(\d+)\s*ch\b/i,
-            /(\d+)\s*bedroom/i,
-            /(\d+)\s*bed\b/i,
-            /chambres?\s*[:=]?\s*(\d+)/i
-        ];
-        
-        for (const pattern of bedroomPatterns) {
-            const match = allText.match(pattern);
-            if (match) {
-                data.bedrooms = parseInt(match[1], 10);
-                break;
+        // Quick pre-filter based on price if available
+        if (listing.priceFormatted) {
+            listing.price = parsePrice(listing.priceFormatted);
+            
+            // Quick price and neighborhood check before detailed scraping, against the
+            // profile whose search returned the card
+            if (!matchesFilters(listing, ['price', 'rent', 'neighborhoods'], profile ? [profile] : undefined)) {
+                stats.listingsFiltered++;
+                if (profile) registry.markFilteredOut(listing);
+                continue;
             }
         }
         
-        // Bathrooms  
-        const bathroomPatterns = [
-            /(\d+)\s*salle/i,
-            /(\d+)\s*sdb/i,
-            /(\d+)\s*bathroom/i,
-            /(\d+)\s*bath\b/i,
-            /salles?\s*de\s*bain\s*[:=]?\s*(\d+)/i
-        ];
+        // Same price as last run: nothing to re-scrape
+        if (monitor?.isUnchanged(listing)) {
+            log.debug(`Skipping unchanged listing ${listing.centrisId}`);
+            stats.listingsUnchanged++;
+            continue;
+        }
         
-        for (const pattern of bathroomPatterns) {
-            const match = allText.match(pattern);
-            if (match) {
-                data.bathrooms = parseInt(match[1], 10);
-                break;
+        if (listing.url && includeDetails) {
+            // Queue for detailed scraping; the slot is given back if it gets filtered out
+            registry.reserve();
+            await crawler.addRequests([{
+                url: listing.url,
+                userData: {
+                    isListingPage: true,
+                    basicData: listing
+                }
+            }]);
+        } else if (listing.url) {
+            // Save basic data with filters
+            listing.price = listing.price || parsePrice(listing.priceFormatted);
+            
+            if (matchesFilters(listing)) {
+                registry.reserve();
+                await saveListing(listing);
+            } else {
+                stats.listingsFiltered++;
             }
         }
+    }
+    return [];
+}
+
+/**
+ * Request for a result page of a browser search
+ */
+function searchPageRequest({ url, region, profile, pageNumber }) {
+    return {
+        url,
+        ...(profile && { uniqueKey: `${profile}:${url}` }),
+        userData: { isListingPage: false, region, profile, pageNumber }
+    };
+}
+
+/**
+ * Carry on the searches paused by maxListings while slots given back by filtered,
+ * failed or quarantined listings leave room: the cards they had left, then the
+ * pages after them
+ */
+async function resumeSearches() {
+    while (pausedSearches.length > 0 && registry.hasCapacity()) {
+        const paused = pausedSearches.shift();
+        log.info(`Resuming the search of ${paused.label} with the room left under maxListings`);
+        const left = await processSearchListings(paused.listings, paused.region, paused.profile);
+        if (left.length > 0) {
+            pausedSearches.unshift({ ...paused, listings: left });
+            return;
+        }
+        try {
+            await paused.readOn?.();
+        } catch (err) {
+            log.error(`Could not resume the search of ${paused.label}: ${err.message}`);
+            recordFailure(`${CENTRIS_BASE_URL}/${language}`, err.message);
+        }
+    }
+}
+
+/**
+ * Read the result pages of an API search, from the first page or a given one, while
+ * maxListings has room; duplicates, filtered and unchanged cards take none of it. A
+ * search the cap stops is paused, and its progress points at the page it stopped on
+ *
+ * @returns {Promise<number>} Total result count reported by Centris
+ */
+async function readApiSearch(client, search, { geographies = [], mapBounds, region, label, checkpointKey, resumeFrom }) {
+    let current = resumeFrom ?? { pageNumber: 1, startPosition: 0 };
+    let left = [];
+    const { total, next } = await client.search(search.criteria, geographies, {
+        mapBounds,
+        resumeFrom,
+        onPage: async (html, pageNumber, pageAfter) => {
+            stats.pagesScraped++;
+            const listings = parseSearchResults(html, `${CENTRIS_BASE_URL}/${language}`);
+            log.info(`API page ${pageNumber} for ${label}: ${listings.length} listings`);
+            left = await processSearchListings(listings, region, search.name);
+            // A restart reads a page with cards left again; the ones already seen are skipped
+            checkpoint.recordPage(checkpointKey, pageNumber, left.length > 0 ? current : pageAfter);
+            current = pageAfter;
+            return registry.hasCapacity();
+        }
+    });
+    
+    if (left.length > 0 || next) {
+        pausedSearches.push({
+            label,
+            listings: left,
+            region,
+            profile: search.name,
+            readOn: next && (() => readApiSearch(client, search, {
+                geographies, mapBounds, region, label, checkpointKey, resumeFrom: next
+            }))
+        });
+    } else {
+        checkpoint.recordSearchDone(checkpointKey);
+    }
+    return total;
+}
+
+/**
+ * Search a region through the Centris search API instead of rendering result pages
+ * Returns false when the API could not be used so the caller can fall back to the browser
+ */
+async function searchRegionViaApi(region, search) {
+    const place = regionPlaces.get(region);
+    const { neighborhoods } = search.criteria;
+    const label = search.name ? `${region} (${search.name})` : region;
+    
+    // Searched before a restart: its listings are already registered or queued
+    const checkpointKey = RunCheckpoint.searchKey(search.name, region);
+    const progress = checkpoint.searchProgress(checkpointKey);
+    if (progress?.done) {
+        log.info(`Search of ${label} finished before the restart; skipping it`);
+        return true;
+    }
+    if (progress?.next) log.info(`Resuming the search of ${label} at page ${progress.next.pageNumber}`);
+    const client = new CentrisSearchClient({
+        language,
+        proxyUrl: proxyConfig ? await proxyConfig.newUrl() : undefined
+    });
+    
+    try {
+        const geography = place.centrisGeography ?? await client.resolveGeography(place.searchText);
+        if (!geography) {
+            log.warning(`Centris search API has no match for region "${region}"`);
+            return false;
+        }
         
-        // Living area
-        const areaPatterns = [
-            /superficie\s*(?:habitable)?\s*[:=]?\s*([\d\s,]+)\s*(?:pi|pc|sf|sqft)/i,
-            /([\d\s,]+)\s*(?:pi|pc|sf|sqft)/i,
-            /living\s*area\s*[:=]?\s*([\d\s,]+)/i
-        ];
-        
-        for (const pattern of areaPatterns) {
-            const match = allText.match(pattern);
-            if (match) {
-                const areaStr = match[1].replace(/[,\s]/g, '');
-                data.livingArea = parseInt(areaStr, 10);
-                break;
+        // Narrow the search to the requested neighborhoods that lie in this region;
+        // the neighborhood filter still runs on every listing afterwards
+        let geographies = [geography];
+        if (neighborhoods.length > 0) {
+            const inRegion = await client.resolveNeighborhoods(neighborhoods, place.city ?? place.name);
+            if (inRegion.length > 0) {
+                geographies = inRegion;
+                log.info(`Searching ${region} neighborhoods: ${inRegion.map((g) => g.Text).join(', ')}`);
             }
         }
         
-        // Year built
-        const yearPatterns = [
-            /année\s*(?:de\s*)?construction\s*[:=]?\s*(\d{4})/i,
-            /built\s*(?:in)?\s*[:=]?\s*(\d{4})/i,
-            /(\d{4})\s*(?:construction|built)/i
-        ];
-        
-        for (const pattern of yearPatterns) {
-            const match = allText.match(pattern);
-            if (match) {
-                data.yearBuilt = parseInt(match[1], 10);
-                break;
+        const total = await readApiSearch(client, search, {
+            geographies, region, label, checkpointKey, resumeFrom: progress?.next
+        });
+        log.info(`Centris reports ${total} listings matching the search in ${label}`);
+        return true;
+    } catch (err) {
+        log.warning(`Centris search API failed for ${label}: ${err.message}`);
+        return false;
+    }
+}
+
+/**
+ * Search the geoArea input, or a profile's, through the Centris search API as a map-area search
+ * The browser has no URL for a map area, so this search is API-only
+ */
+async function searchAreaViaApi(search) {
+    const client = new CentrisSearchClient({
+        language,
+        proxyUrl: proxyConfig ? await proxyConfig.newUrl() : undefined
+    });
+    const mapBounds = areaBounds(search.criteria.geoArea);
+    const label = search.name ? `the search area of ${search.name}` : 'the search area';
+    
+    const checkpointKey = RunCheckpoint.searchKey(search.name, GEO_AREA_REGION);
+    const progress = checkpoint.searchProgress(checkpointKey);
+    if (progress?.done) {
+        log.info(`Search of ${label} finished before the restart; skipping it`);
+        return;
+    }
+    
+    try {
+        const total = await readApiSearch(client, search, {
+            mapBounds, region: GEO_AREA_REGION, label, checkpointKey, resumeFrom: progress?.next
+        });
+        log.info(`Centris reports ${total} listings in the bounds of ${label}`, mapBounds);
+    } catch (err) {
+        log.error(`Centris search API failed for ${label}: ${err.message}`);
+        recordFailure(`${CENTRIS_BASE_URL}/${language}`, err.message);
+    }
+}
+
+/**
+ * Handle a fetched page, whichever crawler fetched it
+ *
+ * @param {object} context
+ * @param {object} context.request
+ * @param {string} context.html - Page HTML, rendered by the browser or as fetched over HTTP
+ * @param {import('cheerio').CheerioAPI} [context.$] - Document loaded from the HTML, when the crawler has one
+ * @param {string} context.url - URL the page was loaded from, after redirects
+ * @param {number} [context.status] - HTTP status
+ * @param {object} [context.headers] - Response headers
+ * @param {object} [context.session]
+ */
+async function handlePage({ request, html, $ = loadPage(html), url: pageUrl, status, headers = {}, session }) {
+    const url = request.url;
+    const isListingPage = request.userData?.isListingPage;
+    const isDirect = request.userData?.isDirect;
+    const basicData = request.userData?.basicData;
+    const region = request.userData?.region;
+    const profile = request.userData?.profile;
+    
+    log.info(`Processing: ${url}`);
+    
+    // A challenge page parses as a page without listings: retry it on a fresh session instead
+    const blockReason = detectBlock({ status, html });
+    if (blockReason) {
+        session?.retire();
+        recordBlock(request, blockReason, parseRetryAfter(headers['retry-after']));
+        throw new Error(`Blocked by Centris (${blockReason})`);
+    }
+    blockTracker.success();
+    pacer.success(new URL(url).hostname);
+    
+    if (request.userData?.isVerification) {
+        try {
+            await verifyListing(request, { $, url: pageUrl, status });
+        } catch (err) {
+            log.error(`Error verifying ${url}: ${err.message}`);
+            recordFailure(url, err.message);
+        }
+        return;
+    }
+    
+    if (isListingPage && basicData) {
+        // Extract detailed info from individual listing
+        try {
+            // A listing asked for by URL or ID may be gone from Centris
+            if (isDirect) {
+                if ([404, 410].includes(status)) {
+                    await saveUnavailable(basicData, `HTTP ${status}`);
+                    return;
+                }
+                if ((status ?? 200) >= 400) throw new Error(`HTTP ${status}`);
+                if (!isListingAvailable($, pageUrl, basicData.centrisId)) {
+                    await saveUnavailable(basicData, `Redirected to ${pageUrl}`);
+                    return;
+                }
+            }
+            
+            const detailedListing = extractListingDetails($, pageUrl, basicData);
+            
+            // Parse price if needed
+            if (!detailedListing.price && detailedListing.priceFormatted) {
+                detailedListing.price = parsePrice(detailedListing.priceFormatted);
+            }
+            
+            // Apply filters; listings asked for explicitly are always kept
+            if (isDirect || matchesFilters(detailedListing)) {
+                if (await saveListing(detailedListing, isDirect ? undefined : basicData)) {
+                    log.info(`✅ Saved listing ${detailedListing.centrisId} - $${detailedListing.price} - ${detailedListing.bedrooms || '?'} bed`);
+                }
+            } else {
+                stats.listingsFiltered++;
+                registry.release();
+                log.info(`🚫 Filtered out listing ${detailedListing.centrisId} - $${detailedListing.price} (outside criteria)`);
             }
+            
+        } catch (err) {
+            log.error(`Error extracting details from ${url}: ${err.message}`);
+            registry.release();
+            recordFailure(url, err.message);
         }
         
-        // Description
-        const descEl = document.querySelector('.description, [itemprop="description"], .property-description');
-        if (descEl) {
-            data.description = descEl.textContent?.trim().substring(0, 1000);
-        }
+    } else {
+        // Search results page - extract listings
+        stats.pagesScraped++;
         
-        // Images
-        const images = [];
-        document.querySelectorAll('img[src*="centris"], img[data-src*="centris"]').forEach(img => {
-            const src = img.src || img.dataset?.src;
-            if (src && !images.includes(src) && src.includes('media.ashx')) {
-                images.push(src);
+        try {
+            const listings = parseSearchResults($, pageUrl);
+            log.info(`Found ${listings.length} listings on page`);
+            
+            const left = await processSearchListings(listings, region, profile);
+            
+            // Try to find and enqueue next page if we need more listings. Search pages
+            // go to the front of the queue so every region has returned its listings,
+            // and filled in matchedRegions, before most detail pages are saved; so
+            // nothing is saved yet, and the cap is judged by the listings reserved
+            const pageNumber = request.userData.pageNumber ?? 1;
+            const checkpointKey = RunCheckpoint.searchKey(profile, region);
+            const nextPageUrl = listings.length > 0 ? parseNextPageUrl($, pageUrl) : null;
+            const next = nextPageUrl && { pageNumber: pageNumber + 1, url: nextPageUrl, region, profile };
+            const readOn = next && (async () => {
+                log.info(`Found next page: ${nextPageUrl}`);
+                await crawler.addRequests([searchPageRequest(next)], { forefront: true });
+                checkpoint.recordPage(checkpointKey, pageNumber, next);
+            });
+            
+            if (left.length > 0 || (readOn && !registry.hasCapacity())) {
+                // No room left under maxListings: paused until a slot is given back. A
+                // restart reads a page with cards left again; the ones already seen are skipped
+                pausedSearches.push({ label: profile ? `${region} (${profile})` : region, listings: left, region, profile, readOn });
+                checkpoint.recordPage(checkpointKey, pageNumber, left.length > 0
+                    ? { pageNumber, url: request.url, region, profile }
+                    : next);
+            } else if (readOn) {
+                await readOn();
+            } else {
+                checkpoint.recordPage(checkpointKey, pageNumber);
+                checkpoint.recordSearchDone(checkpointKey);
             }
-        });
-        data.images = images.slice(0, 20);
-        
-        // Broker info
-        const brokerEl = document.querySelector('.broker-info, .agent-info, [class*="broker"]');
-        if (brokerEl) {
-            data.brokerInfo = brokerEl.textContent?.trim().substring(0, 200);
+            
+        } catch (err) {
+            log.error(`Error extracting from search page ${url}: ${err.message}`);
+            recordFailure(url, err.message);
         }
-        
-        return data;
-    });
-    
-    return { ...basicListing, ...details };
+    }
+}
+
+/**
+ * Response headers of either crawler: a Playwright response or an HTTP response
+ */
+function responseHeaders(response) {
+    return (typeof response?.headers === 'function' ? response.headers() : response?.headers) ?? {};
 }
 
-// Create the crawler
-const crawler = new PlaywrightCrawler({
+// Error handling and pacing shared by the browser and HTTP crawlers
+const crawlerOptions = {
     proxyConfiguration: proxyConfig,
     maxConcurrency,
     maxRequestRetries,
+    useSessionPool: true,
+    persistCookiesPerSession: true,
+    sessionPoolOptions: {
+        sessionOptions: { maxUsageCount: 50 }
+    },
+    
+    preNavigationHooks: [
+        async ({ request }) => {
+            await pacer.wait(new URL(request.url).hostname);
+        }
+    ],
+    
+    // 401, 403 and 429 responses are thrown by Crawlee before the request handler runs
+    async errorHandler({ request, response }, error) {
+        const status = error.message.match(/^Request blocked - received (\d+) status code/)?.[1];
+        if (status) {
+            recordBlock(request, status === '429' ? 'rate-limit' : 'access-denied',
+                parseRetryAfter(responseHeaders(response)['retry-after']));
+        }
+    },
+    
+    async failedRequestHandler({ request }, error) {
+        log.error(`Request failed: ${request.url}`, { error: error.message });
+        // A network, proxy or block error says nothing about the listing: only an HTTP 404 or
+        // 410, or a redirect away from it, handled with the page, makes a listing unavailable
+        recordFailure(request.url, error.message);
+        if (request.userData?.isListingPage) registry.release();
+    }
+};
+
+// In HTTP mode the browser only gets the pages that need JavaScript, through a queue of
+// its own; it is named after the run so a migrated run finds it again
+const browserQueue = crawlerMode === 'http'
+    ? await Actor.openRequestQueue(`browser-fallback-${Actor.getEnv().actorRunId ?? 'local'}`)
+    : null;
+
+// Create the browser crawler
+const browserCrawler = new PlaywrightCrawler({
+    ...crawlerOptions,
+    ...(browserQueue && { requestQueue: browserQueue }),
     requestHandlerTimeoutSecs: 120,
     navigationTimeoutSecs: 60,
     
+    // A blocked session is retired with its browser, so the retry gets a new
+    // proxy and a new randomised fingerprint, of the Chromium family the launcher runs
+    browserPoolOptions: {
+        useFingerprints: true,
+        fingerprintOptions: {
+            fingerprintGeneratorOptions: {
+                browsers: ['chrome', 'edge'],
+                devices: ['desktop'],
+                locales: ['fr-CA', 'en-CA']
+            }
+        }
+    },
+    
     launchContext: {
         launchOptions: {
             headless: true,
@@ -594,168 +1109,329 @@ const crawler = new PlaywrightCrawler({
         }
     },
     
-    async requestHandler({ request, page, enqueueLinks }) {
-        const url = request.url;
-        const isListingPage = request.userData?.isListingPage;
-        const basicData = request.userData?.basicData;
+    async requestHandler({ request, page, response, session }) {
+        // Verification only needs the page as served; search and detail pages are left to render
+        if (!request.userData?.isVerification) {
+            if (request.userData?.isListingPage) {
+                await page.waitForLoadState('domcontentloaded');
+                await page.waitForTimeout(2000);
+            } else {
+                await renderSearchPage(page);
+            }
+        }
+        
+        await handlePage({
+            request,
+            html: await page.content(),
+            url: page.url(),
+            status: response?.status(),
+            headers: responseHeaders(response),
+            session
+        });
+    }
+});
+
+// Create the HTTP crawler: pages are parsed as served, with the same parsers, and a
+// page that comes back without its content is handed to the browser crawler
+const httpCrawler = crawlerMode === 'http' ? new CheerioCrawler({
+    ...crawlerOptions,
+    requestHandlerTimeoutSecs: 60,
+    navigationTimeoutSecs: 30,
+    
+    async requestHandler({ request, body, $, response, session }) {
+        const html = body.toString();
+        const url = request.loadedUrl ?? request.url;
+        const pageType = request.userData?.isListingPage || request.userData?.isVerification ? 'listing' : 'search';
         
-        log.info(`Processing: ${url}`);
+        // The document the crawler loaded is the one every parser reads
+        if (response.statusCode < 400 && !detectBlock({ status: response.statusCode, html })
+            && needsBrowser(pageType, html, url, $)) {
+            log.info(`🖥️ ${url} needs JavaScript; handing it to the browser`);
+            stats.browserFallbacks++;
+            await browserQueue.addRequest({ url: request.url, uniqueKey: request.uniqueKey, userData: request.userData });
+            return;
+        }
         
-        if (isListingPage && basicData) {
-            // Extract detailed info from individual listing
-            try {
-                const detailedListing = await extractListingDetails(page, basicData);
-                
-                // Parse price if needed
-                if (!detailedListing.price && detailedListing.priceFormatted) {
-                    detailedListing.price = parsePrice(detailedListing.priceFormatted);
-                }
-                
-                // Apply filters
-                if (matchesFilters(detailedListing)) {
-                    detailedListing.transactionType = searchType === 'rent' ? 'Rental' : 'Sale';
-                    detailedListing.scrapedAt = new Date().toISOString();
-                    
-                    await Actor.pushData(detailedListing);
-                    listingsScraped++;
-                    log.info(`✅ Saved listing ${detailedListing.centrisId} - $${detailedListing.price} - ${detailedListing.bedrooms || '?'} bed`);
-                } else {
-                    listingsFiltered++;
-                    log.info(`🚫 Filtered out listing ${detailedListing.centrisId} - $${detailedListing.price} (outside criteria)`);
-                }
-                
-            } catch (err) {
-                log.error(`Error extracting details from ${url}: ${err.message}`);
-                errors++;
-            }
-            
+        await handlePage({ request, html, $, url, status: response.statusCode, headers: response.headers, session });
+    }
+}) : null;
+
+// Crawler that takes the initial and newly found requests: the HTTP crawler in HTTP mode
+const crawler = httpCrawler ?? browserCrawler;
+
+/**
+ * Run the crawl until no request is left, with the browser taking the HTTP crawler's
+ * fallback pages; pages those lead to go back to the HTTP crawler. Once the queue has
+ * drained, searches paused by maxListings carry on with the slots that were given back
+ */
+async function runCrawl(requests) {
+    await crawler.run(requests);
+    while (!runBlocked) {
+        if (httpCrawler && !(await browserQueue.isFinished())) {
+            await browserCrawler.run();
+        } else if (pausedSearches.length > 0 && registry.hasCapacity()) {
+            await resumeSearches();
         } else {
-            // Search results page - extract listings
-            pagesScraped++;
+            break;
+        }
+        // A crawler run again drops its queue unless told not to, and with it the pages just found
+        await crawler.run(undefined, { purgeRequestQueue: false });
+    }
+}
+
+// Listings given by URL or ID go straight to detail extraction, with no search
+const directRequests = await buildDirectRequests();
+const isDirectRun = startUrls.length > 0 || centrisIds.length > 0;
+
+// Build initial URLs for each region of each search; in API mode only regions the API
+// could not search are left for the browser to crawl. Profiles searching the same URL get
+// their own unique key so each of them sees the results.
+const searchRequests = [];
+if (isDirectRun) {
+    log.info(`Scraping ${directRequests.length} listing(s) given by URL or ID; regions are not searched`);
+} else {
+    for (const search of searches) {
+        if (search.name) log.info(`🔖 Search profile "${search.name}"`);
+        
+        if (search.criteria.geoArea) {
+            log.info(`🗺️ Searching a ${search.criteria.geoArea.type} area instead of regions`);
+            await searchAreaViaApi(search);
+            continue;
+        }
+        
+        for (const region of search.regions) {
+            if (searchMode === 'api' && await searchRegionViaApi(region, search)) continue;
             
-            try {
-                const listings = await extractListingsFromPage(page);
-                log.info(`Found ${listings.length} listings on page`);
-                
-                // Calculate how many more we need (accounting for filtering)
-                // Scrape extra to account for filtered results
-                const remainingNeeded = (maxListings - listingsScraped) * 2;
-                
-                for (const listing of listings) {
-                    if (listingsScraped >= maxListings) {
-                        log.info(`Reached max listings limit: ${maxListings}`);
-                        break;
-                    }
-                    
-                    // Quick pre-filter based on price if available
-                    if (listing.priceFormatted) {
-                        listing.price = parsePrice(listing.priceFormatted);
-                        
-                        // Quick price check before detailed scraping
-                        if (minPrice > 0 && listing.price && listing.price < minPrice) {
-                            log.debug(`Skipping ${listing.centrisId}: price ${listing.price} below min ${minPrice}`);
-                            listingsFiltered++;
-                            continue;
-                        }
-                        if (maxPrice > 0 && listing.price && listing.price > maxPrice) {
-                            log.debug(`Skipping ${listing.centrisId}: price ${listing.price} above max ${maxPrice}`);
-                            listingsFiltered++;
-                            continue;
-                        }
-                    }
-                    
-                    if (listing.url && includeDetails) {
-                        // Queue for detailed scraping
-                        await crawler.addRequests([{
-                            url: listing.url,
-                            userData: {
-                                isListingPage: true,
-                                basicData: listing
-                            }
-                        }]);
-                    } else if (listing.url) {
-                        // Save basic data with filters
-                        listing.price = listing.price || parsePrice(listing.priceFormatted);
-                        
-                        if (matchesFilters(listing)) {
-                            listing.transactionType = searchType === 'rent' ? 'Rental' : 'Sale';
-                            listing.scrapedAt = new Date().toISOString();
-                            
-                            await Actor.pushData(listing);
-                            listingsScraped++;
-                        } else {
-                            listingsFiltered++;
-                        }
-                    }
-                }
-                
-                // Try to find and enqueue next page if we need more listings
-                if (listingsScraped < maxListings && listings.length > 0) {
-                    const nextPageSelectors = [
-                        'a.next',
-                        'a[rel="next"]',
-                        '.pagination a:last-child',
-                        'a[title*="suivant"]',
-                        'a[title*="next"]',
-                        '.pager-next a'
-                    ];
-                    
-                    for (const selector of nextPageSelectors) {
-                        try {
-                            const nextLink = await page.$(selector);
-                            if (nextLink) {
-                                const href = await nextLink.getAttribute('href');
-                                if (href) {
-                                    log.info(`Found next page: ${href}`);
-                                    await crawler.addRequests([{
-                                        url: href.startsWith('http') ? href : `${CENTRIS_BASE_URL}${href}`,
-                                        userData: { isListingPage: false }
-                                    }]);
-                                    break;
-                                }
-                            }
-                        } catch (e) {
-                            // Selector not found, try next
-                        }
-                    }
-                }
-                
-            } catch (err) {
-                log.error(`Error extracting from search page ${url}: ${err.message}`);
-                errors++;
+            if (searchMode === 'api') {
+                log.info(`Falling back to browser search for ${region}`);
+            }
+            searchRequests.push(searchPageRequest({
+                url: buildRegionSearchUrl(region, search.criteria),
+                region,
+                profile: search.name
+            }));
+            
+            // A search paused by maxListings before a restart is not in the request queue:
+            // read its last recorded page again, under a key of its own
+            const progress = checkpoint.searchProgress(RunCheckpoint.searchKey(search.name, region));
+            if (progress?.next?.url && !progress.done) {
+                const request = searchPageRequest({ ...progress.next, region, profile: search.name });
+                searchRequests.push({ ...request, uniqueKey: `resume:${request.uniqueKey ?? request.url}` });
             }
         }
-    },
+    }
+    if (searchedRegions.length > 0) {
+        log.info(`Starting crawl with ${searchRequests.length} region search(es):`, searchRequests.map(u => u.url));
+    }
+}
+
+// Run the crawler, then the verification of missing listings. The browser fallback queue
+// is dropped even when they throw; a migrating run never gets here and finds it again
+try {
+    await runCrawl([...directRequests, ...searchRequests]);
     
-    async failedRequestHandler({ request, error }) {
-        log.error(`Request failed: ${request.url}`, { error: error.message });
-        errors++;
+    // Searches still paused had no slot given back: every slot went to a saved listing
+    if (pausedSearches.length > 0) {
+        log.info(`Reached max listings limit: ${maxListings}; ${pausedSearches.length} search(es) left results unread`);
+        stats.maxListingsReached = true;
     }
-});
 
-// Build initial URLs for each region
-const startUrls = regions.map(region => ({
-    url: buildRegionSearchUrl(region),
-    userData: { isListingPage: false }
-}));
+    // Listings known from earlier runs that no longer show up in the search results.
+    // A run cut short by maxListings or by blocking did not see every result, so it cannot tell.
+    if (monitor) {
+        if (runBlocked) {
+            log.warning('The crawl was stopped by blocking; skipping removed-listing detection');
+        } else if (isDirectRun) {
+            log.info('Listings were given by URL or ID; skipping removed-listing detection');
+        } else if (stats.maxListingsReached) {
+            log.warning('Reached maxListings before the end of the search results; skipping removed-listing detection');
+        } else {
+            const removed = monitor.collectRemoved(new Date(), {
+                regions: searchesArea ? [...searchedRegions, GEO_AREA_REGION] : searchedRegions,
+                profiles: profiles?.map((profile) => profile.name)
+            });
+            if (removed.length > 0) {
+                await Actor.pushData(removed);
+                stats.changesDetected.removed = removed.length;
+            }
+        }
+        await monitor.save();
+    }
+
+    // Listings from earlier runs missing from this run's results: fetch their pages to
+    // tell sold, expired and withdrawn listings from ones that only fell outside the search
+    if (verifyMissingListings) {
+        if (!history) {
+            log.warning('verifyMissingListings needs trackHistory; skipping verification');
+        } else if (runBlocked) {
+            log.warning('The crawl was stopped by blocking; skipping verification of missing listings');
+        } else if (isDirectRun) {
+            log.info('Listings were given by URL or ID; skipping verification of missing listings');
+        } else if (stats.maxListingsReached) {
+            log.warning('Reached maxListings before the end of the search results; skipping verification of missing listings');
+        } else {
+            const missing = history.missingListings(
+                (centrisId) => registry.has(centrisId),
+                searchesArea ? [...searchedRegions, GEO_AREA_REGION] : searchedRegions
+            );
+            log.info(`🔎 Verifying ${missing.length} listing(s) missing from the search results`);
+            if (missing.length > 0) {
+                await runCrawl(missing.map(([centrisId, entry]) => ({
+                    url: entry.url ?? listingUrlFromId(centrisId, language),
+                    uniqueKey: `verify:${centrisId}`,
+                    userData: { isVerification: true, centrisId }
+                })));
+            }
+        }
+    }
+} finally {
+    await browserQueue?.drop();
+}
+
+await history?.save();
+
+// Partial batches and end-of-run email digests, and batches still being sent
+for (const notifier of notifiers) {
+    try {
+        await notifier.flush();
+    } catch (err) {
+        log.warning(`🔔 ${err.message}`);
+    }
+    const { listingsSent, messages } = notifier.summary();
+    log.info(`🔔 Notifier ${notifier.name}: ${listingsSent} listing(s) sent in ${messages} message(s)`);
+}
+
+if (imageDownloader) {
+    await imageDownloader.idle();
+    await imageDownloader.save();
+    log.info(`🖼️ Downloaded ${imageDownloader.downloaded} photo(s), ${imageDownloader.reused} already stored, ${imageDownloader.failed} failed`);
+}
+
+// Broker directory, replacing the one written by the previous run; in monitoring mode
+// the listings skipped as unchanged add the brokers stored with their state
+if (brokerDirectory && monitor) {
+    for (const listing of monitor.currentListings()) brokerDirectory.add(listing);
+}
+if (brokerDirectory?.size > 0) {
+    await (await Actor.openDataset(brokersDatasetName)).drop();
+    const brokersDataset = await Actor.openDataset(brokersDatasetName);
+    await brokersDataset.pushData(brokerDirectory.toRecords());
+    log.info(`🤝 Saved ${brokerDirectory.size} broker(s) to dataset "${brokersDatasetName}"`);
+}
 
-log.info(`Starting crawl with ${startUrls.length} region(s):`, startUrls.map(u => u.url));
+// Flat and GeoJSON copies of the dataset for spreadsheets and mapping tools
+const outputFiles = {};
+const { items } = outputFormats.length > 0 || marketReport || subject
+    ? await (await Actor.openDataset()).getData()
+    : { items: [] };
+if (outputFormats.length > 0) {
+    for (const format of outputFormats) {
+        const output = OUTPUT_FORMATS[format];
+        if (!output) {
+            log.warning(`Unknown output format "${format}", skipping it`);
+            continue;
+        }
+        try {
+            await Actor.setValue(output.key, await exportRecords(items, format), { contentType: output.contentType });
+            outputFiles[format] = output.key;
+        } catch (err) {
+            log.error(`Could not write ${format} output: ${err.message}`);
+            stats.errors++;
+        }
+    }
+    log.info(`📄 Wrote ${Object.keys(outputFiles).length} output file(s) for ${items.length} record(s)`, outputFiles);
+}
 
-// Run the crawler
-await crawler.run(startUrls);
+// Listings to analyse: in monitoring mode the dataset holds only the changes, so the
+// monitor's summaries of every listing the search returned stand in for it
+const currentListings = monitor ? monitor.currentListings() : items;
 
-// Log final stats
-log.info('🏁 Scraping complete!', {
-    listingsSaved: listingsScraped,
-    listingsFiltered: listingsFiltered,
-    pagesScraped,
-    errors,
+// Price statistics per region, property type and neighborhood
+if (marketReport) {
+    const report = buildMarketReport(currentListings);
+    await Actor.setValue('MARKET_REPORT', report);
+    await Actor.setValue('MARKET_REPORT.html', renderMarketReportHtml(report), { contentType: 'text/html; charset=utf-8' });
+    outputFiles.marketReport = 'MARKET_REPORT';
+    log.info(`📊 Market report: ${report.overall.count} listing(s) in ${report.regions.length} region(s), median price $${report.overall.price.median ?? '–'}`);
+}
+
+// Comparables ranked by similarity to the subject, replacing the previous run's, and
+// the price range they suggest
+let comps = null;
+if (subject) {
+    const { comps: ranked, summary } = findComps(subject, currentListings);
+    comps = summary;
+    await (await Actor.openDataset(compsDatasetName)).drop();
+    if (ranked.length > 0) await (await Actor.openDataset(compsDatasetName)).pushData(ranked);
+    await Actor.setValue('COMPS_SUMMARY', summary);
+    outputFiles.comps = 'COMPS_SUMMARY';
+    const { low, mid, high } = summary.suggestedPrice;
+    log.info(`🏘️ Saved ${ranked.length} comparable(s) to dataset "${compsDatasetName}"; suggested price $${low ?? '–'} - $${high ?? '–'} (median $${mid ?? '–'})`);
+}
+
+// Final stats, logged and kept in the key-value store as RUN_SUMMARY
+const runSummary = {
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    ...(resumedFrom && { resumedFrom }),
+    listingsSaved: stats.listingsScraped,
+    listingsFiltered: stats.listingsFiltered,
+    filteredBy: stats.filteredBy,
+    uniqueListingsSeen: registry.seenCount,
+    duplicatesSkipped: stats.duplicatesSkipped,
+    maxListingsReached: stats.maxListingsReached,
+    ...(brokerDirectory && { brokersFound: brokerDirectory.size }),
+    ...(imageDownloader && { imagesDownloaded: imageDownloader.downloaded, imagesReused: imageDownloader.reused, imagesFailed: imageDownloader.failed }),
+    ...(isDirectRun && { listingsUnavailable: stats.listingsUnavailable }),
+    ...(verifyMissingListings && { listingsVerified: stats.listingsVerified }),
+    ...(monitor && { listingsUnchanged: stats.listingsUnchanged, changesDetected: stats.changesDetected }),
+    ...(comps && { compsFound: comps.compsFound, suggestedPrice: comps.suggestedPrice }),
+    ...(notifiers.length > 0 && { notifications: notifiers.map((notifier) => notifier.summary()) }),
+    ...(profiles && {
+        profiles: profiles.map(({ name }) => ({
+            name,
+            listingsFound: registry.profileCounts()[name] ?? 0,
+            listingsSaved: stats.listingsSavedByProfile[name] ?? 0
+        }))
+    }),
+    pagesScraped: stats.pagesScraped,
+    ...(crawlerMode === 'http' && { browserFallbacks: stats.browserFallbacks }),
+    errors: stats.errors,
+    blocking: { ...blockTracker.summary(), maxBlockRate, stoppedByBlocking: runBlocked },
+    dataQuality: { minDataConfidence, listingsQuarantined: stats.listingsQuarantined, warnings: stats.qualityWarnings },
     filters: {
         priceRange: `$${minPrice || 0} - $${maxPrice || '∞'}`,
         bedrooms: `${minBedrooms || 0} - ${maxBedrooms || '∞'}`,
         bathrooms: `${minBathrooms || 0} - ${maxBathrooms || '∞'}`,
-        propertyTypes: propertyTypes.length > 0 ? propertyTypes.join(', ') : 'all'
-    }
-});
+        propertyTypes: propertyTypes.length > 0 ? propertyTypes.join(', ') : 'all',
+        neighborhoods: neighborhoods.length > 0 ? neighborhoods.join(', ') : 'all',
+        lotSize: `${minLotSize || 0} - ${maxLotSize || '∞'}`,
+        features: features.length > 0 ? features.join(', ') : 'any',
+        listingAge,
+        sortBy,
+        ...(searchType === 'rent' && {
+            maxRent: maxRent ? `$${maxRent}/month` : '∞',
+            furnished,
+            availableBefore: availableBefore || 'any time',
+            utilitiesIncluded: utilitiesIncluded.length > 0 ? utilitiesIncluded.join(', ') : 'any'
+        })
+    },
+    failedUrls: stats.failedUrls,
+    outputFiles
+};
+
+log.info('🏁 Scraping complete!', { ...runSummary, failedUrls: stats.failedUrls.length });
+await Actor.setValue('RUN_SUMMARY', runSummary);
+
+// Finished: a later restart of this run has nothing to resume
+Actor.off('persistState', saveCheckpoint);
+Actor.off('migrating', saveCheckpoint);
+await checkpoint.clear();
+
+if (runBlocked) {
+    await Actor.fail(`Blocked by Centris: ${blockTracker.blocked} of ${blockTracker.requests} requests `
+        + `(${blockTracker.blockRate}%) hit captcha, challenge or rate-limit pages. Partial results were saved; `
+        + 'try again later or with residential proxies.');
+}
 
 await Actor.exit();
@@ -0,0 +1,218 @@
+/**
+ * Market statistics report
+ *
+ * Aggregates the saved listings of a run by region, property type and
+ * neighborhood: price distribution, price per square foot, days on market and
+ * bedroom mix. Saved as MARKET_REPORT (JSON) and MARKET_REPORT.html.
+ */
+
+// Percentiles reported for prices
+const PRICE_PERCENTILES = [10, 25, 75, 90];
+
+// Bedroom counts from this value up share one bucket
+const BEDROOM_BUCKET_MAX = 5;
+
+/**
+ * Value at a percentile of sorted numbers, interpolating between neighbours
+ */
+export function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+function sortedNumbers(values) {
+    return values.filter((value) => typeof value === 'number' && Number.isFinite(value)).sort((a, b) => a - b);
+}
+
+function roundOrNull(value, decimals = 0) {
+    if (value === null || value === undefined) return null;
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Property type without the "à vendre" / "for sale" suffix of Centris headings
+ */
+export function propertyTypeLabel(propertyType) {
+    if (!propertyType) return 'Unknown';
+    return propertyType.replace(/\s+(à vendre|à louer|for sale|for rent)$/i, '').trim() || 'Unknown';
+}
+
+/**
+ * Property type a listing is grouped under: the normalized category code, so
+ * French and English runs land in the same group, else the label of the page
+ */
+function listingPropertyType(listing) {
+    return listing.normalized?.propertyType?.code ?? propertyTypeLabel(listing.propertyType);
+}
+
+/**
+ * Statistics of one group of listings
+ */
+export function groupStats(listings) {
+    const prices = sortedNumbers(listings.map((listing) => listing.price));
+    const pricesPerSqft = sortedNumbers(listings
+        .filter((listing) => listing.price && listing.livingArea)
+        .map((listing) => listing.price / listing.livingArea));
+    const daysOnMarket = sortedNumbers(listings.map((listing) => listing.daysOnMarket));
+
+    const price = {
+        min: prices[0] ?? null,
+        max: prices.at(-1) ?? null,
+        mean: prices.length ? Math.round(prices.reduce((sum, value) => sum + value, 0) / prices.length) : null,
+        median: roundOrNull(percentile(prices, 50))
+    };
+    for (const p of PRICE_PERCENTILES) {
+        price[`p${p}`] = roundOrNull(percentile(prices, p));
+    }
+
+    const bedrooms = {};
+    for (const listing of listings) {
+        let bucket = 'unknown';
+        if (typeof listing.bedrooms === 'number') {
+            bucket = listing.bedrooms >= BEDROOM_BUCKET_MAX ? `${BEDROOM_BUCKET_MAX}+` : String(listing.bedrooms);
+        }
+        bedrooms[bucket] = (bedrooms[bucket] || 0) + 1;
+    }
+
+    return {
+        count: listings.length,
+        price,
+        medianPricePerSqft: roundOrNull(percentile(pricesPerSqft, 50)),
+        medianDaysOnMarket: roundOrNull(percentile(daysOnMarket, 50)),
+        bedrooms
+    };
+}
+
+/**
+ * Region of a listing: the first input region that returned it, else its city
+ */
+function listingRegion(listing) {
+    return listing.matchedRegions?.[0] || listing.address?.city || 'Unknown';
+}
+
+/**
+ * Group listings by the given key function and compute each group's statistics
+ */
+function aggregate(listings, keyOf) {
+    const groups = new Map();
+    for (const listing of listings) {
+        const key = keyOf(listing);
+        const id = JSON.stringify(key);
+        if (!groups.has(id)) groups.set(id, { key, listings: [] });
+        groups.get(id).listings.push(listing);
+    }
+    return [...groups.values()]
+        .map(({ key, listings: members }) => ({ ...key, ...groupStats(members) }))
+        .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Build the market report for a run's saved listings
+ *
+ * Monitoring change records are unwrapped to their listing; records without a
+ * price (removed or unavailable listings) are left out.
+ *
+ * @param {object[]} records - Dataset records
+ * @returns {object} { generatedAt, overall, regions, propertyTypes, neighborhoods }
+ */
+export function buildMarketReport(records, now = new Date()) {
+    const listings = records
+        .map((record) => record.listing ?? record)
+        .filter((listing) => typeof listing.price === 'number' && listing.price > 0);
+
+    return {
+        generatedAt: now.toISOString(),
+        overall: groupStats(listings),
+        regions: aggregate(listings, (listing) => ({ region: listingRegion(listing) })),
+        propertyTypes: aggregate(listings, (listing) => ({
+            region: listingRegion(listing),
+            propertyType: listingPropertyType(listing)
+        })),
+        neighborhoods: aggregate(listings, (listing) => ({
+            region: listingRegion(listing),
+            neighborhood: listing.address?.neighborhood || 'Unknown',
+            propertyType: listingPropertyType(listing)
+        }))
+    };
+}
+
+const REGION_COLUMN = ['Region', 'region'];
+const TYPE_COLUMN = ['Property type', 'propertyType'];
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, (char) => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+function formatMoney(value) {
+    return value === null ? '–' : `${value.toLocaleString('en-CA')} $`;
+}
+
+function formatBedrooms(bedrooms) {
+    return Object.entries(bedrooms)
+        .sort(([a], [b]) => a.localeCompare(b, 'en', { numeric: true }))
+        .map(([bucket, count]) => `${bucket}: ${count}`)
+        .join(', ');
+}
+
+/**
+ * @param {string[][]} keyColumns - [heading, group field] of the columns naming the group
+ */
+function renderTable(title, groups, keyColumns) {
+    const header = [...keyColumns.map(([heading]) => heading), 'Listings', 'Median price', 'Mean price', 'P25', 'P75', 'Median $/sq ft', 'Median DOM', 'Bedrooms'];
+    const rows = groups.map((group) => [
+        ...keyColumns.map(([, field]) => escapeHtml(group[field])),
+        group.count,
+        formatMoney(group.price.median),
+        formatMoney(group.price.mean),
+        formatMoney(group.price.p25),
+        formatMoney(group.price.p75),
+        group.medianPricePerSqft === null ? '–' : group.medianPricePerSqft,
+        group.medianDaysOnMarket === null ? '–' : group.medianDaysOnMarket,
+        escapeHtml(formatBedrooms(group.bedrooms))
+    ]);
+
+    return `<h2>${escapeHtml(title)}</h2>
+<table>
+<thead><tr>${header.map((cell) => `<th>${cell}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.map((row) => `<tr>${row.map((cell) => `<td>${cell}</td>`).join('')}</tr>`).join('\n')}
+</tbody>
+</table>`;
+}
+
+/**
+ * Render the report as a standalone HTML page
+ */
+export function renderMarketReportHtml(report) {
+    const { overall } = report;
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Centris market report</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; margin-bottom: 2rem; }
+th, td { border: 1px solid #ccc; padding: 0.3rem 0.6rem; text-align: right; }
+th { background: #f3f3f3; }
+td:first-child, th:first-child { text-align: left; }
+</style>
+</head>
+<body>
+<h1>Centris market report</h1>
+<p>Generated ${escapeHtml(report.generatedAt)} from ${overall.count} listing(s).
+Median price ${formatMoney(overall.price.median)}, median ${overall.medianPricePerSqft ?? '–'} $/sq ft,
+median ${overall.medianDaysOnMarket ?? '–'} days on market.</p>
+${renderTable('By region', report.regions, [REGION_COLUMN])}
+${renderTable('By region and property type', report.propertyTypes, [REGION_COLUMN, TYPE_COLUMN])}
+${renderTable('By neighborhood and property type', report.neighborhoods, [REGION_COLUMN, ['Neighborhood', 'neighborhood'], TYPE_COLUMN])}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,263 @@
+/**
+ * Incremental listing monitor
+ *
+ * Keeps the last known state of every listing, keyed by centrisId, in a named
+ * key-value store so scheduled runs can report what changed since the previous
+ * run instead of re-pushing every listing. A summary of each listing is kept
+ * with its state, so the listings a run skips as unchanged still count in the
+ * market report, the comparables and the broker directory.
+ */
+
+import { Actor } from 'apify';
+import { inSearchedRegions } from './gazetteer.js';
+import { daysSince } from './utils.js';
+
+const STATE_KEY = 'LISTINGS';
+
+// Fields compared between runs for detailsChanged records
+export const TRACKED_FIELDS = [
+    'propertyType',
+    'bedrooms',
+    'bathrooms',
+    'halfBathrooms',
+    'livingArea',
+    'lotSize',
+    'yearBuilt',
+    'parkingSpaces',
+    'garageSpaces',
+    'features',
+    'municipalTaxes',
+    'schoolTaxes',
+    'condoFees'
+];
+
+// Fields kept in the summary of a listing
+const SUMMARY_FIELDS = [
+    'url',
+    'price',
+    'priceFormatted',
+    'propertyType',
+    'transactionType',
+    'bedrooms',
+    'bathrooms',
+    'livingArea',
+    'lotSize',
+    'yearBuilt',
+    'coordinates',
+    'address',
+    'listingDate',
+    'daysOnMarket',
+    'matchedRegions',
+    'matchedProfiles',
+    'brokers',
+    'rental',
+    'scrapedAt'
+];
+
+/**
+ * Copy of the fields of a listing needed to report on it without scraping it again
+ */
+export function summarizeListing(listing) {
+    const summary = { centrisId: listing.centrisId };
+    for (const field of SUMMARY_FIELDS) {
+        if (listing[field] !== undefined && listing[field] !== null) summary[field] = listing[field];
+    }
+    if (listing.normalized?.propertyType) summary.normalized = { propertyType: listing.normalized.propertyType };
+    return summary;
+}
+
+/**
+ * Copy of the tracked fields that are present on a listing
+ */
+export function snapshotListing(listing) {
+    const snapshot = {};
+    for (const field of TRACKED_FIELDS) {
+        if (listing[field] !== undefined && listing[field] !== null) {
+            snapshot[field] = listing[field];
+        }
+    }
+    return snapshot;
+}
+
+/**
+ * Field-by-field diff of two snapshots; fields absent from the new one are not
+ * reported, since a basic search card simply carries fewer fields
+ *
+ * @returns {object} Map of field → { from, to }
+ */
+export function diffSnapshots(previous = {}, current = {}) {
+    const changes = {};
+    for (const field of TRACKED_FIELDS) {
+        if (current[field] === undefined) continue;
+        if (JSON.stringify(previous[field]) !== JSON.stringify(current[field])) {
+            changes[field] = { from: previous[field] ?? null, to: current[field] };
+        }
+    }
+    return changes;
+}
+
+/**
+ * Classify a freshly scraped listing against its stored state
+ *
+ * @param {object|undefined} stored - Stored state for the listing, if any
+ * @param {object} listing - Scraped listing
+ * @returns {object|null} Change record without timestamps, or null when nothing changed
+ */
+export function classifyChange(stored, listing) {
+    if (!stored) {
+        return { changeType: 'new' };
+    }
+
+    const changes = diffSnapshots(stored.snapshot, snapshotListing(listing));
+    const priceChanged = listing.price && stored.price && listing.price !== stored.price;
+
+    if (priceChanged) {
+        const record = { changeType: 'priceChanged', oldPrice: stored.price, newPrice: listing.price };
+        if (Object.keys(changes).length > 0) record.changes = changes;
+        return record;
+    }
+    if (Object.keys(changes).length > 0) {
+        return { changeType: 'detailsChanged', changes };
+    }
+    return null;
+}
+
+/**
+ * Listing state store for monitoring runs
+ */
+export class ListingMonitor {
+    /**
+     * Open the named store and load the state left by the previous run
+     *
+     * @param {string} storeName - Named key-value store holding the state
+     */
+    static async open(storeName) {
+        const store = await Actor.openKeyValueStore(storeName);
+        const state = await store.getValue(STATE_KEY) ?? {};
+        return new ListingMonitor(store, state);
+    }
+
+    constructor(store, state) {
+        this.store = store;
+        this.state = state;
+        this.seen = new Set();
+    }
+
+    get knownCount() {
+        return Object.keys(this.state).length;
+    }
+
+    /**
+     * True when a search card shows the same price as the stored state, so its
+     * detail page does not need to be fetched again
+     */
+    isUnchanged(card) {
+        const stored = this.state[card.centrisId];
+        return Boolean(stored && card.price && stored.price === card.price);
+    }
+
+    /**
+     * Mark a listing as still on the market without re-scraping it
+     */
+    markSeen(centrisId, now = new Date()) {
+        if (!centrisId) return;
+        this.seen.add(centrisId);
+        if (this.state[centrisId]) {
+            this.state[centrisId].lastSeenAt = now.toISOString();
+        }
+    }
+
+    /**
+     * Compare a scraped listing with its stored state and update the state
+     *
+     * @returns {object|null} Change record to push, or null when nothing changed
+     */
+    update(listing, now = new Date()) {
+        const { centrisId } = listing;
+        const stored = this.state[centrisId];
+        const change = classifyChange(stored, listing);
+        const detectedAt = now.toISOString();
+
+        this.seen.add(centrisId);
+        this.state[centrisId] = {
+            ...stored,
+            centrisId,
+            url: listing.url,
+            price: listing.price || stored?.price || null,
+            snapshot: { ...stored?.snapshot, ...snapshotListing(listing) },
+            listing: summarizeListing(listing),
+            firstSeenAt: stored?.firstSeenAt ?? detectedAt,
+            lastSeenAt: detectedAt
+        };
+
+        if (!change) return null;
+        return { ...change, centrisId, url: listing.url, detectedAt, listing };
+    }
+
+    /**
+     * Summaries of the stored listings seen during this run, scraped or skipped as
+     * unchanged, with days on market brought up to date
+     */
+    currentListings(now = new Date()) {
+        return Object.values(this.state)
+            .filter((stored) => stored.listing && this.seen.has(stored.centrisId))
+            .map(({ listing }) => {
+                let { daysOnMarket } = listing;
+                if (listing.listingDate) {
+                    daysOnMarket = daysSince(listing.listingDate, now);
+                } else if (typeof daysOnMarket === 'number' && listing.scrapedAt) {
+                    daysOnMarket += daysSince(listing.scrapedAt, now);
+                }
+                return { ...listing, ...(daysOnMarket !== undefined && { daysOnMarket }) };
+            });
+    }
+
+    /**
+     * Emit removed records for stored listings not seen during this run and
+     * drop them from the state
+     *
+     * Only listings this run could have seen are considered: ones an earlier run
+     * found in (or whose address lies in) one of the searched regions and, when
+     * the run uses search profiles, returned by one of its profiles. Listings
+     * stored before their regions were kept are always considered.
+     *
+     * @param {Date} [now]
+     * @param {object} [scope]
+     * @param {string[]} [scope.regions] - Regions searched by this run
+     * @param {string[]} [scope.profiles] - Search profiles of this run
+     */
+    collectRemoved(now = new Date(), { regions, profiles } = {}) {
+        const removed = [];
+        for (const [centrisId, stored] of Object.entries(this.state)) {
+            if (this.seen.has(centrisId)) continue;
+            if (stored.listing && !this.inScope(stored.listing, regions, profiles)) continue;
+            removed.push({
+                changeType: 'removed',
+                centrisId,
+                url: stored.url,
+                detectedAt: now.toISOString(),
+                lastKnown: stored
+            });
+            delete this.state[centrisId];
+        }
+        return removed;
+    }
+
+    inScope(listing, regions, profiles) {
+        if (regions && !inSearchedRegions({
+            matchedRegions: listing.matchedRegions,
+            city: listing.address?.city,
+            neighborhood: listing.address?.neighborhood
+        }, regions)) {
+            return false;
+        }
+        if (profiles?.length > 0 && listing.matchedProfiles?.length > 0) {
+            return listing.matchedProfiles.some((profile) => profiles.includes(profile));
+        }
+        return true;
+    }
+
+    async save() {
+        await this.store.setValue(STATE_KEY, this.state);
+    }
+}
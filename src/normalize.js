@@ -0,0 +1,139 @@
+/**
+ * Bilingual normalisation of listing data
+ *
+ * Centris writes property categories and features in the language of the page
+ * ("Maison à étages" / "Two or more storey") and areas in either square feet or
+ * square metres. This module maps them to stable codes that carry both the
+ * French and English labels, and gives every area in both units with the one
+ * written on the page, so French and English runs can be merged.
+ */
+
+import { normalizeText, parseMeasurement, sqftToSqm, sqmToSqft } from './utils.js';
+
+/**
+ * Property categories, most specific first: "Maison mobile" must be seen
+ * before "Maison", "Condominium" before "Appartement"
+ */
+export const PROPERTY_CATEGORIES = [
+    { code: 'mobile-home', fr: 'Maison mobile', en: 'Mobile home', terms: ['maison mobile', 'mobile home', 'maison usinee', 'manufactured home'] },
+    { code: 'cottage', fr: 'Chalet', en: 'Cottage', terms: ['chalet', 'cottage'] },
+    { code: 'farm', fr: 'Ferme', en: 'Farm', terms: ['fermette', 'hobby farm', 'ferme', 'farm', 'terre agricole', 'agricole'] },
+    { code: 'plex', fr: 'Plex', en: 'Plex', terms: ['duplex', 'triplex', 'quadruplex', 'quintuplex', 'multiplex', 'plex', 'immeuble a revenus', 'revenue property', 'income property'] },
+    { code: 'loft-studio', fr: 'Loft / Studio', en: 'Loft / Studio', terms: ['loft', 'studio'] },
+    { code: 'condo', fr: 'Condo', en: 'Condo', terms: ['condominium', 'condo', 'copropriete divise'] },
+    { code: 'apartment', fr: 'Appartement', en: 'Apartment', terms: ['appartement', 'apartment', 'logement'] },
+    { code: 'land', fr: 'Terrain', en: 'Land', terms: ['terrain', 'land', 'lot'] },
+    { code: 'commercial', fr: 'Commercial', en: 'Commercial', terms: ['commercial', 'commerce', 'industriel', 'industrial', 'bureau', 'office', 'batisse'] },
+    {
+        code: 'house',
+        fr: 'Maison',
+        en: 'House',
+        terms: [
+            'maison', 'house', 'bungalow', 'plain pied', 'one storey', 'a etages', 'two or more storey', 'paliers multiples',
+            'split level', 'en rangee', 'townhouse', 'row house', 'jumele', 'semi detached', 'detached', 'unifamiliale', 'single family'
+        ]
+    }
+];
+
+/**
+ * Features, with the words that identify them in French and English feature lists
+ */
+export const FEATURES = [
+    { code: 'pool', fr: 'Piscine', en: 'Pool', keywords: ['piscine', 'pool'] },
+    { code: 'garage', fr: 'Garage', en: 'Garage', keywords: ['garage'] },
+    { code: 'fireplace', fr: 'Foyer', en: 'Fireplace', keywords: ['foyer', 'fireplace', 'poele', 'stove'] },
+    { code: 'waterfront', fr: 'Bord de l\'eau', en: 'Waterfront', keywords: ['bord de l\'eau', 'riverain', 'waterfront', 'acces a l\'eau', 'water access', 'navigable'] },
+    { code: 'basement', fr: 'Sous-sol', en: 'Basement', keywords: ['sous-sol', 'basement'] },
+    { code: 'air_conditioning', fr: 'Climatisation', en: 'Air conditioning', keywords: ['climatisation', 'climatiseur', 'thermopompe', 'air conditioning', 'heat pump'] },
+    { code: 'elevator', fr: 'Ascenseur', en: 'Elevator', keywords: ['ascenseur', 'elevator'] },
+    { code: 'wheelchair_access', fr: 'Adapté pour mobilité réduite', en: 'Wheelchair accessible', keywords: ['mobilite reduite', 'reduced mobility', 'wheelchair'] },
+    { code: 'intergenerational', fr: 'Intergénération', en: 'Intergenerational', keywords: ['intergeneration', 'bigenerational'] },
+    { code: 'charging_station', fr: 'Borne de recharge', en: 'Charging station', keywords: ['borne de recharge', 'borne electrique', 'charging station'] },
+    { code: 'carport', fr: 'Abri d\'auto', en: 'Carport', keywords: ['abri d\'auto', 'carport'] }
+];
+
+/**
+ * Text with accents, case and punctuation removed, for whole-word matching
+ */
+function matchKey(text) {
+    return ` ${normalizeText(text).replace(/[^a-z0-9']+/g, ' ').trim()} `;
+}
+
+function labels({ code, fr, en }) {
+    return { code, fr, en };
+}
+
+/**
+ * Canonical category of a Centris property type in either language
+ *
+ * Terms only match whole words, so "Maison mobile" is not a house and "Lot"
+ * does not match "Lotbinière".
+ *
+ * @param {string} propertyType - e.g. "Maison à étages à vendre", "Condo for rent"
+ * @returns {{ code: string, fr: string, en: string }|null} Null when the type is not recognised
+ */
+export function propertyCategory(propertyType) {
+    if (!propertyType) return null;
+    const key = matchKey(propertyType);
+    const category = PROPERTY_CATEGORIES.find(({ terms }) => terms.some((term) => key.includes(` ${term} `)));
+    return category ? labels(category) : null;
+}
+
+/**
+ * Canonical features of a feature list in either language, each listed once
+ *
+ * @param {string[]} features - Feature texts as scraped, e.g. "Piscine (Creusée)"
+ * @returns {{ code: string, fr: string, en: string }[]}
+ */
+export function normalizeFeatures(features = []) {
+    const found = new Map();
+    for (const text of features) {
+        const normalized = normalizeText(text);
+        const feature = FEATURES.find(({ keywords }) => keywords.some((keyword) => normalized.includes(keyword)));
+        if (feature && !found.has(feature.code)) found.set(feature.code, labels(feature));
+    }
+    return [...found.values()];
+}
+
+/**
+ * An area in square feet and square metres, with the value and unit written on the page
+ *
+ * @param {string|number} area - Area text such as "79 m²" or "1 650 pc", or a number of square feet
+ * @returns {{ sqft: number, sqm: number, value: number, unit: string }|null}
+ */
+export function normalizeArea(area) {
+    const measurement = typeof area === 'number' ? { value: area, unit: 'sqft' } : parseMeasurement(area);
+    if (!measurement) return null;
+
+    // Areas written with a length unit ("7 500 pi") are in that unit squared
+    const isMetric = measurement.unit === 'sqm' || measurement.unit === 'm';
+    const unit = isMetric ? 'sqm' : 'sqft';
+    return {
+        sqft: Math.round(isMetric ? sqmToSqft(measurement.value) : measurement.value),
+        sqm: Math.round((isMetric ? measurement.value : sqftToSqm(measurement.value)) * 10) / 10,
+        value: measurement.value,
+        unit
+    };
+}
+
+/**
+ * Language-independent view of a listing's category, features and areas
+ *
+ * @param {object} listing
+ * @param {string} [listing.propertyType]
+ * @param {string[]} [listing.features]
+ * @param {string|number} [listing.livingArea] - Area text, or square feet
+ * @param {string|number} [listing.lotSize] - Area text, or square feet
+ * @returns {object} { propertyType, features, livingArea?, lotSize? }
+ */
+export function normalizeListing({ propertyType, features, livingArea, lotSize }) {
+    const normalized = {
+        propertyType: propertyCategory(propertyType),
+        features: normalizeFeatures(features)
+    };
+    const living = normalizeArea(livingArea);
+    if (living) normalized.livingArea = living;
+    const lot = normalizeArea(lotSize);
+    if (lot) normalized.lotSize = lot;
+    return normalized;
+}
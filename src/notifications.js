@@ -0,0 +1,353 @@
+/**
+ * Listing notifications
+ *
+ * Each entry of the notifiers input sends the saved listings it matches to one
+ * destination while the run goes on: a JSON webhook signed with HMAC-SHA256, a
+ * Slack or Microsoft Teams incoming webhook, or an email digest over SMTP.
+ * Listings are batched per notifier and full batches are sent in the
+ * background, so a slow destination never holds up the crawl; a batch that
+ * cannot be delivered is retried with backoff before it is dropped.
+ */
+
+import { createHmac } from 'node:crypto';
+import nodemailer from 'nodemailer';
+import { findFailedFilter } from './filters.js';
+import { normalizeText } from './utils.js';
+
+export const NOTIFIER_TYPES = ['webhook', 'slack', 'teams', 'email'];
+
+// Header carrying the HMAC-SHA256 of the webhook body, as "sha256=<hex>"
+export const SIGNATURE_HEADER = 'X-Centris-Signature';
+
+// Listings per message when the notifier does not say; 0 sends one digest at the end of the run
+const DEFAULT_BATCH_SIZE = {
+    webhook: 10,
+    slack: 10,
+    teams: 10,
+    email: 0
+};
+
+// Delay before the first retry, doubled on each one after
+const RETRY_DELAY_MS = 1000;
+
+// Time one delivery attempt may take before it counts as failed
+const SEND_TIMEOUT_MS = 30000;
+
+// Listings shown in one chat message; the rest are counted
+const CHAT_MAX_LISTINGS = 10;
+
+/**
+ * HMAC-SHA256 signature of a webhook body
+ */
+export function signPayload(body, secret) {
+    return `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function formatPrice(listing) {
+    if (listing.rental?.monthlyRent) return `${listing.rental.monthlyRent.toLocaleString('en-CA')} $/month`;
+    return listing.price ? `${listing.price.toLocaleString('en-CA')} $` : listing.priceFormatted ?? 'Price not listed';
+}
+
+/**
+ * One-line description of a listing: "459,000 $ · Condo à vendre · 2 bd · Montréal (Ville-Marie)"
+ */
+export function listingHeadline(listing) {
+    const place = listing.address?.neighborhood
+        ? `${listing.address.city ?? ''} (${listing.address.neighborhood})`.trim()
+        : listing.address?.city ?? listing.addressText;
+    return [
+        formatPrice(listing),
+        listing.propertyType,
+        listing.bedrooms ? `${listing.bedrooms} bd` : null,
+        place
+    ].filter(Boolean).join(' · ');
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, (char) => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+function heading(items) {
+    const fresh = items.filter((item) => item.isNew).length;
+    return `${items.length} Centris listing(s) matching your search${fresh > 0 ? `, ${fresh} new` : ''}`;
+}
+
+/**
+ * Slack incoming webhook message
+ */
+export function slackMessage(items) {
+    const shown = items.slice(0, CHAT_MAX_LISTINGS);
+    return {
+        text: heading(items),
+        blocks: [
+            { type: 'header', text: { type: 'plain_text', text: heading(items) } },
+            ...shown.map(({ listing, isNew }) => ({
+                type: 'section',
+                text: {
+                    type: 'mrkdwn',
+                    text: `${isNew ? '*New* ' : ''}<${listing.url}|${listingHeadline(listing)}>`
+                }
+            })),
+            ...(items.length > shown.length
+                ? [{ type: 'context', elements: [{ type: 'mrkdwn', text: `and ${items.length - shown.length} more` }] }]
+                : [])
+        ]
+    };
+}
+
+/**
+ * Microsoft Teams incoming webhook message (MessageCard)
+ */
+export function teamsMessage(items) {
+    const shown = items.slice(0, CHAT_MAX_LISTINGS);
+    const more = items.length > shown.length ? [{ text: `and ${items.length - shown.length} more` }] : [];
+    return {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        summary: heading(items),
+        title: heading(items),
+        sections: [
+            ...shown.map(({ listing, isNew }) => ({
+                text: `${isNew ? '**New** ' : ''}[${listingHeadline(listing)}](${listing.url})`
+            })),
+            ...more
+        ]
+    };
+}
+
+/**
+ * Email digest of the listings, as text and HTML
+ */
+export function emailDigest(items) {
+    const lines = items.map(({ listing, isNew }) => `${isNew ? '[New] ' : ''}${listingHeadline(listing)}\n${listing.url}`);
+    const rows = items.map(({ listing, isNew }) => `<li>${isNew ? '<strong>New</strong> ' : ''}`
+        + `<a href="${escapeHtml(listing.url)}">${escapeHtml(listingHeadline(listing))}</a></li>`);
+    return {
+        subject: heading(items),
+        text: `${heading(items)}\n\n${lines.join('\n\n')}\n`,
+        html: `<p>${escapeHtml(heading(items))}</p>\n<ul>\n${rows.join('\n')}\n</ul>\n`
+    };
+}
+
+/**
+ * Error for a delivery that should not be retried (e.g. HTTP 400)
+ */
+class PermanentError extends Error {}
+
+async function postJson(url, body, headers, timeoutMs) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body,
+        signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (!response.ok) {
+        const message = `${url} responded with HTTP ${response.status}`;
+        const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+        throw retryable ? new Error(message) : new PermanentError(message);
+    }
+}
+
+/**
+ * Function delivering a batch of { listing, isNew } items to the notifier's destination
+ */
+function createTransport(config, { createMailer = nodemailer.createTransport, timeoutMs = SEND_TIMEOUT_MS } = {}) {
+    switch (config.type) {
+        case 'webhook':
+            return async (items) => {
+                const body = JSON.stringify({
+                    event: 'listings.matched',
+                    sentAt: new Date().toISOString(),
+                    count: items.length,
+                    listings: items.map(({ listing, isNew }) => ({ ...listing, isNew }))
+                });
+                await postJson(config.url, body, config.secret ? { [SIGNATURE_HEADER]: signPayload(body, config.secret) } : {}, timeoutMs);
+            };
+        case 'slack':
+            return async (items) => postJson(config.url, JSON.stringify(slackMessage(items)), {}, timeoutMs);
+        case 'teams':
+            return async (items) => postJson(config.url, JSON.stringify(teamsMessage(items)), {}, timeoutMs);
+        default: {
+            const mailer = createMailer({
+                connectionTimeout: timeoutMs,
+                greetingTimeout: timeoutMs,
+                socketTimeout: timeoutMs,
+                ...config.smtp
+            });
+            return async (items) => {
+                const digest = emailDigest(items);
+                await mailer.sendMail({
+                    from: config.from,
+                    to: config.to,
+                    subject: config.subject ?? digest.subject,
+                    text: digest.text,
+                    html: digest.html
+                });
+            };
+        }
+    }
+}
+
+/**
+ * Check a notifier input and fill in its defaults
+ *
+ * @throws {Error} When the type is unknown or the destination is missing
+ */
+export function normalizeNotifierConfig(config, index = 0) {
+    const label = config?.name ?? `notifiers[${index}]`;
+    if (!NOTIFIER_TYPES.includes(config?.type)) {
+        throw new Error(`${label}: type must be one of ${NOTIFIER_TYPES.join(', ')}`);
+    }
+    if (config.type === 'email') {
+        if (!config.smtp?.host || !config.from || !config.to || config.to.length === 0) {
+            throw new Error(`${label}: email notifiers need smtp.host, from and to`);
+        }
+    } else if (!/^https?:\/\//.test(config.url ?? '')) {
+        throw new Error(`${label}: ${config.type} notifiers need an http(s) url`);
+    }
+
+    return {
+        ...config,
+        name: label,
+        filters: config.filters ?? {},
+        onlyNew: config.onlyNew ?? false,
+        batchSize: config.batchSize ?? DEFAULT_BATCH_SIZE[config.type],
+        maxRetries: config.maxRetries ?? 3
+    };
+}
+
+export class Notifier {
+    /**
+     * @param {object} config - Notifier input, see normalizeNotifierConfig
+     * @param {object} [options]
+     * @param {Function} [options.transport] - (items) → Promise, replaces the HTTP / SMTP delivery
+     * @param {Function} [options.createMailer] - SMTP transport factory, nodemailer's by default
+     * @param {number} [options.timeoutMs] - Time one delivery attempt may take
+     * @param {string} [options.searchType] - 'buy' or 'rent', tells the price filters how to read a listing
+     * @param {Function} [options.sleep] - (ms) → Promise, for tests
+     */
+    constructor(config, { transport, createMailer, timeoutMs, searchType, sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)) } = {}) {
+        this.config = config;
+        this.searchType = searchType;
+        this.transport = transport ?? createTransport(config, { createMailer, timeoutMs });
+        this.sleep = sleep;
+        this.queue = [];
+        // Batches being sent in the background, one after the other, and their errors
+        this.sending = Promise.resolve();
+        this.errors = [];
+        this.sent = 0;
+        this.failed = 0;
+        this.messages = 0;
+    }
+
+    get name() {
+        return this.config.name;
+    }
+
+    /**
+     * True when the listing passes the notifier's own filters
+     *
+     * The filters take the same fields as the search input (minPrice, maxPrice,
+     * minBedrooms, propertyTypes, neighborhoods, ...) plus regions, matched
+     * against the regions that returned the listing. They are read for the run's
+     * searchType, so minPrice and maxPrice do not apply to rentals.
+     */
+    matches(listing, isNew) {
+        const { filters, onlyNew } = this.config;
+        if (onlyNew && !isNew) return false;
+        if (filters.regions?.length > 0) {
+            const matched = (listing.matchedRegions ?? []).map(normalizeText);
+            if (!filters.regions.some((region) => matched.includes(normalizeText(region)))) return false;
+        }
+        return findFailedFilter(listing, { searchType: this.searchType, ...filters }) === null;
+    }
+
+    /**
+     * Queue a saved listing when it matches; a full batch is sent in the background
+     *
+     * @returns {boolean} True when the listing was queued
+     */
+    add(listing, { isNew = false } = {}) {
+        if (!this.matches(listing, isNew)) return false;
+        this.queue.push({ listing, isNew });
+        if (this.config.batchSize > 0 && this.queue.length >= this.config.batchSize) {
+            this.send(this.queue.splice(0));
+        }
+        return true;
+    }
+
+    /**
+     * Send a batch after the ones already being sent, keeping its error for flush
+     */
+    send(batch) {
+        this.sending = this.sending
+            .then(() => this.deliver(batch))
+            .catch((err) => { this.errors.push(err.message); });
+    }
+
+    /**
+     * Send the queued listings and wait for every batch to be delivered or dropped
+     *
+     * @throws {Error} Listing the batches that could not be delivered
+     */
+    async flush() {
+        if (this.queue.length > 0) this.send(this.queue.splice(0));
+        await this.sending;
+        if (this.errors.length > 0) throw new Error(this.errors.splice(0).join('\n'));
+    }
+
+    /**
+     * Deliver one batch, with retries; a batch that keeps failing is dropped and counted
+     *
+     * @throws {Error} The last delivery error
+     */
+    async deliver(batch) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                await this.transport(batch);
+                this.sent += batch.length;
+                this.messages++;
+                return;
+            } catch (err) {
+                if (err instanceof PermanentError || attempt >= this.config.maxRetries) {
+                    this.failed += batch.length;
+                    throw new Error(`Notifier ${this.name} could not deliver ${batch.length} listing(s): ${err.message}`);
+                }
+                await this.sleep(RETRY_DELAY_MS * 2 ** attempt);
+            }
+        }
+    }
+
+    summary() {
+        return {
+            name: this.name,
+            type: this.config.type,
+            listingsSent: this.sent,
+            listingsFailed: this.failed,
+            messages: this.messages
+        };
+    }
+}
+
+/**
+ * Build the notifiers of the notifiers input
+ *
+ * @param {object[]} configs - Notifier inputs
+ * @param {object} [options] - Passed to every Notifier
+ * @throws {Error} Listing every invalid notifier
+ */
+export function createNotifiers(configs = [], options = {}) {
+    const problems = [];
+    const notifiers = [];
+    configs.forEach((config, index) => {
+        try {
+            notifiers.push(new Notifier(normalizeNotifierConfig(config, index), options));
+        } catch (err) {
+            problems.push(err.message);
+        }
+    });
+    if (problems.length > 0) throw new Error(problems.join('\n'));
+    return notifiers;
+}
@@ -0,0 +1,778 @@
+/**
+ * Listing detail page parser
+ *
+ * Turns the HTML of a single Centris listing page into a details object that is
+ * merged over the basic data collected from the search results card.
+ *
+ * Structured sources are read first (the characteristics grid, the financial
+ * details tables, schema.org microdata and JSON-LD); regex over the page text is
+ * only a fallback for pages where those blocks are missing.
+ */
+
+import { loadPage } from './page.js';
+import { absoluteUrl, centrisIdFromUrl, cleanText, normalizeText, parseArea, parseDate, parsePrice, parseQuebecNumber } from '../utils.js';
+import { normalizeListing } from '../normalize.js';
+
+// Characteristics grid titles, French and English, lowercased
+const CHARACTERISTIC_LABELS = {
+    yearBuilt: ['année de construction', 'year built'],
+    livingArea: ['superficie nette habitable', 'superficie habitable', 'net area', 'living area'],
+    buildingArea: ['superficie du bâtiment', 'building area'],
+    lotSize: ['superficie du terrain', 'lot area'],
+    parking: ['stationnement total', 'parking (total)'],
+    additionalFeatures: ['caractéristiques additionnelles', 'additional features'],
+    pool: ['piscine', 'pool'],
+    fireplace: ['foyer-poêle', 'fireplace/stove'],
+    unitCount: ["nombre d'unités", 'nombre d’unités', 'number of units'],
+    residentialUnits: ['unités résidentielles', 'residential units'],
+    commercialUnits: ['unités commerciales', 'commercial units'],
+    mainUnit: ['unité principale', 'main unit'],
+    grossRevenue: ['revenus bruts potentiels', 'potential gross revenue'],
+    availability: ['date de disponibilité', 'disponibilité', "date d'emménagement", 'date d’emménagement', 'availability date', 'availability', 'move-in date'],
+    furnished: ['meublé', 'ameublement', 'furnished'],
+    utilitiesIncluded: ['services inclus', 'inclus dans le loyer', 'utilities included', 'included in the rent', 'included in rent'],
+    leaseTerm: ['durée du bail', 'bail', 'lease term', 'lease length', 'lease'],
+    pets: ['animaux acceptés', 'animaux permis', 'animaux', 'pets allowed', 'pets']
+};
+
+// Price or title of a rental listing: "1 850 $ /mois", "Appartement à louer"
+const RENTAL_PATTERN = /\/\s*(mois|month)|à louer|for rent/i;
+
+// Words that identify each included utility, without accents
+const UTILITY_KEYWORDS = {
+    heating: ['chauffage', 'chauffe', 'heating', 'heat'],
+    electricity: ['electricite', 'electricity', 'hydro'],
+    hotWater: ['eau chaude', 'hot water']
+};
+
+const GARAGE_PATTERN = /garage|abri|carport/i;
+
+// Size Centris serves in its full-screen photo viewer, the largest it offers
+const FULL_SIZE_IMAGE = { sm: 'm', w: '1260', h: '1024' };
+
+// Photo galleries; other media.ashx images on the page belong to similar listings or ads
+const GALLERY_SELECTORS = ['.photo-gallery', '#photoViewer', '.primary-photo-container', '.photo-thumbnails'];
+
+/**
+ * Return the first regex capture found in the text, as an integer
+ */
+function matchInt(text, patterns) {
+    for (const pattern of patterns) {
+        const match = text.match(pattern);
+        if (match) return parseInt(match[1].replace(/[,\s]/g, ''), 10);
+    }
+    return undefined;
+}
+
+/**
+ * Read the characteristics grid into a map of lowercased title → value text
+ */
+function readCharacteristics($) {
+    const characteristics = {};
+    $('.carac-container').each((_, el) => {
+        const title = cleanText($(el).find('.carac-title').text()).toLowerCase();
+        const value = cleanText($(el).find('.carac-value').text());
+        if (title && value) characteristics[title] = value;
+    });
+    return characteristics;
+}
+
+/**
+ * Find the grid title matching one of the known labels; titles may carry a
+ * qualifier such as "Superficie du bâtiment (au sol)"
+ */
+function characteristicTitle(characteristics, key) {
+    const titles = Object.keys(characteristics);
+    for (const label of CHARACTERISTIC_LABELS[key]) {
+        const title = titles.find((candidate) => candidate === label || candidate.startsWith(`${label} `));
+        if (title) return title;
+    }
+    return undefined;
+}
+
+/**
+ * Look up a characteristic value by one of its known titles
+ */
+function characteristic(characteristics, key) {
+    const title = characteristicTitle(characteristics, key);
+    return title ? characteristics[title] : undefined;
+}
+
+/**
+ * Parse every JSON-LD block on the page, flattening @graph containers
+ */
+function readJsonLd($) {
+    const nodes = [];
+    $('script[type="application/ld+json"]').each((_, el) => {
+        try {
+            const parsed = JSON.parse($(el).html());
+            for (const node of [].concat(parsed)) {
+                nodes.push(...(node['@graph'] ?? [node]));
+            }
+        } catch {
+            // Malformed block, ignore it
+        }
+    });
+    return nodes;
+}
+
+/**
+ * Split the parking summary ("Allée (2), Garage (1)") into total and garage spaces
+ */
+function parseParking(text) {
+    let parkingSpaces = 0;
+    let garageSpaces = 0;
+    let found = false;
+
+    for (const part of text.split(',')) {
+        const match = part.match(/\((\d+)\)/);
+        if (!match) continue;
+        const count = parseInt(match[1], 10);
+        found = true;
+        parkingSpaces += count;
+        if (GARAGE_PATTERN.test(part)) garageSpaces += count;
+    }
+
+    return found ? { parkingSpaces, garageSpaces } : {};
+}
+
+/**
+ * True for the monthly variant of a financial details table
+ */
+function isMonthlyTable($, $table) {
+    const period = cleanText($table.find('thead th').last().text()).toLowerCase();
+    return /mensuel|monthly/.test(period) || $table.closest('.financial-details-table-monthly').length > 0;
+}
+
+/**
+ * Read taxes and condo fees from the financial details tables
+ */
+function parseFinancialDetails($) {
+    const result = {};
+
+    $('table.financial-details-table').each((_, table) => {
+        const $table = $(table);
+        const isMonthly = isMonthlyTable($, $table);
+
+        $table.find('tbody tr').each((_, row) => {
+            const cells = $(row).find('td');
+            const label = cleanText(cells.first().text()).toLowerCase();
+            const amount = parseQuebecNumber(cells.last().text());
+            if (amount === null || cells.length < 2) return;
+
+            if (/^municipal/.test(label) && !isMonthly) {
+                result.municipalTaxes = amount;
+            } else if (/^(scolaires?|school)/.test(label) && !isMonthly) {
+                result.schoolTaxes = amount;
+            } else if (/copropriété|condominium fees|condo fees/.test(label)) {
+                // The schema stores monthly fees; prefer the monthly table when both exist
+                if (isMonthly) {
+                    result.condoFees = amount;
+                } else if (result.condoFees === undefined) {
+                    result.condoFees = Math.round(amount / 12);
+                }
+            }
+        });
+    });
+
+    return result;
+}
+
+/**
+ * Read the plex unit breakdown from the characteristics grid
+ *
+ * "Résidentiel (3), Commercial (1)" gives the count per use and
+ * "1 x 4 ½, 2 x 5 ½" the type of each residential unit.
+ */
+function parseUnits(characteristics) {
+    const result = {};
+
+    const countText = characteristic(characteristics, 'unitCount');
+    if (countText) {
+        for (const part of countText.split(',')) {
+            const match = part.match(/^\s*(.+?)\s*\((\d+)\)/);
+            if (!match) continue;
+            const count = parseInt(match[2], 10);
+            if (/commerc/i.test(match[1])) {
+                result.commercialUnits = (result.commercialUnits ?? 0) + count;
+            } else {
+                result.residentialUnits = (result.residentialUnits ?? 0) + count;
+            }
+        }
+    }
+
+    const unitTypes = [];
+    for (const key of ['residentialUnits', 'commercialUnits']) {
+        const text = characteristic(characteristics, key);
+        if (!text) continue;
+        for (const part of text.split(',')) {
+            const match = part.match(/^\s*(\d+)\s*x\s*(.+?)\s*$/i);
+            if (match) {
+                unitTypes.push({
+                    count: parseInt(match[1], 10),
+                    type: match[2],
+                    use: key === 'commercialUnits' ? 'commercial' : 'residential'
+                });
+            }
+        }
+    }
+    if (unitTypes.length > 0) result.unitTypes = unitTypes;
+
+    const mainUnit = characteristic(characteristics, 'mainUnit');
+    if (mainUnit) result.mainUnit = mainUnit;
+
+    const counted = (result.residentialUnits ?? 0) + (result.commercialUnits ?? 0);
+    const typed = unitTypes.reduce((sum, unit) => sum + unit.count, 0);
+    if (counted || typed) result.unitCount = counted || typed;
+
+    return result;
+}
+
+/**
+ * Read the rent and lease conditions of a rental listing
+ *
+ * The grid answers furnished and pets with "Oui" / "Non", "Semi-meublé" or a
+ * short policy ("Chats seulement"); the raw policy text is kept next to the flag.
+ */
+function parseRental(characteristics, priceFormatted) {
+    const rental = {};
+
+    const monthlyRent = parseQuebecNumber(priceFormatted);
+    if (monthlyRent) rental.monthlyRent = monthlyRent;
+
+    const availability = characteristic(characteristics, 'availability');
+    if (availability) {
+        if (/immédiat|immediate|maintenant|\bnow\b/i.test(availability)) {
+            rental.availableImmediately = true;
+        } else {
+            const availableFrom = parseDate(availability);
+            if (availableFrom) rental.availableFrom = availableFrom;
+        }
+    }
+
+    const furnished = normalizeText(characteristic(characteristics, 'furnished'));
+    if (/semi/.test(furnished)) {
+        rental.furnished = 'semi-furnished';
+    } else if (/^(non|no)\b|unfurnished|non meuble/.test(furnished)) {
+        rental.furnished = 'unfurnished';
+    } else if (/^(oui|yes)\b|meuble|furnished/.test(furnished)) {
+        rental.furnished = 'furnished';
+    }
+
+    const utilities = characteristic(characteristics, 'utilitiesIncluded');
+    if (utilities) {
+        const text = normalizeText(utilities);
+        rental.utilitiesIncluded = Object.keys(UTILITY_KEYWORDS)
+            .filter((utility) => UTILITY_KEYWORDS[utility].some((keyword) => text.includes(keyword)));
+    }
+
+    const lease = normalizeText(characteristic(characteristics, 'leaseTerm'));
+    const leaseMatch = lease.match(/(\d+)\s*(mois|months?|ans?|years?)\b/);
+    if (leaseMatch) {
+        const count = parseInt(leaseMatch[1], 10);
+        rental.leaseTermMonths = /^(an|year)/.test(leaseMatch[2]) ? count * 12 : count;
+    }
+
+    const pets = characteristic(characteristics, 'pets');
+    if (pets) {
+        const text = normalizeText(pets);
+        rental.petPolicy = pets;
+        if (/^(non|no)\b|interdit|not allowed/.test(text)) {
+            rental.petsAllowed = false;
+        } else if (/^(oui|yes)\b|accepte|permis|allowed|chat|chien|cat|dog/.test(text)) {
+            rental.petsAllowed = true;
+        }
+    }
+
+    return rental;
+}
+
+/**
+ * Read the potential gross revenue and expense tables
+ *
+ * Amounts are yearly; the monthly copies of the tables are skipped. The
+ * characteristics grid of plex pages repeats the gross revenue, which is used
+ * when the page has no revenue table.
+ */
+function parseIncomeAndExpenses($, characteristics) {
+    const result = {};
+    const revenue = {};
+    const expenseItems = [];
+    let expenseTotal;
+
+    $('table.financial-details-table').each((_, table) => {
+        const $table = $(table);
+        const heading = cleanText($table.find('thead th').first().text()).toLowerCase();
+        const isRevenue = /revenus?|revenue|income/.test(heading);
+        const isExpenses = /dépenses|expenses/.test(heading);
+        if ((!isRevenue && !isExpenses) || isMonthlyTable($, $table)) return;
+
+        $table.find('tbody tr, tfoot tr').each((_, row) => {
+            const cells = $(row).find('td');
+            const label = cleanText(cells.first().text());
+            const amount = parseQuebecNumber(cells.last().text());
+            if (amount === null || cells.length < 2) return;
+            const isTotal = /^total/i.test(label);
+
+            if (isRevenue) {
+                if (isTotal) revenue.gross = amount;
+                else if (/^résidentiel|^residential/i.test(label)) revenue.residential = amount;
+                else if (/^commercia/i.test(label)) revenue.commercial = amount;
+                else revenue.other = (revenue.other ?? 0) + amount;
+            } else if (isTotal) {
+                expenseTotal = amount;
+            } else {
+                expenseItems.push({ label, amount });
+            }
+        });
+    });
+
+    if (revenue.gross === undefined) {
+        // "42 600 $ (2024)" - drop the year before reading the amount
+        const grossText = characteristic(characteristics, 'grossRevenue');
+        const gross = grossText ? parseQuebecNumber(grossText.replace(/\(.*?\)/g, '')) : null;
+        if (gross !== null) {
+            revenue.gross = gross;
+        } else if (Object.keys(revenue).length > 0) {
+            revenue.gross = Object.values(revenue).reduce((sum, amount) => sum + amount, 0);
+        }
+    }
+    if (Object.keys(revenue).length > 0) result.revenue = revenue;
+
+    if (expenseItems.length > 0 || expenseTotal !== undefined) {
+        result.expenses = {
+            items: expenseItems,
+            total: expenseTotal ?? expenseItems.reduce((sum, item) => sum + item.amount, 0)
+        };
+    }
+
+    return result;
+}
+
+/**
+ * Full-size URL of a Centris photo and its media id, or null for other images
+ */
+function fullSizeImage(src, pageUrl) {
+    const href = absoluteUrl(src, pageUrl);
+    if (!href || !/media\.ashx/i.test(href)) return null;
+
+    const url = new URL(href);
+    const id = url.searchParams.get('id');
+    if (!id) return null;
+    for (const [param, value] of Object.entries(FULL_SIZE_IMAGE)) {
+        url.searchParams.set(param, value);
+    }
+    return { id, url: url.href };
+}
+
+/**
+ * Photo URLs of the whole gallery, in order, from the inline script that feeds
+ * the photo viewer; most of the gallery is only loaded into the DOM on demand
+ */
+function readGalleryScript($) {
+    let urls = [];
+    $('script:not([src])').each((_, el) => {
+        const match = $(el).html()?.match(/MosaicPhotoUrls\s*=\s*(\[[\s\S]*?\])/);
+        if (!match) return;
+        try {
+            urls = JSON.parse(match[1]);
+        } catch {
+            // Not plain JSON, fall back to the DOM
+        }
+        return false;
+    });
+    return urls.filter((url) => typeof url === 'string');
+}
+
+/**
+ * Build the photo gallery: every photo once, at full size, in gallery order,
+ * with the caption shown for it
+ *
+ * @returns {object[]} Photos as { order, id, url, caption }
+ */
+function parseGallery($, pageUrl, jsonLd) {
+    const photos = new Map();
+    const captions = {};
+    const add = (src, caption) => {
+        const image = fullSizeImage(src, pageUrl);
+        if (!image) return;
+        if (caption && !captions[image.id]) captions[image.id] = caption;
+        if (!photos.has(image.id)) photos.set(image.id, image.url);
+    };
+
+    const scripted = readGalleryScript($);
+    const gallery = $(GALLERY_SELECTORS.join(', '));
+    const images = gallery.length > 0
+        ? gallery.find('img').add(gallery.filter('img'))
+        : $('img').filter((_, img) => $(img).closest('.similar-properties').length === 0);
+
+    // The script has the order; the DOM has the captions
+    for (const src of scripted) add(src);
+    images.each((_, img) => {
+        const $img = $(img);
+        const caption = cleanText($img.attr('data-caption') || $img.attr('title') || $img.attr('alt') || '');
+        add($img.attr('data-src') || $img.attr('src'), caption);
+    });
+    for (const node of jsonLd) {
+        for (const image of [].concat(node.image ?? [])) {
+            add(typeof image === 'string' ? image : image?.url ?? image?.contentUrl);
+        }
+    }
+
+    return [...photos].map(([id, url], index) => ({
+        order: index + 1,
+        id,
+        url,
+        caption: captions[id] ?? null
+    }));
+}
+
+/**
+ * Read latitude/longitude from microdata, JSON-LD or the map container
+ */
+function parseCoordinates($, jsonLd) {
+    const candidates = [
+        [$('[itemprop="geo"] [itemprop="latitude"]').attr('content'), $('[itemprop="geo"] [itemprop="longitude"]').attr('content')],
+        ...jsonLd.filter((node) => node.geo).map((node) => [node.geo.latitude, node.geo.longitude]),
+        [$('[data-lat]').first().attr('data-lat'), $('[data-lng]').first().attr('data-lng')]
+    ];
+
+    for (const [lat, lng] of candidates) {
+        const latitude = parseFloat(lat);
+        const longitude = parseFloat(lng);
+        if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+            return { latitude, longitude };
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Build the address object from the page heading and the JSON-LD postal address
+ */
+function parseAddress(fullAddress, jsonLd) {
+    const postal = jsonLd.find((node) => node.address)?.address ?? {};
+    const parts = fullAddress ? fullAddress.split(',').map((part) => part.trim()) : [];
+    const address = {};
+
+    // "Montréal (Ville-Marie)" → city Montréal, borough Ville-Marie
+    const headingLocality = parts.find((part) => /\(.+\)/.test(part));
+    const locality = postal.addressLocality || headingLocality;
+    const localityMatch = locality?.match(/^(.+?)\s*\((.+)\)$/);
+
+    // The heading ends with "Quartier X" / "Neighbourhood X" when Centris knows it
+    const quarter = parts.find((part) => /^(quartier|neighbourhood|neighborhood)\s/i.test(part));
+
+    const street = postal.streetAddress
+        || (headingLocality ? parts.slice(0, parts.indexOf(headingLocality)).join(', ') : undefined);
+    if (street) address.street = street;
+
+    if (localityMatch) {
+        address.city = localityMatch[1];
+    } else if (locality) {
+        address.city = locality;
+    }
+
+    if (quarter) {
+        address.neighborhood = quarter.replace(/^\S+\s+/, '');
+    } else if (localityMatch) {
+        address.neighborhood = localityMatch[2];
+    }
+
+    address.region = postal.addressRegion || 'QC';
+
+    const postalCode = postal.postalCode || fullAddress?.match(/[A-Z]\d[A-Z]\s?\d[A-Z]\d/i)?.[0];
+    if (postalCode) address.postalCode = postalCode.toUpperCase();
+
+    if (fullAddress) address.fullAddress = fullAddress;
+    return address;
+}
+
+/**
+ * Parse the bathroom teaser ("2 bathrooms and 1 powder room", "1 salle de bain et 1 salle d'eau")
+ */
+function parseBathrooms(text) {
+    const result = {};
+    const full = text.match(/(\d+)\s*(?:salles? de bains?|bathrooms?)/i);
+    const half = text.match(/(\d+)\s*(?:salles? d'eau|powder rooms?)/i);
+    if (full) result.bathrooms = parseInt(full[1], 10);
+    if (half) result.halfBathrooms = parseInt(half[1], 10);
+    return result;
+}
+
+/**
+ * Collect the feature list from the additional features, pool and fireplace characteristics
+ */
+function parseFeatures(characteristics) {
+    const features = [];
+    const additional = characteristic(characteristics, 'additionalFeatures');
+    if (additional) {
+        features.push(...additional.split(',').map((item) => item.trim()).filter(Boolean));
+    }
+
+    for (const key of ['pool', 'fireplace']) {
+        const title = characteristicTitle(characteristics, key);
+        if (!title) continue;
+        features.push(`${title.charAt(0).toUpperCase()}${title.slice(1)} (${characteristics[title]})`);
+    }
+
+    return features;
+}
+
+/**
+ * Parse every broker card on the page; co-listed properties show one card per broker
+ *
+ * @returns {object[]} Brokers in page order, as { name, title, agency, phone, email, profileUrl }
+ */
+function parseBrokers($, pageUrl) {
+    const brokers = [];
+
+    $('.broker-info').each((_, el) => {
+        const $card = $(el);
+        const broker = {};
+
+        const name = cleanText($card.find('.broker-info__broker-name, [itemprop="name"]').first().text());
+        if (!name) return;
+        broker.name = name;
+
+        const title = cleanText($card.find('.broker-info__broker-job').first().text());
+        if (title) broker.title = title;
+
+        const agency = cleanText($card.find('.broker-info__agency-name, [itemprop="worksFor"]').first().text());
+        if (agency) broker.agency = agency;
+
+        const phoneEl = $card.find('.broker-info__main-phone, a[href^="tel:"]').first();
+        const phone = cleanText(phoneEl.text()) || phoneEl.attr('href')?.replace(/^tel:/, '');
+        if (phone) broker.phone = phone;
+
+        const email = $card.find('a[href^="mailto:"]').first().attr('href')?.replace(/^mailto:/, '');
+        if (email) broker.email = email;
+
+        const profileUrl = absoluteUrl($card.find('.broker-info__profile-link, a[href*="courtiers-immobiliers~"], a[href*="real-estate-brokers~"]').first().attr('href'), pageUrl);
+        if (profileUrl) broker.profileUrl = profileUrl;
+
+        if (!brokers.some((known) => known.name === broker.name && known.agency === broker.agency)) {
+            brokers.push(broker);
+        }
+    });
+
+    return brokers;
+}
+
+/**
+ * True when the page is the detail page of the given listing
+ *
+ * Listings taken off the market no longer resolve: Centris redirects them to a
+ * search or home page, which has no listing number.
+ *
+ * @param {string|import('cheerio').CheerioAPI} html - Raw page HTML or its loaded document
+ * @param {string} pageUrl - URL the page ended up on after redirects
+ * @param {string} [centrisId] - Listing number that was requested
+ */
+export function isListingAvailable(html, pageUrl, centrisId) {
+    const $ = loadPage(html);
+    const displayedId = cleanText($('#ListingDisplayId').text());
+    if (displayedId) return !centrisId || displayedId === centrisId;
+
+    const urlId = centrisIdFromUrl(pageUrl);
+    return Boolean(urlId && (!centrisId || urlId === centrisId) && $('#BuyPrice, [itemprop="price"]').length);
+}
+
+// Listing title, and price selectors with the most specific first: the container also holds the listing number
+const TITLE_SELECTOR = '[data-id="PageTitle"]';
+const PRICE_SELECTORS = ['#BuyPrice', '[itemprop="price"]', '.price', '[class*="price"]'];
+
+/**
+ * True when a detail page shows the listing's price or title
+ *
+ * @param {string|import('cheerio').CheerioAPI} html - Raw page HTML or its loaded document
+ */
+export function hasListingContent(html) {
+    const $ = loadPage(html);
+    return [TITLE_SELECTOR, ...PRICE_SELECTORS].some((selector) => cleanText($(selector).first().text()));
+}
+
+// Elements where a sold listing shows its "Vendu" / "Sold" sticker in place of the usual status
+const STATUS_BANNER_SELECTORS = ['[class*="sold"]', '[class*="vendu"]', '.banner', '.sticker', '#BuyPrice', '[itemprop="price"]', '[data-id="PageTitle"]'];
+const SOLD_PATTERN = /^(vendu|sold)\b/i;
+
+/**
+ * True when a detail page carries a "Vendu" / "Sold" banner
+ *
+ * Only banner, price and title elements are checked, so a description that
+ * mentions a sale elsewhere does not count.
+ *
+ * @param {string|import('cheerio').CheerioAPI} html - Raw page HTML or its loaded document
+ */
+export function isListingSold(html) {
+    const $ = loadPage(html);
+    return STATUS_BANNER_SELECTORS.some((selector) => $(selector).toArray()
+        .some((el) => SOLD_PATTERN.test(cleanText($(el).text()))));
+}
+
+/**
+ * Extract detailed information from a listing page
+ *
+ * @param {string|import('cheerio').CheerioAPI} html - Raw page HTML or its loaded document
+ * @param {string} pageUrl - URL the page was loaded from, used to resolve relative links
+ * @returns {object} Detail fields found on the page
+ */
+export function parseListingDetails(html, pageUrl) {
+    const $ = loadPage(html);
+    const data = {};
+    const jsonLd = readJsonLd($);
+    const characteristics = readCharacteristics($);
+
+    // Listing title as shown in the page heading
+    const titleEl = $(TITLE_SELECTOR).first();
+    if (titleEl.length) {
+        data.listingTitle = cleanText(titleEl.text());
+    }
+
+    // Price - first selector with text
+    for (const selector of PRICE_SELECTORS) {
+        const priceEl = $(selector).first();
+        if (priceEl.length) {
+            data.priceFormatted = cleanText(priceEl.text());
+            if (data.priceFormatted) break;
+        }
+    }
+    if (data.priceFormatted) {
+        data.price = parsePrice(data.priceFormatted);
+    }
+
+    // Address
+    const addressEl = $('.address, [itemprop="address"], .property-address').first();
+    data.address = parseAddress(addressEl.length ? cleanText(addressEl.text()) : undefined, jsonLd);
+
+    // Property type / category
+    const categoryEl = $('.category, .property-type, h1[itemprop="category"]').first();
+    if (categoryEl.length) {
+        data.propertyType = cleanText(categoryEl.text());
+    }
+
+    // Centris listing number, also used as the MLS number
+    const listingNumber = cleanText($('#ListingDisplayId').text()) || centrisIdFromUrl(pageUrl);
+    if (listingNumber) data.mlsNumber = listingNumber;
+
+    // Rooms teaser
+    const bedMatch = $('.teaser .cac').text().match(/(\d+)/);
+    if (bedMatch) data.bedrooms = parseInt(bedMatch[1], 10);
+    Object.assign(data, parseBathrooms(cleanText($('.teaser .sdb').text())));
+
+    // Characteristics grid
+    const yearMatch = characteristic(characteristics, 'yearBuilt')?.match(/\d{4}/);
+    if (yearMatch) data.yearBuilt = parseInt(yearMatch[0], 10);
+
+    const livingAreaText = characteristic(characteristics, 'livingArea') || characteristic(characteristics, 'buildingArea');
+    const livingArea = parseArea(livingAreaText);
+    if (livingArea !== null) data.livingArea = livingArea;
+
+    const lotSizeText = characteristic(characteristics, 'lotSize');
+    const lotSize = parseArea(lotSizeText);
+    if (lotSize !== null) data.lotSize = lotSize;
+
+    const parkingText = characteristic(characteristics, 'parking');
+    if (parkingText) Object.assign(data, parseParking(parkingText));
+
+    data.features = parseFeatures(characteristics);
+
+    // Financial details
+    Object.assign(data, parseFinancialDetails($));
+
+    // Income properties: units, potential gross revenue and expenses
+    Object.assign(data, parseUnits(characteristics));
+    Object.assign(data, parseIncomeAndExpenses($, characteristics));
+
+    // Rentals: monthly rent, availability and lease conditions
+    if (RENTAL_PATTERN.test([data.priceFormatted, data.listingTitle].join(' '))) {
+        const rental = parseRental(characteristics, data.priceFormatted);
+        if (Object.keys(rental).length > 0) data.rental = rental;
+    }
+
+    // Map coordinates
+    const coordinates = parseCoordinates($, jsonLd);
+    if (coordinates) data.coordinates = coordinates;
+
+    // Date the listing went on the market
+    const datePosted = jsonLd.find((node) => node.datePosted)?.datePosted;
+    if (datePosted) data.listingDate = datePosted;
+
+    const gallery = parseGallery($, pageUrl, jsonLd);
+
+    // Fall back to the page text for anything the structured blocks did not give us; scripts
+    // are stripped from a copy, the document may still be read by other parsers
+    const allText = cleanText($('body').clone().find('script, style, noscript').remove().end().text());
+
+    if (data.bedrooms === undefined) {
+        const bedrooms = matchInt(allText, [
+            /(\d+)\s*chambre/i,
+            /(\d+)\s*ch\b/i,
+            /(\d+)\s*bedroom/i,
+            /(\d+)\s*bed\b/i,
+            /chambres?\s*[:=]?\s*(\d+)/i
+        ]);
+        if (bedrooms !== undefined) data.bedrooms = bedrooms;
+    }
+
+    if (data.bathrooms === undefined) {
+        const bathrooms = matchInt(allText, [
+            /(\d+)\s*salle/i,
+            /(\d+)\s*sdb/i,
+            /(\d+)\s*bathroom/i,
+            /(\d+)\s*bath\b/i,
+            /salles?\s*de\s*bain\s*[:=]?\s*(\d+)/i
+        ]);
+        if (bathrooms !== undefined) data.bathrooms = bathrooms;
+    }
+
+    // Only without a characteristics grid: otherwise the first area in the text is
+    // usually the lot size of a listing that simply has no living area
+    if (data.livingArea === undefined && Object.keys(characteristics).length === 0) {
+        // Thousands are grouped by 3 with a space or comma; the unit must be a whole word
+        // so that "5 pièces" or a listing number next to it is not read as an area
+        const livingArea = matchInt(allText, [
+            /superficie\s*(?:nette\s*)?(?:habitable)?\s*[:=]?\s*(\d{1,3}(?:[\s,]\d{3})*)\s*(?:pi|pc|sf|sqft)(?![a-zà-ÿ])/i,
+            /(\d{1,3}(?:[\s,]\d{3})*)\s*(?:pi|pc|sf|sqft)(?![a-zà-ÿ])/i,
+            /living\s*area\s*[:=]?\s*(\d{1,3}(?:[\s,]\d{3})*)/i
+        ]);
+        if (livingArea !== undefined) data.livingArea = livingArea;
+    }
+
+    if (data.yearBuilt === undefined) {
+        const yearBuilt = matchInt(allText, [
+            /année\s*(?:de\s*)?construction\s*[:=]?\s*(\d{4})/i,
+            /built\s*(?:in)?\s*[:=]?\s*(\d{4})/i,
+            /(\d{4})\s*(?:construction|built)/i
+        ]);
+        if (yearBuilt !== undefined) data.yearBuilt = yearBuilt;
+    }
+
+    // Description
+    const descEl = $('[itemprop="description"], .property-description, .description').first();
+    if (descEl.length) {
+        data.description = cleanText(descEl.text()).substring(0, 1000);
+    }
+
+    // Photo gallery
+    data.gallery = gallery;
+    data.images = gallery.map((photo) => photo.url);
+
+    // Listing broker first, then any co-listing brokers
+    const brokers = parseBrokers($, pageUrl);
+    if (brokers.length > 0) {
+        data.broker = brokers[0];
+        data.brokers = brokers;
+    }
+
+    // Category, features and areas in both languages and both units, keeping the
+    // unit written on the page; areas found in the page text are in square feet
+    data.normalized = normalizeListing({
+        propertyType: data.propertyType ?? data.listingTitle,
+        features: data.features,
+        livingArea: livingAreaText || data.livingArea,
+        lotSize: lotSizeText || data.lotSize
+    });
+
+    return data;
+}
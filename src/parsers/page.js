@@ -0,0 +1,18 @@
+/**
+ * Page input shared by the parsers
+ *
+ * The parsers take either the HTML of a page or the Cheerio document already
+ * loaded from it, so a page that goes through several of them (the browser
+ * fallback check, the availability check, then the details) is loaded once.
+ */
+
+import { load } from 'cheerio';
+
+/**
+ * Cheerio document of a page
+ *
+ * @param {string|import('cheerio').CheerioAPI} page - Raw page HTML or a loaded document
+ */
+export function loadPage(page) {
+    return typeof page === 'string' ? load(page) : page;
+}
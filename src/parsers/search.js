@@ -0,0 +1,208 @@
+/**
+ * Search results page parser
+ *
+ * Turns the HTML of a Centris search results page into basic listing objects.
+ * Pure function of its input so it can be checked against saved pages offline.
+ */
+
+import { loadPage } from './page.js';
+import { absoluteUrl, centrisIdFromUrl, cleanText } from '../utils.js';
+
+// Centris uses various selectors - try multiple approaches
+const CARD_SELECTORS = [
+    '.property-thumbnail-item',
+    '.thumbnail-item',
+    '[data-id]',
+    '.property-thumbnail',
+    'a.property-thumbnail-summary-link',
+    '.shell',
+    '.property-thumbnail-summary'
+];
+
+const LISTING_LINK_SELECTOR = 'a[href*="~a-vendre~"], a[href*="~for-sale~"], a[href*="~a-louer~"], a[href*="~for-rent~"], a.property-thumbnail-summary-link';
+
+const PRICE_SELECTORS = [
+    '.price',
+    '.price span',
+    '[class*="price"]',
+    '.property-price',
+    '.listing-price',
+    'span[itemprop="price"]'
+];
+
+const ADDRESS_SELECTORS = [
+    '.address',
+    '.property-address',
+    '[class*="address"]',
+    '.location',
+    'span[itemprop="address"]'
+];
+
+const TYPE_SELECTORS = [
+    '.category',
+    '.property-type',
+    '[class*="category"]',
+    '.property-thumbnail-summary-type'
+];
+
+const FEATURE_SELECTORS = [
+    '.cac',
+    '.features',
+    '[class*="feature"]',
+    '.property-thumbnail-summary-bedroom',
+    '.property-thumbnail-summary-bathroom'
+];
+
+const IMAGE_SELECTORS = [
+    'img.property-thumbnail-summary-link-image',
+    'img[src*="centris"]',
+    'img[data-src*="centris"]',
+    'img.property-photo',
+    'img'
+];
+
+/**
+ * Return the cleaned text of the first element matching one of the selectors
+ */
+function firstText($card, selectors) {
+    for (const selector of selectors) {
+        const el = $card.find(selector).first();
+        if (el.length) {
+            const text = cleanText(el.text());
+            if (text) return text;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Parse a single result card
+ */
+function parseCard($, card, pageUrl) {
+    const $card = $(card);
+    const listing = {};
+
+    // Try to get the URL
+    const link = card.tagName === 'a' ? $card : $card.find(LISTING_LINK_SELECTOR).first();
+    const href = absoluteUrl(link.attr('href'), pageUrl);
+
+    if (href) {
+        listing.url = href;
+        // Extract ID from URL - Centris IDs are typically 8 digits
+        const centrisId = centrisIdFromUrl(listing.url);
+        if (centrisId) listing.centrisId = centrisId;
+    }
+
+    // Skip if no valid URL
+    if (!listing.url || !listing.url.includes('centris.ca')) return null;
+
+    const priceFormatted = firstText($card, PRICE_SELECTORS);
+    if (priceFormatted) listing.priceFormatted = priceFormatted;
+
+    const addressText = firstText($card, ADDRESS_SELECTORS);
+    if (addressText) listing.addressText = addressText;
+
+    const propertyType = firstText($card, TYPE_SELECTORS);
+    if (propertyType) listing.propertyType = propertyType;
+
+    // Get bedrooms/bathrooms from features text
+    let featuresText = '';
+    for (const selector of FEATURE_SELECTORS) {
+        $card.find(selector).each((_, el) => {
+            featuresText += ' ' + $(el).text();
+        });
+    }
+
+    // Centris cards put the bare counts in .cac (chambres) and .sdb (salles de bain)
+    const bedroomEl = $card.find('.cac, [class*="bedroom"], [class*="chambre"]').first();
+    const bathroomEl = $card.find('.sdb, [class*="bathroom"], [class*="salle"]').first();
+
+    if (bedroomEl.length) {
+        const bedMatch = bedroomEl.text().match(/(\d+)/);
+        if (bedMatch) listing.bedrooms = parseInt(bedMatch[1], 10);
+    }
+
+    if (bathroomEl.length) {
+        const bathMatch = bathroomEl.text().match(/(\d+)/);
+        if (bathMatch) listing.bathrooms = parseInt(bathMatch[1], 10);
+    }
+
+    // Parse from features text if not found
+    if (!listing.bedrooms) {
+        const bedMatch = featuresText.match(/(\d+)\s*(?:ch|bed|chambre|bedroom)/i);
+        if (bedMatch) listing.bedrooms = parseInt(bedMatch[1], 10);
+    }
+
+    if (!listing.bathrooms) {
+        const bathMatch = featuresText.match(/(\d+)\s*(?:sdb|bath|salle|bathroom)/i);
+        if (bathMatch) listing.bathrooms = parseInt(bathMatch[1], 10);
+    }
+
+    // Get main image (lazy-loaded cards keep the real URL in data-src)
+    for (const selector of IMAGE_SELECTORS) {
+        const imgEl = $card.find(selector).first();
+        const src = absoluteUrl(imgEl.attr('data-src') || imgEl.attr('src'), pageUrl);
+        if (src) {
+            listing.mainImage = src;
+            if (src.includes('centris')) break;
+        }
+    }
+
+    return listing;
+}
+
+/**
+ * Extract the listing cards from a search results page
+ *
+ * @param {string|import('cheerio').CheerioAPI} html - Raw page HTML or its loaded document
+ * @param {string} pageUrl - URL the page was loaded from, used to resolve relative links
+ * @returns {object[]} Basic listing objects (url, centrisId, priceFormatted, addressText, ...)
+ */
+export function parseSearchResults(html, pageUrl) {
+    const $ = loadPage(html);
+    const results = [];
+
+    let cards = $([]);
+    for (const selector of CARD_SELECTORS) {
+        cards = $(selector);
+        if (cards.length > 0) break;
+    }
+
+    // If no cards found, try to find links to property pages
+    if (cards.length === 0) {
+        cards = $('a[href*="/fr/"][href*="~a-vendre~"], a[href*="/en/"][href*="~for-sale~"]');
+    }
+
+    cards.each((_, card) => {
+        const listing = parseCard($, card, pageUrl);
+        if (listing) results.push(listing);
+    });
+
+    return results;
+}
+
+/**
+ * Find the URL of the next results page, if any
+ *
+ * @param {string|import('cheerio').CheerioAPI} html - Raw page HTML or its loaded document
+ * @param {string} pageUrl - URL the page was loaded from
+ * @returns {string|null}
+ */
+export function parseNextPageUrl(html, pageUrl) {
+    const $ = loadPage(html);
+    const nextPageSelectors = [
+        '.pager .next a',
+        'a.next',
+        'a[rel="next"]',
+        '.pagination a:last-child',
+        'a[title*="suivant" i]',
+        'a[title*="next" i]',
+        '.pager-next a'
+    ];
+
+    for (const selector of nextPageSelectors) {
+        const href = $(selector).first().attr('href');
+        if (href) return absoluteUrl(href, pageUrl);
+    }
+    return null;
+}
@@ -0,0 +1,97 @@
+/**
+ * Saved-search profiles
+ *
+ * The searchProfiles input runs several named searches in one run, each with
+ * its own regions or area and its own filters. They share the crawler and its
+ * request queue, so a listing returned by several profiles is scraped once and
+ * tagged with every profile it matches.
+ */
+
+import { parseGeoArea } from './geo.js';
+
+// Criteria a profile may set for itself; the ones it leaves out come from the top-level input
+export const PROFILE_FILTER_FIELDS = [
+    'propertyTypes',
+    'neighborhoods',
+    'minPrice',
+    'maxPrice',
+    'maxRent',
+    'furnished',
+    'availableBefore',
+    'utilitiesIncluded',
+    'minBedrooms',
+    'maxBedrooms',
+    'minBathrooms',
+    'maxBathrooms',
+    'minLivingArea',
+    'maxLivingArea',
+    'minLotSize',
+    'maxLotSize',
+    'yearBuiltMin',
+    'yearBuiltMax',
+    'features',
+    'listingAge',
+    'sortBy'
+];
+
+function parseProfile(input, index, baseCriteria, defaultRegions) {
+    if (!input || typeof input !== 'object') throw new Error(`searchProfiles[${index}] must be an object`);
+
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name) throw new Error(`searchProfiles[${index}] needs a name`);
+
+    const unknown = Object.keys(input).filter((key) => !['name', 'regions', 'geoArea', ...PROFILE_FILTER_FIELDS].includes(key));
+    if (unknown.length > 0) throw new Error(`${name}: unknown field(s) ${unknown.join(', ')}`);
+
+    // An area of its own, else regions of its own, else the top-level area or regions
+    let geoArea = null;
+    let regions = [];
+    if (input.geoArea) {
+        try {
+            geoArea = parseGeoArea(input.geoArea);
+        } catch (err) {
+            throw new Error(`${name}: ${err.message}`);
+        }
+    } else if (input.regions !== undefined) {
+        if (!Array.isArray(input.regions) || input.regions.length === 0) {
+            throw new Error(`${name}: regions must be a non-empty list of region names`);
+        }
+        regions = input.regions.map(String);
+    } else if (baseCriteria.geoArea) {
+        geoArea = baseCriteria.geoArea;
+    } else {
+        regions = defaultRegions;
+    }
+
+    const filters = Object.fromEntries(PROFILE_FILTER_FIELDS.filter((key) => input[key] !== undefined).map((key) => [key, input[key]]));
+    return { name, regions, criteria: { ...baseCriteria, ...filters, geoArea } };
+}
+
+/**
+ * Validate the searchProfiles input
+ *
+ * @param {object[]} inputs - Profiles: { name, regions?, geoArea?, ...filters }
+ * @param {object} baseCriteria - Criteria of the top-level input, the profiles' defaults
+ * @param {string[]} defaultRegions - Regions of the top-level input
+ * @returns {{ name: string, regions: string[], criteria: object }[]} Profiles searching an area have no regions
+ * @throws {Error} Listing every invalid or duplicate profile
+ */
+export function parseSearchProfiles(inputs, baseCriteria, defaultRegions) {
+    if (!Array.isArray(inputs)) throw new Error('searchProfiles must be a list of profiles');
+
+    const problems = [];
+    const profiles = [];
+    inputs.forEach((input, index) => {
+        try {
+            const profile = parseProfile(input, index, baseCriteria, defaultRegions);
+            if (profiles.some(({ name }) => name === profile.name)) {
+                throw new Error(`${profile.name}: profile names must be unique`);
+            }
+            profiles.push(profile);
+        } catch (err) {
+            problems.push(err.message);
+        }
+    });
+    if (problems.length > 0) throw new Error(problems.join('\n'));
+    return profiles;
+}
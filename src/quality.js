@@ -0,0 +1,102 @@
+/**
+ * Data quality checks for scraped listings
+ *
+ * Some detail fields come from regular expressions over the page text, which
+ * can pick up a number from a "similar properties" widget or read the lot size
+ * as the living area. Before a listing is saved its values are checked for
+ * plausibility and against the search card it came from, and it gets a
+ * confidence score with the reasons it was lowered.
+ */
+
+// Ranges outside which a value is almost certainly misread
+export const QUALITY_BOUNDS = {
+    oldestYearBuilt: 1600,
+    // Years ahead of now a new construction may be listed for
+    yearsAhead: 3,
+    salePrice: { min: 10000, max: 100000000 },
+    monthlyRent: { min: 200, max: 50000 },
+    livingArea: { min: 100, max: 50000 },
+    maxBedrooms: 30,
+    // Bathrooms beyond the bedrooms count
+    extraBathrooms: 3,
+    // Sale price per square foot of living area
+    pricePerSqft: { min: 30, max: 3000 },
+    // Relative price difference tolerated between the search card and the detail page
+    cardPriceTolerance: 0.01
+};
+
+// Confidence lost per problem: errors are implausible values, warnings doubtful ones
+const PENALTY = {
+    error: 50,
+    warning: 15
+};
+
+function outside(value, { min, max }) {
+    return typeof value === 'number' && (value < min || value > max);
+}
+
+/**
+ * Check a listing's values before it is saved
+ *
+ * @param {object} listing - Listing about to be saved
+ * @param {object} [options]
+ * @param {object} [options.card] - Search card the listing was queued from, to compare with
+ * @param {Date} [options.now]
+ * @returns {{ confidence: number, warnings: { field: string, code: string, severity: string, message: string }[] }}
+ *     Confidence from 0 to 100
+ */
+export function assessListingQuality(listing, { card, now = new Date() } = {}) {
+    const warnings = [];
+    const flag = (severity, field, code, message) => warnings.push({ field, code, severity, message });
+    const isRental = listing.transactionType === 'Rental' || Boolean(listing.rental);
+
+    const latestYear = now.getUTCFullYear() + QUALITY_BOUNDS.yearsAhead;
+    if (outside(listing.yearBuilt, { min: QUALITY_BOUNDS.oldestYearBuilt, max: latestYear })) {
+        flag('error', 'yearBuilt', 'implausible-year', `Year built ${listing.yearBuilt} is not between ${QUALITY_BOUNDS.oldestYearBuilt} and ${latestYear}`);
+    }
+
+    const priceBounds = isRental ? QUALITY_BOUNDS.monthlyRent : QUALITY_BOUNDS.salePrice;
+    const hasPlausiblePrice = listing.price > 0 && !outside(listing.price, priceBounds);
+    if (!(listing.price > 0)) {
+        flag('warning', 'price', 'missing-price', 'No price on the listing');
+    } else if (!hasPlausiblePrice) {
+        flag('error', 'price', 'implausible-price', `Price ${listing.price} is not between ${priceBounds.min} and ${priceBounds.max}`);
+    }
+
+    if (listing.bedrooms > QUALITY_BOUNDS.maxBedrooms) {
+        flag('error', 'bedrooms', 'implausible-bedrooms', `${listing.bedrooms} bedrooms is more than ${QUALITY_BOUNDS.maxBedrooms}`);
+    }
+    if (typeof listing.bedrooms === 'number' && listing.bathrooms > listing.bedrooms + QUALITY_BOUNDS.extraBathrooms) {
+        flag('warning', 'bathrooms', 'bathrooms-exceed-bedrooms', `${listing.bathrooms} bathrooms for ${listing.bedrooms} bedrooms`);
+    }
+
+    if (outside(listing.livingArea, QUALITY_BOUNDS.livingArea)) {
+        flag('error', 'livingArea', 'implausible-area', `Living area ${listing.livingArea} sq ft is not between ${QUALITY_BOUNDS.livingArea.min} and ${QUALITY_BOUNDS.livingArea.max}`);
+    } else if (listing.livingArea > 0) {
+        if (listing.livingArea === listing.lotSize) {
+            flag('warning', 'livingArea', 'area-equals-lot-size', 'Living area and lot size are the same; one was probably read for the other');
+        }
+        if (!isRental && hasPlausiblePrice) {
+            const pricePerSqft = Math.round(listing.price / listing.livingArea);
+            if (outside(pricePerSqft, QUALITY_BOUNDS.pricePerSqft)) {
+                flag('warning', 'livingArea', 'implausible-price-per-sqft', `$${pricePerSqft} per sq ft is not between $${QUALITY_BOUNDS.pricePerSqft.min} and $${QUALITY_BOUNDS.pricePerSqft.max}`);
+            }
+        }
+    }
+
+    // The search card shows price and rooms from Centris's own data
+    if (card) {
+        if (card.price > 0 && listing.price > 0
+            && Math.abs(card.price - listing.price) / card.price > QUALITY_BOUNDS.cardPriceTolerance) {
+            flag('warning', 'price', 'card-mismatch', `Detail page price ${listing.price} differs from ${card.price} on the search card`);
+        }
+        for (const field of ['bedrooms', 'bathrooms']) {
+            if (typeof card[field] === 'number' && typeof listing[field] === 'number' && card[field] !== listing[field]) {
+                flag('warning', field, 'card-mismatch', `Detail page has ${listing[field]} ${field}, the search card ${card[field]}`);
+            }
+        }
+    }
+
+    const penalty = warnings.reduce((sum, warning) => sum + PENALTY[warning.severity], 0);
+    return { confidence: Math.max(0, 100 - penalty), warnings };
+}
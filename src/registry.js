@@ -0,0 +1,147 @@
+/**
+ * Run-wide listing registry
+ *
+ * Overlapping regions (e.g. Montreal and Dollard-des-Ormeaux) return the same
+ * listings, and detail requests run concurrently, so both deduplication and the
+ * maxListings cap have to be decided once for the whole run. The registry
+ * remembers every listing seen, keyed by centrisId, with the regions that
+ * matched it, and hands out capacity before a listing is queued rather than
+ * when it is saved. With search profiles it also remembers which profiles'
+ * searches returned each listing, so one detail page serves all of them.
+ */
+
+export class ListingRegistry {
+    /**
+     * @param {number} maxListings - Most listings the run may save
+     */
+    constructor(maxListings) {
+        this.maxListings = maxListings;
+        this.regions = new Map();
+        this.profiles = new Map();
+        this.filteredOut = new Set();
+        this.reserved = 0;
+    }
+
+    /**
+     * Record that a region's search returned a listing
+     *
+     * @param {object} listing - Search card with centrisId (or at least url)
+     * @param {string} [region] - Region whose search returned it
+     * @param {string} [profile] - Search profile whose search returned it
+     * @returns {boolean} True the first time the listing is seen in this run
+     */
+    claim(listing, region, profile) {
+        const key = listing.centrisId || listing.url;
+        if (profile) {
+            if (!this.profiles.has(key)) this.profiles.set(key, new Set());
+            this.profiles.get(key).add(profile);
+        }
+
+        const known = this.regions.get(key);
+        if (known) {
+            if (region) known.add(region);
+            return false;
+        }
+        this.regions.set(key, new Set(region ? [region] : []));
+        return true;
+    }
+
+    /**
+     * Regions that returned a listing so far, in the order they did
+     */
+    matchedRegions(listing) {
+        return [...(this.regions.get(listing.centrisId || listing.url) ?? [])];
+    }
+
+    /**
+     * Search profiles that returned a listing so far, in the order they did
+     */
+    matchedProfiles(listing) {
+        return [...(this.profiles.get(listing.centrisId || listing.url) ?? [])];
+    }
+
+    /**
+     * Number of listings each search profile returned
+     */
+    profileCounts() {
+        const counts = {};
+        for (const profiles of this.profiles.values()) {
+            for (const profile of profiles) counts[profile] = (counts[profile] ?? 0) + 1;
+        }
+        return counts;
+    }
+
+    /**
+     * Note that a claimed listing was dropped by the card pre-filter, so a
+     * profile returning it later may still queue it
+     */
+    markFilteredOut(listing) {
+        this.filteredOut.add(listing.centrisId || listing.url);
+    }
+
+    /**
+     * True, once, when the listing was dropped by the card pre-filter
+     */
+    takeFilteredOut(listing) {
+        return this.filteredOut.delete(listing.centrisId || listing.url);
+    }
+
+    /**
+     * True when a listing with this centrisId was seen in this run
+     */
+    has(centrisId) {
+        return this.regions.has(centrisId);
+    }
+
+    get seenCount() {
+        return this.regions.size;
+    }
+
+    /**
+     * True while saved plus in-flight listings stay below maxListings
+     */
+    hasCapacity() {
+        return this.reserved < this.maxListings;
+    }
+
+    /**
+     * Take one slot of the cap for a listing about to be queued or saved
+     *
+     * @returns {boolean} False when the cap is already used up
+     */
+    reserve() {
+        if (!this.hasCapacity()) return false;
+        this.reserved++;
+        return true;
+    }
+
+    /**
+     * Give a slot back when its listing ends up filtered out or failed
+     */
+    release() {
+        this.reserved = Math.max(0, this.reserved - 1);
+    }
+
+    /**
+     * Plain-object copy of the registry for the run checkpoint
+     */
+    toJSON() {
+        const entries = (map) => [...map].map(([key, values]) => [key, [...values]]);
+        return {
+            regions: entries(this.regions),
+            profiles: entries(this.profiles),
+            filteredOut: [...this.filteredOut],
+            reserved: this.reserved
+        };
+    }
+
+    /**
+     * Load the state saved by toJSON, e.g. when a migrated run restarts
+     */
+    restore({ regions = [], profiles = [], filteredOut = [], reserved = 0 }) {
+        this.regions = new Map(regions.map(([key, values]) => [key, new Set(values)]));
+        this.profiles = new Map(profiles.map(([key, values]) => [key, new Set(values)]));
+        this.filteredOut = new Set(filteredOut);
+        this.reserved = reserved;
+    }
+}
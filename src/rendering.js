@@ -0,0 +1,37 @@
+/**
+ * Browser fallback for the HTTP crawler
+ *
+ * Centris serves listing pages and search results as HTML, so most pages parse
+ * the same without a browser. A page that comes back as an empty shell to be
+ * filled in by JavaScript is recognised here from the elements the parsers read,
+ * and handed to the Playwright crawler instead.
+ */
+
+import { centrisIdFromUrl } from './utils.js';
+import { parseSearchResults } from './parsers/search.js';
+import { hasListingContent } from './parsers/listing.js';
+import { loadPage } from './parsers/page.js';
+
+// Text of a search that genuinely has no results, as opposed to results not rendered yet
+const NO_RESULTS_PATTERN = /aucune?\s+(?:propriété|inscription|résultat)|no\s+(?:properties|listings|results)\s+(?:found|match)/i;
+
+/**
+ * True when a page fetched over HTTP lacks content that only JavaScript would add
+ *
+ * A search page needs at least one card unless it says there are no results; a
+ * listing page needs its price or title. A listing request that was redirected
+ * away from the listing is left to the availability check.
+ *
+ * @param {string} pageType - 'search' or 'listing'
+ * @param {string} html - Page HTML as fetched
+ * @param {string} pageUrl - URL the page was loaded from, after redirects
+ * @param {import('cheerio').CheerioAPI} [$] - Document already loaded from the HTML
+ */
+export function needsBrowser(pageType, html, pageUrl, $ = loadPage(html)) {
+    if (pageType === 'search') {
+        return parseSearchResults($, pageUrl).length === 0 && !NO_RESULTS_PATTERN.test(html);
+    }
+
+    if (!centrisIdFromUrl(pageUrl)) return false;
+    return !hasListingContent($);
+}
@@ -0,0 +1,297 @@
+/**
+ * Centris search API client
+ *
+ * The Centris site does not filter through URL parameters. The search form posts
+ * a JSON query to `/property/UpdateQuery`, which is stored in the visitor's
+ * session, and the result pages are then read from `/Property/GetInscriptions`
+ * as rendered card HTML. Sending the same requests lets Centris do the
+ * filtering, sorting and paging server-side, with no browser involved.
+ */
+
+import { gotScraping } from 'got-scraping';
+import { CookieJar } from 'tough-cookie';
+import { CENTRIS_BASE_URL } from './constants.js';
+import { normalizeText } from './utils.js';
+
+const ENDPOINTS = {
+    autocomplete: '/Property/GetSearchAutoCompleteData',
+    updateQuery: '/property/UpdateQuery',
+    updateSort: '/property/UpdateSort',
+    inscriptions: '/Property/GetInscriptions'
+};
+
+// Centris property type field values for each input property type
+const API_PROPERTY_TYPES = {
+    house: { category: 'Residential', values: ['SingleFamilyHome'] },
+    condo: { category: 'Residential', values: ['SellCondo'] },
+    plex: { category: 'Residential', values: ['Plex'] },
+    cottage: { category: 'Residential', values: ['Cottage'] },
+    land: { category: 'Residential', values: ['Lot'] },
+    farm: { category: 'Residential', values: ['Farm'] },
+    commercial: { category: 'Commercial', values: [] }
+};
+
+// Centris "other criteria" checkbox fields for each input feature
+const API_FEATURES = {
+    pool: 'Pool',
+    garage: 'Garage',
+    fireplace: 'Fireplace',
+    waterfront: 'Waterfront',
+    basement: 'Basement',
+    air_conditioning: 'AirConditioning',
+    elevator: 'Elevator'
+};
+
+// Centris sort keys for each sortBy input value
+const API_SORT = {
+    date_desc: 'DateDesc',
+    date_asc: 'DateAsc',
+    price_asc: 'PriceAsc',
+    price_desc: 'PriceDesc'
+};
+
+// Upper bound Centris expects for an open-ended range
+const NO_UPPER_BOUND = 999999999999;
+
+/**
+ * One entry of the query's FieldsValues array
+ */
+function field(fieldId, value, fieldConditionId = '', valueConditionId = '') {
+    return { fieldId, value, fieldConditionId, valueConditionId };
+}
+
+/**
+ * Price bounds of a search: the sale price range, or on rentals the monthly rent
+ * up to maxRent, minPrice and maxPrice being sale prices
+ *
+ * @returns {{ min: number, max: number }} 0 when there is no bound
+ */
+export function searchPriceRange({ searchType = 'buy', minPrice = 0, maxPrice = 0, maxRent = 0 }) {
+    if (searchType === 'rent') return { min: 0, max: maxRent > 0 ? maxRent : 0 };
+    return { min: minPrice > 0 ? minPrice : 0, max: maxPrice > 0 ? maxPrice : 0 };
+}
+
+/**
+ * Build the JSON body the Centris search form posts to UpdateQuery
+ *
+ * @param {object} criteria - Search input (searchType, propertyTypes, price/room/lot ranges, features)
+ * @param {object|object[]} geographies - Geographic filter(s) as returned by the autocomplete endpoint
+ * @param {object} [mapBounds] - { south, west, north, east } of a map-area search, instead of geographies
+ * @returns {object}
+ */
+export function buildSearchQuery(criteria, geographies, mapBounds) {
+    const {
+        searchType = 'buy',
+        propertyTypes = [],
+        minBedrooms = 0,
+        minBathrooms = 0,
+        minLotSize = 0,
+        maxLotSize = 0,
+        features = []
+    } = criteria;
+
+    const isRent = searchType === 'rent';
+    const price = searchPriceRange(criteria);
+    const priceField = isRent ? 'RentPrice' : 'SalePrice';
+    const priceCondition = isRent ? 'ForRent' : 'ForSale';
+
+    const types = propertyTypes.map((type) => API_PROPERTY_TYPES[type.toLowerCase()]).filter(Boolean);
+    const categories = types.length > 0 ? [...new Set(types.map((type) => type.category))] : ['Residential'];
+
+    const fieldsValues = [
+        ...categories.map((category) => field('Category', category)),
+        field('SellingType', isRent ? 'Rent' : 'Sale'),
+        ...types.flatMap((type) => type.values.map((value) => field('PropertyType', value))),
+        field(priceField, price.min, priceCondition),
+        field(priceField, price.max || NO_UPPER_BOUND, priceCondition)
+    ];
+
+    if (minBedrooms > 0) fieldsValues.push(field('Bedroom', minBedrooms));
+    if (minBathrooms > 0) fieldsValues.push(field('Bathroom', minBathrooms));
+    if (minLotSize > 0 || maxLotSize > 0) {
+        fieldsValues.push(field('LandArea', minLotSize, '', 'SquareFeet'));
+        fieldsValues.push(field('LandArea', maxLotSize > 0 ? maxLotSize : NO_UPPER_BOUND, '', 'SquareFeet'));
+    }
+
+    for (const feature of features) {
+        const fieldId = API_FEATURES[feature];
+        if (fieldId) fieldsValues.push(field(fieldId, true));
+    }
+
+    return {
+        query: {
+            UseGeographyShapes: 0,
+            Filters: [].concat(geographies ?? []).map(({ MatchType, Text, Id }) => ({ MatchType, Text, Id })),
+            FieldsValues: fieldsValues,
+            ...(mapBounds && {
+                MapBounds: {
+                    SouthWest: { Lat: mapBounds.south, Lng: mapBounds.west },
+                    NorthEast: { Lat: mapBounds.north, Lng: mapBounds.east }
+                }
+            })
+        },
+        isHomePage: true
+    };
+}
+
+/**
+ * Centris sort key for a sortBy input value
+ */
+export function sortKey(sortBy) {
+    return API_SORT[sortBy] ?? API_SORT.date_desc;
+}
+
+/**
+ * Unwrap a GetInscriptions response into the card HTML and paging info
+ *
+ * @param {object} body - Parsed JSON response
+ * @returns {{ html: string, total: number, pageSize: number }}
+ */
+export function parseInscriptionsResponse(body) {
+    const result = body?.d?.Result;
+    if (!body?.d?.Succeeded || !result) {
+        throw new Error('Centris search API returned an unsuccessful response');
+    }
+    return {
+        html: result.html ?? '',
+        total: result.count ?? 0,
+        pageSize: result.inscNumberPerPage || 20
+    };
+}
+
+/**
+ * Session-bound client for the Centris search endpoints
+ *
+ * Each client keeps its own cookie jar, because UpdateQuery stores the query in
+ * the server-side session that GetInscriptions then pages through.
+ */
+export class CentrisSearchClient {
+    /**
+     * @param {object} options
+     * @param {string} [options.language] - 'fr' or 'en', decides the language of the returned cards
+     * @param {string} [options.proxyUrl] - Proxy to send every request through
+     */
+    constructor({ language = 'fr', proxyUrl } = {}) {
+        this.language = language;
+        this.proxyUrl = proxyUrl;
+        this.cookieJar = new CookieJar();
+        this.started = false;
+    }
+
+    async request(path, options = {}) {
+        return gotScraping({
+            url: `${CENTRIS_BASE_URL}${path}`,
+            proxyUrl: this.proxyUrl,
+            cookieJar: this.cookieJar,
+            timeout: { request: 30000 },
+            headers: {
+                'accept-language': this.language === 'fr' ? 'fr-CA,fr;q=0.9' : 'en-CA,en;q=0.9',
+                'x-requested-with': 'XMLHttpRequest'
+            },
+            ...options
+        });
+    }
+
+    async post(path, json) {
+        const response = await this.request(path, { method: 'POST', json, responseType: 'json' });
+        if (response.statusCode !== 200) {
+            throw new Error(`Centris search API ${path} responded with HTTP ${response.statusCode}`);
+        }
+        return response.body;
+    }
+
+    /**
+     * Open a session on the language home page so later calls get its cookies
+     */
+    async start() {
+        if (this.started) return;
+        const response = await this.request(`/${this.language}`);
+        if (response.statusCode !== 200) {
+            throw new Error(`Centris home page responded with HTTP ${response.statusCode}`);
+        }
+        this.started = true;
+    }
+
+    /**
+     * Resolve a region name to the geographic filter Centris uses for it
+     *
+     * @param {string} text - Region name as typed in the search box
+     * @returns {Promise<object|null>} First suggestion ({ Id, MatchType, Text }) or null
+     */
+    async resolveGeography(text) {
+        const [first] = await this.suggestGeographies(text);
+        return first ?? null;
+    }
+
+    /**
+     * All geographic suggestions Centris offers for a search box text
+     */
+    async suggestGeographies(text) {
+        await this.start();
+        const body = await this.post(ENDPOINTS.autocomplete, { language: this.language, text });
+        const suggestions = body?.d?.Result ?? [];
+        return suggestions.filter((suggestion) => suggestion.Id && suggestion.MatchType);
+    }
+
+    /**
+     * Resolve neighborhood names to geographic filters, keeping only the ones in a region
+     *
+     * @param {string[]} names - Neighborhood / borough names
+     * @param {string} region - Region the neighborhoods must belong to
+     * @returns {Promise<object[]>}
+     */
+    async resolveNeighborhoods(names, region) {
+        const regionText = normalizeText(region);
+        const resolved = [];
+
+        for (const name of names) {
+            const suggestions = await this.suggestGeographies(name);
+            const match = suggestions.find((suggestion) => normalizeText(suggestion.Text).includes(regionText));
+            if (match && !resolved.some((geography) => geography.Id === match.Id)) {
+                resolved.push(match);
+            }
+        }
+        return resolved;
+    }
+
+    /**
+     * Run a search and collect the result cards' HTML, page by page
+     *
+     * @param {object} criteria - Search input, see buildSearchQuery
+     * @param {object|object[]} geographies - Resolved geographic filter(s)
+     * @param {object} options
+     * @param {Function} options.onPage - Called with (html, pageNumber, next) for every result page,
+     *     next being the { pageNumber, startPosition } of the page after it; paging stops when it returns false
+     * @param {object} [options.mapBounds] - Search the map area inside these bounds instead of geographies
+     * @param {object} [options.resumeFrom] - { pageNumber, startPosition } to start from instead of the first page
+     * @returns {Promise<{ total: number, next: object|null }>} Total result count reported by Centris, and
+     *     the { pageNumber, startPosition } of the first page left unread when onPage stopped the paging
+     */
+    async search(criteria, geographies, { onPage, mapBounds, resumeFrom }) {
+        await this.start();
+        await this.post(ENDPOINTS.updateQuery, buildSearchQuery(criteria, geographies, mapBounds));
+        await this.post(ENDPOINTS.updateSort, { sort: sortKey(criteria.sortBy) });
+
+        let startPosition = resumeFrom?.startPosition ?? 0;
+        let pageNumber = resumeFrom?.pageNumber ?? 1;
+        let total = Infinity;
+
+        while (startPosition < total) {
+            const body = await this.post(ENDPOINTS.inscriptions, { startPosition });
+            const page = parseInscriptionsResponse(body);
+            total = page.total;
+
+            if (!page.html.trim()) break;
+            const next = { pageNumber: pageNumber + 1, startPosition: startPosition + page.pageSize };
+            const keepGoing = await onPage(page.html, pageNumber, next);
+
+            ({ startPosition, pageNumber } = next);
+            if (keepGoing === false) break;
+        }
+
+        return {
+            total: Number.isFinite(total) ? total : 0,
+            next: startPosition < total ? { pageNumber, startPosition } : null
+        };
+    }
+}
@@ -0,0 +1,201 @@
+/**
+ * Small parsing helpers shared by the page parsers and the crawler
+ */
+
+import { CENTRIS_BASE_URL, LISTING_PATHS } from './constants.js';
+
+/**
+ * Parse a price from its formatted string, in whole dollars: "459 000 $", "1 234,56 $"
+ */
+export function parsePrice(priceStr) {
+    if (!priceStr) return null;
+    const value = parseQuebecNumber(priceStr);
+    return value === null ? null : Math.round(value);
+}
+
+/**
+ * Centris listing number at the end of a listing URL path
+ */
+export function centrisIdFromUrl(url) {
+    return url?.match(/\/(\d{7,8})(?:[/?#]|$)/)?.[1];
+}
+
+/**
+ * URL of a listing from its Centris number alone, in the given language
+ */
+export function listingUrlFromId(centrisId, language = 'fr') {
+    const lang = LISTING_PATHS[language] ? language : 'fr';
+    return `${CENTRIS_BASE_URL}/${lang}/${LISTING_PATHS[lang]}/${centrisId}`;
+}
+
+/**
+ * Collapse whitespace the way the browser renders element text
+ */
+export function cleanText(str) {
+    if (!str) return '';
+    return str.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Resolve a possibly relative href against the page URL
+ */
+export function absoluteUrl(href, pageUrl) {
+    if (!href) return null;
+    try {
+        return new URL(href, pageUrl).href;
+    } catch {
+        return null;
+    }
+}
+
+export const SQFT_PER_SQM = 10.7639;
+
+/**
+ * Find the first number in a text and read it in French or English notation
+ *
+ * Spaces (including non-breaking ones) group thousands. A lone comma is a
+ * decimal point unless it is followed by groups of exactly three digits, so
+ * "12,5" is 12.5 while "1,650" is 1650; with both a comma and a point the last
+ * one is the decimal separator.
+ *
+ * @returns {{ value: number, end: number }|null} The number and the index right after it
+ */
+function readNumber(str) {
+    const text = String(str).replace(/[\u00a0\u202f]/g, ' ');
+    const match = text.match(/-?\d(?:\d| (?=\d{3}(?!\d))|[.,](?=\d))*/);
+    if (!match) return null;
+
+    let digits = match[0].replace(/ /g, '');
+    const lastComma = digits.lastIndexOf(',');
+    const lastPoint = digits.lastIndexOf('.');
+    if (lastComma !== -1 && lastPoint !== -1) {
+        const decimal = lastComma > lastPoint ? ',' : '.';
+        const grouping = decimal === ',' ? /\./g : /,/g;
+        digits = digits.replace(grouping, '').replace(decimal, '.');
+    } else if (lastComma !== -1) {
+        digits = /^-?\d{1,3}(,\d{3})+$/.test(digits) ? digits.replace(/,/g, '') : digits.replace(/,/g, '.');
+    } else if (/^-?\d{1,3}(\.\d{3}){2,}$/.test(digits)) {
+        digits = digits.replace(/\./g, '');
+    }
+
+    const value = parseFloat(digits);
+    return Number.isFinite(value) ? { value, end: match.index + match[0].length } : null;
+}
+
+/**
+ * Parse a number written the Quebec way or the English way:
+ * "1 250 000 $", "12,5 m", "$1,250,000", "3.5"
+ */
+export function parseQuebecNumber(str) {
+    if (str === null || str === undefined) return null;
+    return readNumber(str)?.value ?? null;
+}
+
+// Units after a measurement, as written on French and English pages
+const MEASUREMENT_UNITS = [
+    ['sqm', /^(m²|m2|mc|m\.c\.|sq\.?\s*m\b|mètres? carrés?|metres? carres?|square met(er|re)s?)/i],
+    ['sqft', /^(pc|p\.c\.|pi²|pi2|pi ca|sq\.?\s*ft|sqft|sf\b|ft²|pieds? carrés?|square f(ee|oo)t)/i],
+    ['m', /^(m|mètres?|metres?|meters?)(?![a-zà-ÿ])/i],
+    ['ft', /^(pi|ft|pieds?|feet|foot|')(?![a-zà-ÿ])/i]
+];
+
+/**
+ * Parse a measurement such as "12 500 pi²", "79 m²" or "12,5 m"
+ *
+ * @returns {{ value: number, unit: string|null }|null} unit is 'sqft', 'sqm', 'ft', 'm' or null when none is written
+ */
+export function parseMeasurement(str) {
+    if (!str) return null;
+    const number = readNumber(str);
+    if (!number) return null;
+
+    const rest = String(str).slice(number.end).replace(/^[\s\u00a0\u202f]+/, '');
+    const unit = MEASUREMENT_UNITS.find(([, pattern]) => pattern.test(rest))?.[0] ?? null;
+    return { value: number.value, unit };
+}
+
+/**
+ * Convert square metres to square feet
+ */
+export function sqmToSqft(value) {
+    return value * SQFT_PER_SQM;
+}
+
+/**
+ * Convert square feet to square metres
+ */
+export function sqftToSqm(value) {
+    return value / SQFT_PER_SQM;
+}
+
+/**
+ * Parse an area such as "850 pc", "1,650 sqft" or "79 m²" into square feet
+ */
+export function parseArea(str) {
+    const measurement = parseMeasurement(str);
+    if (!measurement) return null;
+    const isMetric = measurement.unit === 'sqm' || measurement.unit === 'm';
+    return Math.round(isMetric ? sqmToSqft(measurement.value) : measurement.value);
+}
+
+/**
+ * Whole days elapsed between an ISO date and now
+ */
+export function daysSince(isoDate, now = new Date()) {
+    if (!isoDate) return null;
+    const start = new Date(isoDate);
+    if (Number.isNaN(start.getTime())) return null;
+    return Math.max(0, Math.floor((now.getTime() - start.getTime()) / 86_400_000));
+}
+
+/**
+ * Lowercase and strip accents so "Montréal" and "montreal" compare equal
+ */
+export function normalizeText(str) {
+    if (!str) return '';
+    return str.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+// Month names in French and English, without accents
+const MONTHS = {
+    janvier: 1, january: 1, jan: 1,
+    fevrier: 2, february: 2, feb: 2,
+    mars: 3, march: 3, mar: 3,
+    avril: 4, april: 4, apr: 4,
+    mai: 5, may: 5,
+    juin: 6, june: 6, jun: 6,
+    juillet: 7, july: 7, jul: 7,
+    aout: 8, august: 8, aug: 8,
+    septembre: 9, september: 9, sept: 9, sep: 9,
+    octobre: 10, october: 10, oct: 10,
+    novembre: 11, november: 11, nov: 11,
+    decembre: 12, december: 12, dec: 12
+};
+
+/**
+ * Parse a date written as "2024-12-01", "1er décembre 2024" or "December 1, 2024"
+ *
+ * @returns {string|null} The date as YYYY-MM-DD
+ */
+export function parseDate(str) {
+    const text = normalizeText(str);
+    let year;
+    let month;
+    let day;
+
+    const iso = text.match(/(\d{4})[-/](\d{1,2})[-/](\d{1,2})/);
+    const dayFirst = text.match(/(\d{1,2})(?:er|st|nd|rd|th)?\s+([a-z]+)\.?,?\s+(\d{4})/);
+    const monthFirst = text.match(/([a-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})/);
+    if (iso) {
+        [year, month, day] = iso.slice(1).map(Number);
+    } else if (dayFirst && MONTHS[dayFirst[2]]) {
+        [day, month, year] = [Number(dayFirst[1]), MONTHS[dayFirst[2]], Number(dayFirst[3])];
+    } else if (monthFirst && MONTHS[monthFirst[1]]) {
+        [month, day, year] = [MONTHS[monthFirst[1]], Number(monthFirst[2]), Number(monthFirst[3])];
+    } else {
+        return null;
+    }
+
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
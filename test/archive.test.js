@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { archiveRecord, classifyListingPage } from '../src/archive.js';
+import { isListingSold } from '../src/parsers/listing.js';
+
+const CONDO_HTML = readFileSync(new URL('./fixtures/detail/fr-condo-ville-marie.html', import.meta.url), 'utf8');
+const SOLD_HTML = CONDO_HTML.replace('>459 000 $</span>', '>Vendu</span>');
+
+test('isListingSold looks for a sold banner, not the description', () => {
+    assert.equal(isListingSold(CONDO_HTML), false);
+    assert.equal(isListingSold(SOLD_HTML), true);
+    assert.equal(isListingSold('<div class="banner-sold">Sold</div>'), true);
+    assert.equal(isListingSold('<p class="description">Vendu meublé, libre rapidement.</p>'), false);
+});
+
+test('classifyListingPage tells sold, expired, withdrawn and active listings apart', () => {
+    const page = { httpStatus: 200, available: true, sold: false, pageUrl: 'https://www.centris.ca/fr/condo~a-vendre~montreal-ville-marie/21456789' };
+
+    assert.equal(classifyListingPage(page).status, 'active');
+    assert.equal(classifyListingPage({ ...page, sold: true }).status, 'sold');
+    assert.deepEqual(classifyListingPage({ ...page, available: false, pageUrl: 'https://www.centris.ca/fr' }), {
+        status: 'expired',
+        reason: 'Redirected to https://www.centris.ca/fr'
+    });
+    assert.deepEqual(classifyListingPage({ ...page, httpStatus: 404, available: false }), { status: 'withdrawn', reason: 'HTTP 404' });
+    assert.equal(classifyListingPage({ ...page, httpStatus: 500, available: false }), null);
+});
+
+test('archiveRecord carries the last known price and the total time on market', () => {
+    const entry = {
+        url: 'https://www.centris.ca/fr/condo~a-vendre~montreal-ville-marie/21456789',
+        firstSeenAt: '2024-10-01T08:00:00.000Z',
+        lastSeenAt: '2024-10-22T08:00:00.000Z',
+        listingDate: '2024-09-12',
+        priceHistory: [{ date: '2024-10-01', price: 459000 }, { date: '2024-10-15', price: 439000 }],
+        propertyType: 'Condo à vendre',
+        city: 'Montréal',
+        neighborhood: 'Centre-ville',
+        matchedRegions: ['Montreal']
+    };
+    const record = archiveRecord('21456789', entry, { status: 'sold', reason: 'Sold banner on the listing page' }, new Date('2024-10-29T08:00:00Z'));
+
+    assert.equal(record.lastKnownPrice, 439000);
+    assert.equal(record.daysOnMarket, 40);
+    assert.equal(record.neighborhood, 'Centre-ville');
+    assert.equal(record.verifiedAt, '2024-10-29T08:00:00.000Z');
+
+    const { listingDate, ...withoutDate } = entry;
+    assert.equal(archiveRecord('21456789', withoutDate, { status: 'expired', reason: '' }).daysOnMarket, 21);
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { isListingAvailable } from '../src/parsers/listing.js';
+
+const CONDO_HTML = readFileSync(new URL('./fixtures/detail/fr-condo-ville-marie.html', import.meta.url), 'utf8');
+const CONDO_URL = 'https://www.centris.ca/fr/condo~a-vendre~montreal-ville-marie/21456789';
+
+const HOME_HTML = `<!DOCTYPE html>
+<html lang="fr"><body><main><h1>Trouvez la propriété de vos rêves</h1>
+<div class="price">Prix min.</div></main></body></html>`;
+
+test('isListingAvailable accepts the detail page of the requested listing', () => {
+    assert.equal(isListingAvailable(CONDO_HTML, CONDO_URL, '21456789'), true);
+    assert.equal(isListingAvailable(CONDO_HTML, CONDO_URL), true);
+});
+
+test('isListingAvailable rejects redirects to another listing or to the home page', () => {
+    assert.equal(isListingAvailable(CONDO_HTML, CONDO_URL, '17654321'), false);
+    assert.equal(isListingAvailable(HOME_HTML, 'https://www.centris.ca/fr', '21456789'), false);
+    assert.equal(isListingAvailable(HOME_HTML, 'https://www.centris.ca/fr/propriete/21456789', '21456789'), false);
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+
+import { BlockTracker, RequestPacer, detectBlock, parseRetryAfter } from '../src/blocking.js';
+
+const FIXTURES = ['search', 'detail'].flatMap((kind) => {
+    const dir = new URL(`./fixtures/${kind}/`, import.meta.url);
+    return readdirSync(dir)
+        .filter((name) => name.endsWith('.html'))
+        .map((name) => [`${kind}/${name}`, readFileSync(new URL(name, dir), 'utf8')]);
+});
+
+test('detectBlock recognises captcha, challenge, rate-limit and denied pages', () => {
+    assert.equal(detectBlock({
+        status: 200,
+        html: '<html><head><title>Just a moment...</title></head><body><script>window._cf_chl_opt={cType:"managed"};</script></body></html>'
+    }), 'challenge');
+    assert.equal(detectBlock({
+        status: 200,
+        html: '<html><head><title>centris.ca</title></head><body><iframe src="https://geo.captcha-delivery.com/captcha/?initialCid=x"></iframe></body></html>'
+    }), 'captcha');
+    assert.equal(detectBlock({ status: 200, html: '<html><body><h1>Êtes-vous un robot?</h1><div class="g-recaptcha"></div></body></html>' }), 'captcha');
+    assert.equal(detectBlock({ status: 200, html: '<html><body><p>Request unsuccessful. Incapsula incident ID: 123</p></body></html>' }), 'challenge');
+    assert.equal(detectBlock({ status: 429, html: '' }), 'rate-limit');
+    assert.equal(detectBlock({ status: 200, html: '<html><head><title>429 Too Many Requests</title></head></html>' }), 'rate-limit');
+    assert.equal(detectBlock({ status: 403, html: '<html><body>Forbidden</body></html>' }), 'access-denied');
+});
+
+test('detectBlock leaves regular Centris pages alone', () => {
+    for (const [name, html] of FIXTURES) {
+        assert.equal(detectBlock({ status: 200, html }), null, name);
+    }
+
+    // A contact form with reCAPTCHA on a long listing page is not a captcha wall
+    const listing = FIXTURES.find(([name]) => name.startsWith('detail/'))[1]
+        .replace('</body>', '<form class="contact"><div class="g-recaptcha"></div></form></body>');
+    assert.equal(detectBlock({ status: 200, html: listing }), null);
+    assert.equal(detectBlock({ status: 404, html: '<html><body>Page introuvable</body></html>' }), null);
+});
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+    const now = Date.parse('2026-03-01T12:00:00Z');
+    assert.equal(parseRetryAfter('120', now), 120000);
+    assert.equal(parseRetryAfter('Sun, 01 Mar 2026 12:00:30 GMT', now), 30000);
+    assert.equal(parseRetryAfter(undefined, now), 0);
+    assert.equal(parseRetryAfter('soon', now), 0);
+});
+
+test('RequestPacer spaces requests per domain and backs off on blocks', async () => {
+    let clock = 0;
+    const waits = [];
+    const pacer = new RequestPacer({
+        minDelayMs: 1000,
+        maxDelayMs: 20000,
+        now: () => clock,
+        random: () => 0,
+        sleep: async (ms) => {
+            waits.push(ms);
+            clock += ms;
+        }
+    });
+
+    await pacer.wait('www.centris.ca');
+    await pacer.wait('www.centris.ca');
+    await pacer.wait('images.centris.ca');
+    assert.deepEqual(waits, [1000]);
+
+    assert.equal(pacer.blocked('www.centris.ca'), 5000);
+    assert.equal(pacer.blocked('www.centris.ca'), 10000);
+    assert.equal(pacer.blocked('www.centris.ca', 60000), 20000);
+    await pacer.wait('www.centris.ca');
+    assert.equal(waits.at(-1), 20000);
+
+    pacer.success('www.centris.ca');
+    assert.equal(pacer.delayFor('www.centris.ca'), 16000);
+    for (let i = 0; i < 20; i++) pacer.success('www.centris.ca');
+    assert.equal(pacer.delayFor('www.centris.ca'), 1000);
+    assert.equal(pacer.delayFor('images.centris.ca'), 1000);
+});
+
+test('BlockTracker trips once enough requests are mostly blocked', () => {
+    const tracker = new BlockTracker({ maxBlockRate: 50, minRequests: 4 });
+    tracker.block('captcha');
+    tracker.block('captcha');
+    tracker.block('rate-limit');
+    assert.equal(tracker.thresholdExceeded, false);
+
+    tracker.success();
+    assert.equal(tracker.blockRate, 75);
+    assert.equal(tracker.thresholdExceeded, true);
+    assert.deepEqual(tracker.summary(), {
+        requests: 4,
+        blocked: 3,
+        blockRate: 75,
+        byReason: { captcha: 2, 'rate-limit': 1 }
+    });
+
+    tracker.success();
+    tracker.success();
+    assert.equal(tracker.thresholdExceeded, false);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BrokerDirectory, brokerKey } from '../src/brokers.js';
+
+const LEBLANC_EN = {
+    name: 'Jonathan Leblanc',
+    agency: 'ROYAL LEPAGE VILLAGE',
+    phone: '450-555-0188',
+    profileUrl: 'https://www.centris.ca/en/real-estate-brokers~jonathan-leblanc~royal-lepage-village/x9y8z7'
+};
+const LEBLANC_FR = {
+    name: 'Jonathan Leblanc',
+    agency: 'ROYAL LEPAGE VILLAGE',
+    email: 'jleblanc@royallepage-village.example',
+    profileUrl: 'https://www.centris.ca/fr/courtiers-immobiliers~jonathan-leblanc~royal-lepage-village/x9y8z7'
+};
+const ROY = { name: 'Isabelle Roy', agency: 'ROYAL LEPAGE VILLAGE', phone: '450-555-0177' };
+
+test('brokerKey uses the profile id in either language, else name and agency', () => {
+    assert.equal(brokerKey(LEBLANC_EN), 'x9y8z7');
+    assert.equal(brokerKey(LEBLANC_FR), 'x9y8z7');
+    assert.equal(brokerKey({ name: 'Sophie Gagnon', agency: 'SUTTON QUÉBEC-ESTRIE' }), 'sophie gagnon|sutton quebec-estrie');
+});
+
+test('BrokerDirectory merges brokers across listings and counts neighborhoods', () => {
+    const directory = new BrokerDirectory();
+    directory.add({ centrisId: '17654321', address: { neighborhood: 'Sainte-Dorothée' }, brokers: [LEBLANC_EN, ROY] });
+    directory.add({ centrisId: '24681357', address: { neighborhood: 'Chomedey' }, brokers: [LEBLANC_FR] });
+    directory.add({ centrisId: '24681357', address: { neighborhood: 'Chomedey' }, brokers: [LEBLANC_FR] });
+    directory.add({ centrisId: '11223344', address: { city: 'Laval' } });
+
+    assert.equal(directory.size, 2);
+    const [leblanc, roy] = directory.toRecords();
+
+    assert.deepEqual(leblanc, {
+        name: 'Jonathan Leblanc',
+        agency: 'ROYAL LEPAGE VILLAGE',
+        phone: '450-555-0188',
+        email: 'jleblanc@royallepage-village.example',
+        profileUrl: LEBLANC_EN.profileUrl,
+        activeListingIds: ['17654321', '24681357'],
+        neighborhoods: { 'Sainte-Dorothée': 1, Chomedey: 1 },
+        activeListingCount: 2
+    });
+    assert.equal(roy.name, 'Isabelle Roy');
+    assert.deepEqual(roy.activeListingIds, ['17654321']);
+    assert.equal(roy.profileUrl, null);
+
+    // Restored from a run checkpoint
+    const restored = new BrokerDirectory(JSON.parse(JSON.stringify(directory)));
+    assert.deepEqual(restored.toRecords(), directory.toRecords());
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RunCheckpoint } from '../src/checkpoint.js';
+
+/**
+ * In-memory stand-in for a key-value store
+ */
+function memoryStore() {
+    const values = new Map();
+    return {
+        values,
+        getValue: async (key) => values.get(key) ?? null,
+        setValue: async (key, value) => {
+            if (value === null) values.delete(key);
+            else values.set(key, JSON.parse(JSON.stringify(value)));
+        }
+    };
+}
+
+test('RunCheckpoint starts fresh when the store holds no checkpoint', async () => {
+    const checkpoint = await RunCheckpoint.open(memoryStore());
+    assert.equal(checkpoint.isResumed, false);
+    assert.equal(checkpoint.searchProgress('Montreal'), null);
+});
+
+test('RunCheckpoint saves search progress with the run state and restores it', async () => {
+    const store = memoryStore();
+    const first = await RunCheckpoint.open(store);
+    first.recordPage(RunCheckpoint.searchKey(null, 'Montreal'), 1, { pageNumber: 2, startPosition: 20 });
+    first.recordPage(RunCheckpoint.searchKey('condos', 'Laval'), 3);
+    first.recordSearchDone(RunCheckpoint.searchKey('condos', 'Laval'));
+    await first.save({ startedAt: '2025-01-09T12:00:00.000Z', stats: { listingsScraped: 42 } });
+
+    const resumed = await RunCheckpoint.open(store);
+    assert.equal(resumed.isResumed, true);
+    assert.equal(resumed.state.stats.listingsScraped, 42);
+    assert.ok(resumed.state.savedAt);
+    assert.deepEqual(resumed.searchProgress('Montreal'), { done: false, lastPage: 1, next: { pageNumber: 2, startPosition: 20 } });
+    assert.deepEqual(resumed.searchProgress('condos:Laval'), { done: true, lastPage: 3 });
+
+    await resumed.clear();
+    assert.equal(store.values.size, 0);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { adjustedPricePerSqft, compsCriteria, findComps, parseSubjectProperty, similarity, subjectLocality } from '../src/comps.js';
+
+const SUBJECT = parseSubjectProperty({
+    latitude: 45.5273,
+    longitude: -73.816,
+    propertyType: 'house',
+    bedrooms: 3,
+    livingArea: 1600,
+    yearBuilt: 1990
+});
+
+const listing = (centrisId, fields) => ({
+    centrisId,
+    url: `https://www.centris.ca/en/houses~for-sale~laval/${centrisId}`,
+    propertyType: 'Bungalow for sale',
+    address: { city: 'Laval', neighborhood: 'Sainte-Dorothée' },
+    ...fields
+});
+
+const TWIN = listing('11111111', { price: 640000, bedrooms: 3, livingArea: 1600, yearBuilt: 1990, coordinates: { latitude: 45.5273, longitude: -73.816 } });
+const NEWER = listing('22222222', { price: 800000, bedrooms: 4, livingArea: 1800, yearBuilt: 2000, coordinates: { latitude: 45.535, longitude: -73.81 } });
+const CONDO = listing('33333333', { price: 420000, propertyType: 'Condo for sale', bedrooms: 2, livingArea: 1100, yearBuilt: 2010 });
+
+test('parseSubjectProperty needs a type and a location', () => {
+    assert.equal(SUBJECT.radiusKm, 2);
+    assert.equal(SUBJECT.maxComps, 10);
+    assert.throws(() => parseSubjectProperty({ latitude: 45.5, longitude: -73.6 }), /propertyType must be one of/);
+    assert.throws(() => parseSubjectProperty({ propertyType: 'condo', address: '12 Rue Inconnue' }), /needs latitude and longitude, or an address/);
+
+    const byAddress = parseSubjectProperty({ propertyType: 'condo', address: '1200, Rue Wellington, Montréal (Verdun), QC H3C 1V7' });
+    assert.equal(byAddress.coordinates, null);
+    assert.equal(byAddress.locality.name, 'Verdun');
+    assert.equal(subjectLocality('812, Rue des Patriotes, Laval, QC H7X 2T4').name, 'Laval');
+});
+
+test('compsCriteria turns the subject into filter tolerances', () => {
+    assert.deepEqual(compsCriteria(SUBJECT), {
+        propertyTypes: ['house'],
+        minBedrooms: 2,
+        maxBedrooms: 4,
+        minLivingArea: 1120,
+        maxLivingArea: 2080,
+        yearBuiltMin: 1975,
+        yearBuiltMax: 2005
+    });
+});
+
+test('similarity scores an identical house 100 and leaves out missing data', () => {
+    assert.equal(similarity(SUBJECT, TWIN).score, 100);
+    assert.equal(similarity(SUBJECT, TWIN).distanceKm, 0);
+
+    const newer = similarity(SUBJECT, NEWER);
+    assert.ok(newer.score < 100 && newer.score > 30);
+    assert.deepEqual(Object.keys(newer.components), ['distance', 'size', 'age', 'bedrooms', 'type']);
+
+    // No coordinates: no distance component; condo against a house: type 0
+    const condo = similarity(SUBJECT, CONDO);
+    assert.equal(condo.components.distance, undefined);
+    assert.equal(condo.components.type, 0);
+});
+
+test('similarity falls back to the neighborhood and city without subject coordinates', () => {
+    const bySector = parseSubjectProperty({ propertyType: 'house', address: 'Laval (Sainte-Dorothée)' });
+    assert.equal(similarity(bySector, TWIN).components.distance, 0.8);
+    assert.equal(similarity(bySector, { ...TWIN, address: { city: 'Laval', neighborhood: 'Chomedey' } }).components.distance, 0.5);
+    assert.equal(similarity(bySector, { ...TWIN, address: { city: 'Terrebonne' } }).components.distance, 0);
+});
+
+test('adjustedPricePerSqft corrects for the age difference', () => {
+    assert.deepEqual(adjustedPricePerSqft(SUBJECT, TWIN), { pricePerSqft: 400, adjustedPricePerSqft: 400, ageAdjustment: 0 });
+    assert.deepEqual(adjustedPricePerSqft(SUBJECT, NEWER), { pricePerSqft: 444, adjustedPricePerSqft: 422, ageAdjustment: -0.05 });
+    assert.equal(adjustedPricePerSqft(SUBJECT, { price: 500000 }), null);
+});
+
+test('findComps ranks the listings and suggests a price range', () => {
+    const { comps, summary } = findComps(SUBJECT, [NEWER, { changeType: 'new', listing: TWIN }, CONDO, { centrisId: 'x' }]);
+    assert.deepEqual(comps.map((comp) => [comp.rank, comp.centrisId]), [[1, '11111111'], [2, '22222222'], [3, '33333333']]);
+    assert.equal(comps[0].category, 'house');
+
+    assert.equal(summary.compsFound, 3);
+    assert.equal(summary.compsPriced, 3);
+    assert.deepEqual(summary.suggestedPrice, {
+        low: Math.round((summary.adjustedPricePerSqft.p25 * 1600) / 1000) * 1000,
+        mid: Math.round((summary.adjustedPricePerSqft.median * 1600) / 1000) * 1000,
+        high: Math.round((summary.adjustedPricePerSqft.p75 * 1600) / 1000) * 1000
+    });
+    assert.ok(summary.suggestedPrice.low <= summary.suggestedPrice.mid && summary.suggestedPrice.mid <= summary.suggestedPrice.high);
+
+    assert.equal(findComps({ ...SUBJECT, maxComps: 1 }, [NEWER, TWIN]).comps.length, 1);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+
+import { BASE_COLUMNS, exportColumns, flattenRecord, toCsv, toGeoJson, toXlsx } from '../src/export.js';
+
+const CONDO = {
+    url: 'https://www.centris.ca/fr/condo~a-vendre~montreal-ville-marie/21456789',
+    centrisId: '21456789',
+    price: 459000,
+    address: { street: '1200, Boulevard De Maisonneuve Ouest, app. 1502', city: 'Montréal', neighborhood: 'Ville-Marie' },
+    coordinates: { latitude: 45.49947, longitude: -73.57305 },
+    features: ['Piscine', 'Ascenseur'],
+    priceHistory: [{ date: '2024-10-01', price: 469000 }, { date: '2024-10-15', price: 459000 }],
+    description: 'Vue "imprenable", cuisine rénovée'
+};
+
+const HOUSE = {
+    url: 'https://www.centris.ca/en/houses~for-sale~laval-sainte-dorothee/17654321',
+    centrisId: '17654321',
+    price: 749000,
+    mainUnit: '4 ½'
+};
+
+test('flattenRecord uses dotted keys and joins plain lists', () => {
+    const row = flattenRecord(CONDO);
+    assert.equal(row['address.city'], 'Montréal');
+    assert.equal(row['coordinates.longitude'], -73.57305);
+    assert.equal(row.features, 'Piscine | Ascenseur');
+    assert.equal(row.priceHistory, JSON.stringify(CONDO.priceHistory));
+    assert.equal('address' in row, false);
+});
+
+test('exportColumns keeps the base columns first and sorts the rest', () => {
+    const columns = exportColumns([flattenRecord(HOUSE), { zeta: 1, alpha: 2 }]);
+    assert.deepEqual(columns.slice(0, BASE_COLUMNS.length), BASE_COLUMNS);
+    assert.deepEqual(columns.slice(BASE_COLUMNS.length), ['alpha', 'mainUnit', 'zeta']);
+});
+
+test('toCsv writes a header and quotes cells that need it', () => {
+    const csv = toCsv([CONDO, HOUSE]);
+    const lines = csv.replace(/^\ufeff/, '').trimEnd().split('\r\n');
+
+    assert.equal(csv.charCodeAt(0), 0xfeff);
+    assert.equal(lines.length, 3);
+    assert.ok(lines[0].startsWith('centrisId,url,status,changeType,'));
+    assert.ok(lines[1].startsWith('21456789,https://www.centris.ca/fr/'));
+    assert.ok(lines[1].includes('"1200, Boulevard De Maisonneuve Ouest, app. 1502"'));
+    assert.ok(lines[1].includes('"Vue ""imprenable"", cuisine rénovée"'));
+});
+
+test('toCsv merges monitoring change records with their listing', () => {
+    const csv = toCsv([{ changeType: 'priceChanged', oldPrice: 779000, centrisId: '17654321', listing: HOUSE }]);
+    const [header, row] = csv.replace(/^\ufeff/, '').trimEnd().split('\r\n');
+    const cells = Object.fromEntries(header.split(',').map((column, i) => [column, row.split(',')[i]]));
+
+    assert.equal(cells.changeType, 'priceChanged');
+    assert.equal(cells.price, '749000');
+    assert.equal(cells.oldPrice, '779000');
+});
+
+test('toXlsx writes the same columns to a Listings sheet', async () => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await toXlsx([CONDO, HOUSE]));
+    const sheet = workbook.getWorksheet('Listings');
+
+    assert.equal(sheet.getRow(1).getCell(1).value, 'centrisId');
+    assert.equal(sheet.getRow(2).getCell(1).value, '21456789');
+    assert.equal(sheet.getRow(3).getCell(BASE_COLUMNS.indexOf('price') + 1).value, 749000);
+});
+
+test('toGeoJson builds point features for records with coordinates', () => {
+    const geojson = toGeoJson([CONDO, HOUSE]);
+    assert.equal(geojson.type, 'FeatureCollection');
+    assert.equal(geojson.features.length, 1);
+
+    const [feature] = geojson.features;
+    assert.deepEqual(feature.geometry, { type: 'Point', coordinates: [-73.57305, 45.49947] });
+    assert.equal(feature.properties.centrisId, '21456789');
+    assert.equal(feature.properties['coordinates.latitude'], undefined);
+});
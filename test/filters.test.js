@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { findFailedFilter } from '../src/filters.js';
+
+const verdunPlex = {
+    centrisId: '28765432',
+    url: 'https://www.centris.ca/fr/quintuplex~a-vendre~montreal-verdun-ile-des-soeurs/28765432',
+    price: 1249000,
+    propertyType: 'Quintuplex à vendre',
+    address: { city: 'Montréal', neighborhood: 'Verdun', fullAddress: '3845, Rue Wellington, Montréal (Verdun/Île-des-Soeurs)' },
+    lotSize: 2500,
+    features: ['Accès à l\'eau', 'Bord de l\'eau'],
+    daysOnMarket: 3
+};
+
+test('a listing inside every bound passes', () => {
+    assert.equal(findFailedFilter(verdunPlex, {
+        propertyTypes: ['plex'],
+        neighborhoods: ['Verdun'],
+        features: ['waterfront'],
+        listingAge: '7days',
+        minLotSize: 2000
+    }), null);
+});
+
+test('each new input reports its own filter name', () => {
+    assert.equal(findFailedFilter(verdunPlex, { neighborhoods: ['Plateau Mont-Royal'] }), 'neighborhoods');
+    assert.equal(findFailedFilter(verdunPlex, { features: ['waterfront', 'pool'] }), 'features');
+    assert.equal(findFailedFilter(verdunPlex, { minLotSize: 3000 }), 'lotSize');
+    assert.equal(findFailedFilter(verdunPlex, { maxLotSize: 2000 }), 'lotSize');
+    assert.equal(findFailedFilter({ ...verdunPlex, daysOnMarket: 12 }, { listingAge: '7days' }), 'listingAge');
+    assert.equal(findFailedFilter(verdunPlex, { maxPrice: 1000000 }), 'price');
+});
+
+test('property types compare normalised categories, not substrings', () => {
+    assert.equal(findFailedFilter({ propertyType: 'Maison mobile à vendre' }, { propertyTypes: ['house'] }), 'propertyType');
+    assert.equal(findFailedFilter({ propertyType: 'Maison mobile à vendre' }, { propertyTypes: ['mobile-home'] }), null);
+    assert.equal(findFailedFilter({ propertyType: 'Bungalow for sale' }, { propertyTypes: ['house'] }), null);
+    assert.equal(findFailedFilter({ propertyType: 'Loft / Studio à vendre' }, { propertyTypes: ['condo'] }), null);
+    assert.equal(findFailedFilter({ propertyType: 'Condo à vendre' }, { propertyTypes: ['plex'] }), 'propertyType');
+    assert.equal(findFailedFilter({ propertyType: 'Autre' }, { propertyTypes: ['plex'] }), null);
+});
+
+test('neighborhoods match accent- and separator-insensitively, from the URL slug too', () => {
+    const card = { url: 'https://www.centris.ca/fr/condo~a-vendre~montreal-le-plateau-mont-royal/13987654' };
+    assert.equal(findFailedFilter(card, { neighborhoods: ['Plateau Mont-Royal'] }), null);
+    assert.equal(findFailedFilter(verdunPlex, { neighborhoods: ['ile des soeurs'] }), null);
+});
+
+test('missing data does not remove a listing', () => {
+    const card = { url: verdunPlex.url, price: 1249000 };
+    assert.equal(findFailedFilter(card, { features: ['pool'], minLotSize: 5000, minBedrooms: 3 }), null);
+});
+
+test('a listing of unknown age fails the listingAge filter', () => {
+    const card = { url: verdunPlex.url, price: 1249000 };
+    assert.equal(findFailedFilter(card, { listingAge: '24h' }), 'listingAge');
+    assert.equal(findFailedFilter({ ...card, daysOnMarket: 0 }, { listingAge: '24h' }), null);
+    assert.equal(findFailedFilter(card, { listingAge: 'any' }), null);
+});
+
+test('garage feature is satisfied by garage spaces', () => {
+    assert.equal(findFailedFilter({ features: [], garageSpaces: 1 }, { features: ['garage'] }), null);
+    assert.equal(findFailedFilter({ features: [], garageSpaces: 0 }, { features: ['garage'] }), 'features');
+});
+
+test('rental filters check the rent and lease conditions of rentals only', () => {
+    const apartment = {
+        price: 1850,
+        rental: { monthlyRent: 1850, availableFrom: '2024-12-01', furnished: 'semi-furnished', utilitiesIncluded: ['heating', 'hotWater'] }
+    };
+
+    assert.equal(findFailedFilter(apartment, {
+        maxRent: 2000,
+        furnished: 'semi-furnished',
+        availableBefore: '2024-12-01',
+        utilitiesIncluded: ['heating']
+    }), null);
+    assert.equal(findFailedFilter(apartment, { maxRent: 1800 }), 'rent');
+    assert.equal(findFailedFilter(apartment, { furnished: 'furnished' }), 'furnished');
+    assert.equal(findFailedFilter(apartment, { availableBefore: '2024-11-15' }), 'availableBefore');
+    assert.equal(findFailedFilter(apartment, { utilitiesIncluded: ['heating', 'electricity'] }), 'utilitiesIncluded');
+
+    const immediate = { rental: { monthlyRent: 1500, availableImmediately: true } };
+    assert.equal(findFailedFilter(immediate, { availableBefore: '2024-11-15', furnished: 'furnished', utilitiesIncluded: ['heating'] }), null);
+    assert.equal(findFailedFilter(verdunPlex, { maxRent: 1000, furnished: 'unfurnished' }), null);
+});
+
+test('rentals are held to maxRent, not to the sale price bounds', () => {
+    const rent = { searchType: 'rent', minPrice: 300000, maxPrice: 800000, maxRent: 2000 };
+    assert.equal(findFailedFilter({ price: 1850, rental: { monthlyRent: 1850 } }, rent), null);
+    assert.equal(findFailedFilter({ price: 2400 }, rent, ['price', 'rent']), 'rent');
+    assert.equal(findFailedFilter({ price: 2400 }, { ...rent, searchType: 'buy' }, ['price', 'rent']), 'price');
+});
+
+test('only restricts the check to the named filters', () => {
+    assert.equal(findFailedFilter(verdunPlex, { maxPrice: 1000000, minLotSize: 9000 }, ['lotSize']), 'lotSize');
+    assert.equal(findFailedFilter(verdunPlex, { minLotSize: 9000 }, ['price']), null);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { inSearchedRegions, levenshtein, placeKey, placeSlug, regionCovers, resolvePlace, resolveRegions } from '../src/gazetteer.js';
+
+test('placeKey and placeSlug ignore case, accents and punctuation', () => {
+    assert.equal(placeKey('St-Jean-sur-Richelieu'), 'saint jean sur richelieu');
+    assert.equal(placeKey("L'Île-Perrot"), 'l ile perrot');
+    assert.equal(placeSlug("L'Île-Perrot"), 'l-ile-perrot');
+    assert.equal(placeSlug('Côte-des-Neiges–Notre-Dame-de-Grâce'), 'cote-des-neiges-notre-dame-de-grace');
+    assert.equal(levenshtein('sherbroke', 'sherbrooke'), 1);
+});
+
+test('resolvePlace finds municipalities, boroughs, regions and MRCs', () => {
+    assert.equal(resolvePlace('montreal').place.slug, 'montreal');
+    assert.equal(resolvePlace('Quebec City').place.slug, 'quebec');
+    assert.equal(resolvePlace('Ville de Québec').place.name, 'Québec');
+    assert.equal(resolvePlace('Trois Rivieres').place.slug, 'trois-rivieres');
+
+    const plateau = resolvePlace('Plateau Mont-Royal').place;
+    assert.equal(plateau.type, 'borough');
+    assert.equal(plateau.slug, 'montreal-le-plateau-mont-royal');
+    assert.equal(plateau.searchText, 'Montréal (Le Plateau-Mont-Royal)');
+    assert.equal(resolvePlace('NDG').place.name, 'Côte-des-Neiges–Notre-Dame-de-Grâce');
+
+    assert.equal(resolvePlace('Eastern Townships').place.name, 'Estrie');
+    assert.equal(resolvePlace('Coaticook').place.type, 'municipality');
+    assert.equal(resolvePlace('MRC de Coaticook').place.type, 'mrc');
+});
+
+test('resolvePlace corrects a small typo and suggests names for the rest', () => {
+    const typo = resolvePlace('Sherbroke');
+    assert.equal(typo.place.name, 'Sherbrooke');
+    assert.equal(typo.fuzzy, true);
+
+    assert.deepEqual(resolvePlace('Vaudreuil').suggestions.map((place) => place.name), [
+        'Vaudreuil-Dorion', 'Terrasse-Vaudreuil', 'Vaudreuil-sur-le-Lac'
+    ]);
+});
+
+test('resolvePlace prefers a name as spelled over one missing its article', () => {
+    assert.equal(resolvePlace('Ange-Gardien').place.region, 'Montérégie');
+    assert.equal(resolvePlace('Plateau-Mont-Royal').place.name, 'Le Plateau-Mont-Royal');
+});
+
+test('resolvePlace asks for a qualifier when a name is shared', () => {
+    assert.deepEqual(resolvePlace('Saint-Isidore').ambiguous.map((place) => place.region), ['Chaudière-Appalaches', 'Montérégie']);
+    assert.equal(resolvePlace('Saint-Isidore, Montérégie').place.region, 'Montérégie');
+    assert.equal(resolvePlace('Saint-Isidore (Chaudière-Appalaches)').place.region, 'Chaudière-Appalaches');
+});
+
+test('resolveRegions reports every unknown name at once', () => {
+    const { places, corrections } = resolveRegions(['Montreal', 'Terebonne']);
+    assert.equal(places.get('Terebonne').name, 'Terrebonne');
+    assert.equal(corrections.length, 1);
+
+    assert.throws(() => resolveRegions(['Montreal', 'Vaudreuil', 'Saint-Isidore']), (err) => {
+        assert.match(err.message, /Unknown region "Vaudreuil"\. Did you mean "Vaudreuil-Dorion"/);
+        assert.match(err.message, /"Saint-Isidore" matches several places/);
+        return true;
+    });
+});
+
+test('regionCovers matches spellings, boroughs of a city and places of a region', () => {
+    assert.equal(regionCovers('Montréal', 'Montreal'), true);
+    assert.equal(regionCovers('Montreal', 'Verdun'), true);
+    assert.equal(regionCovers('Verdun', 'Montreal'), false);
+    assert.equal(regionCovers('Montérégie', 'Longueuil'), true);
+    assert.equal(regionCovers('Laval', 'Montreal'), false);
+    assert.equal(regionCovers('Saint-Anicet', 'Saint Anicet'), true);
+
+    const verdunCondo = { matchedRegions: ['Montreal'], city: 'Montréal', neighborhood: 'Verdun' };
+    assert.equal(inSearchedRegions(verdunCondo, ['Verdun']), true);
+    assert.equal(inSearchedRegions({ ...verdunCondo, neighborhood: 'Ville-Marie' }, ['Verdun']), false);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { areaBounds, areaCenter, containsPoint, haversineKm, parseGeoArea, pointInPolygon } from '../src/geo.js';
+import { findFailedFilter } from '../src/filters.js';
+
+const MONT_ROYAL_METRO = { latitude: 45.5246, longitude: -73.5816 };
+const PLATEAU_APARTMENT = { latitude: 45.52516, longitude: -73.58233 };
+const VILLE_MARIE_CONDO = { latitude: 45.49947, longitude: -73.57305 };
+
+// Square around the Plateau with a hole cut out of its south-east corner
+const PLATEAU = {
+    type: 'Feature',
+    properties: { name: 'Plateau' },
+    geometry: {
+        type: 'Polygon',
+        coordinates: [
+            [[-73.60, 45.51], [-73.56, 45.51], [-73.56, 45.54], [-73.60, 45.54], [-73.60, 45.51]],
+            [[-73.575, 45.51], [-73.56, 45.51], [-73.56, 45.52], [-73.575, 45.52], [-73.575, 45.51]]
+        ]
+    }
+};
+
+test('haversineKm measures great-circle distances', () => {
+    assert.equal(haversineKm(MONT_ROYAL_METRO, MONT_ROYAL_METRO), 0);
+    const km = haversineKm(MONT_ROYAL_METRO, VILLE_MARIE_CONDO);
+    assert.ok(km > 2.8 && km < 3.0, `got ${km}`);
+});
+
+test('parseGeoArea accepts a radius, a bounding box and GeoJSON polygons', () => {
+    assert.deepEqual(parseGeoArea({ ...MONT_ROYAL_METRO, radiusKm: 1.5 }), { type: 'radius', center: MONT_ROYAL_METRO, radiusKm: 1.5 });
+    assert.equal(parseGeoArea({ south: 45.49, west: -73.62, north: 45.55, east: -73.55 }).type, 'bbox');
+
+    const polygon = parseGeoArea(PLATEAU);
+    assert.equal(polygon.type, 'polygon');
+    assert.equal(polygon.polygons.length, 1);
+    assert.equal(parseGeoArea({ type: 'FeatureCollection', features: [PLATEAU, PLATEAU] }).polygons.length, 2);
+});
+
+test('parseGeoArea rejects incomplete or inverted areas', () => {
+    assert.throws(() => parseGeoArea({ latitude: 45.5, radiusKm: 2 }), /radiusKm/);
+    assert.throws(() => parseGeoArea({ south: 45.55, west: -73.62, north: 45.49, east: -73.55 }), /south < north/);
+    assert.throws(() => parseGeoArea({ type: 'Point', coordinates: [-73.58, 45.52] }), /GeoJSON/);
+    assert.throws(() => parseGeoArea('Montreal'), /object/);
+});
+
+test('areaBounds and areaCenter give the rectangle sent to Centris and the distance origin', () => {
+    const radius = areaBounds(parseGeoArea({ ...MONT_ROYAL_METRO, radiusKm: 1 }));
+    assert.ok(Math.abs(radius.north - radius.south - 0.018) < 0.001);
+    assert.ok(radius.east - radius.west > radius.north - radius.south);
+
+    const plateau = parseGeoArea(PLATEAU);
+    assert.deepEqual(areaBounds(plateau), { south: 45.51, west: -73.60, north: 45.54, east: -73.56 });
+    const center = areaCenter(plateau);
+    assert.ok(Math.abs(center.latitude - 45.525) < 1e-9 && Math.abs(center.longitude + 73.58) < 1e-9);
+});
+
+test('containsPoint checks the exact circle, box or polygon with its holes', () => {
+    const radius = parseGeoArea({ ...MONT_ROYAL_METRO, radiusKm: 1 });
+    assert.equal(containsPoint(radius, PLATEAU_APARTMENT), true);
+    assert.equal(containsPoint(radius, VILLE_MARIE_CONDO), false);
+
+    const plateau = parseGeoArea(PLATEAU);
+    assert.equal(containsPoint(plateau, PLATEAU_APARTMENT), true);
+    assert.equal(containsPoint(plateau, { latitude: 45.515, longitude: -73.565 }), false);
+    assert.equal(pointInPolygon([-73.59, 45.515], PLATEAU.geometry.coordinates), true);
+});
+
+test('the geoArea filter only removes listings with coordinates outside the area', () => {
+    const criteria = { geoArea: parseGeoArea({ ...MONT_ROYAL_METRO, radiusKm: 1 }) };
+    assert.equal(findFailedFilter({ coordinates: PLATEAU_APARTMENT }, criteria), null);
+    assert.equal(findFailedFilter({ coordinates: VILLE_MARIE_CONDO }, criteria), 'geoArea');
+    assert.equal(findFailedFilter({ price: 459000 }, criteria), null);
+});
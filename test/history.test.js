@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ListingHistory } from '../src/history.js';
+
+const FIRST_RUN = new Date('2024-10-01T08:00:00Z');
+const LATER_RUN = new Date('2024-10-15T08:00:00Z');
+
+function memoryHistory(state = {}) {
+    const store = { saved: null, async setValue(key, value) { this.saved = { key, value }; } };
+    return new ListingHistory(store, state);
+}
+
+test('record appends a dated price only when the price changes', () => {
+    const history = memoryHistory();
+
+    const first = history.record({ centrisId: '21456789', price: 459000 }, FIRST_RUN);
+    assert.deepEqual(first, {
+        priceHistory: [{ date: '2024-10-01', price: 459000 }],
+        firstSeenAt: FIRST_RUN.toISOString(),
+        daysOnMarket: 0
+    });
+
+    history.record({ centrisId: '21456789', price: 459000 }, new Date('2024-10-08T08:00:00Z'));
+    const later = history.record({ centrisId: '21456789', price: 439000 }, LATER_RUN);
+    assert.deepEqual(later.priceHistory, [
+        { date: '2024-10-01', price: 459000 },
+        { date: '2024-10-15', price: 439000 }
+    ]);
+    assert.equal(later.firstSeenAt, FIRST_RUN.toISOString());
+    assert.equal(later.daysOnMarket, 14);
+    assert.equal(history.state['21456789'].lastSeenAt, LATER_RUN.toISOString());
+});
+
+test('record keeps the days on market derived from the Centris listing date', () => {
+    const history = memoryHistory();
+    const result = history.record({ centrisId: '17654321', price: 749000, daysOnMarket: 42 }, FIRST_RUN);
+    assert.equal(result.daysOnMarket, 42);
+});
+
+test('record skips listings without an id and prices that are missing', () => {
+    const history = memoryHistory();
+    assert.deepEqual(history.record({ price: 500000 }, FIRST_RUN), {});
+
+    const result = history.record({ centrisId: '16543210', price: null }, FIRST_RUN);
+    assert.deepEqual(result.priceHistory, []);
+});
+
+test('daysOnMarket counts from the first sighting of an earlier run', () => {
+    const history = memoryHistory({ '16543210': { firstSeenAt: FIRST_RUN.toISOString(), priceHistory: [] } });
+    assert.equal(history.daysOnMarket('16543210', LATER_RUN), 14);
+    assert.equal(history.daysOnMarket('99999999', LATER_RUN), null);
+});
+
+test('save writes the whole history under one key', async () => {
+    const history = memoryHistory();
+    history.record({ centrisId: '21456789', price: 459000 }, FIRST_RUN);
+    await history.save();
+    assert.equal(history.store.saved.key, 'PRICE_HISTORY');
+    assert.deepEqual(Object.keys(history.store.saved.value), ['21456789']);
+});
+
+test('missingListings returns unseen listings from the searched regions until they are archived', () => {
+    const history = memoryHistory();
+    history.record({ centrisId: '21456789', price: 459000, matchedRegions: ['Montreal'], address: { city: 'Montréal', neighborhood: 'Centre-ville' } }, FIRST_RUN);
+    history.record({ centrisId: '17654321', price: 749000, matchedRegions: ['Laval'] }, FIRST_RUN);
+    history.record({ centrisId: '16543210', price: 489000, matchedRegions: ['Montreal'] }, FIRST_RUN);
+
+    const missing = history.missingListings((centrisId) => centrisId === '16543210', ['Montreal']);
+    assert.deepEqual(missing.map(([centrisId]) => centrisId), ['21456789']);
+    assert.equal(missing[0][1].neighborhood, 'Centre-ville');
+
+    history.markOffMarket('21456789', 'sold', LATER_RUN);
+    assert.deepEqual(history.missingListings(() => false, ['Montreal']).map(([centrisId]) => centrisId), ['16543210']);
+
+    // Relisted: back among the listings to verify
+    history.record({ centrisId: '21456789', price: 449000, matchedRegions: ['Montreal'] }, LATER_RUN);
+    assert.equal(history.state['21456789'].offMarket, undefined);
+});
+
+test('missingListings matches regions by place, not by the spelling of the input', () => {
+    const history = memoryHistory();
+    history.record({ centrisId: '21456789', price: 459000, matchedRegions: ['Montréal'], address: { city: 'Montréal', neighborhood: 'Verdun' } }, FIRST_RUN);
+    history.record({ centrisId: '17654321', price: 749000, matchedRegions: ['Laval'], address: { city: 'Laval' } }, FIRST_RUN);
+
+    const missingIn = (regions) => history.missingListings(() => false, regions).map(([centrisId]) => centrisId);
+    assert.deepEqual(missingIn(['Montreal']), ['21456789']);
+    assert.deepEqual(missingIn(['Verdun']), ['21456789']);
+    assert.deepEqual(missingIn(['Laval']), ['17654321']);
+    assert.deepEqual(missingIn(['Longueuil']), []);
+});
+
+test('markSeen moves lastSeenAt of known listings only', () => {
+    const history = memoryHistory();
+    history.record({ centrisId: '21456789', price: 459000 }, FIRST_RUN);
+    history.markSeen('21456789', LATER_RUN);
+    history.markSeen('99999999', LATER_RUN);
+    assert.equal(history.state['21456789'].lastSeenAt, LATER_RUN.toISOString());
+    assert.equal(history.state['99999999'], undefined);
+});
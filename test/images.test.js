@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { DirectoryImageStorage, ImageDownloader, contentHash } from '../src/images.js';
+
+const GALLERY = [
+    { order: 1, id: 'ADDDD1B2C3D4E5F6', url: 'https://mspublic.centris.ca/media.ashx?id=ADDDD1B2C3D4E5F6&t=pi&sm=m&w=1260&h=1024', caption: 'Façade' },
+    { order: 2, id: 'ADDDD1B2C3D4E5F7', url: 'https://mspublic.centris.ca/media.ashx?id=ADDDD1B2C3D4E5F7&t=pi&sm=m&w=1260&h=1024', caption: 'Salon' }
+];
+
+function memoryStorage() {
+    return {
+        files: {},
+        index: null,
+        async readIndex() { return {}; },
+        async writeIndex(index) { this.index = index; },
+        async write(name, body) { this.files[name] = body; return name; }
+    };
+}
+
+function fakeFetch(calls) {
+    return async (url) => {
+        calls.push(url);
+        if (url.includes('BROKEN')) throw new Error('HTTP 404');
+        return { body: Buffer.from(`photo ${new URL(url).searchParams.get('id')}`), contentType: 'image/jpeg; charset=binary' };
+    };
+}
+
+test('enqueue stores photos by content hash and skips the ones already indexed', async () => {
+    const calls = [];
+    const storage = memoryStorage();
+    const downloader = new ImageDownloader(storage, {}, { fetch: fakeFetch(calls) });
+
+    downloader.enqueue(GALLERY);
+    await downloader.idle();
+    const first = downloader.stored(GALLERY);
+    const hash = contentHash(Buffer.from('photo ADDDD1B2C3D4E5F6'));
+    assert.equal(first[0].hash, hash);
+    assert.equal(first[0].storedAs, `${hash}.jpg`);
+    assert.equal(first[0].caption, 'Façade');
+    assert.deepEqual(Object.keys(storage.files).sort(), first.map((photo) => photo.storedAs).sort());
+
+    downloader.enqueue(GALLERY);
+    await downloader.idle();
+    assert.equal(calls.length, 2);
+    assert.deepEqual(downloader.stored(GALLERY), first);
+    assert.equal(downloader.downloaded, 2);
+    assert.equal(downloader.reused, 2);
+
+    await downloader.save();
+    assert.deepEqual(Object.keys(storage.index), ['ADDDD1B2C3D4E5F6', 'ADDDD1B2C3D4E5F7']);
+});
+
+test('photos that cannot be fetched are counted as failed and the rest are stored', async () => {
+    const gallery = [
+        { order: 1, id: 'BROKEN', url: 'https://mspublic.centris.ca/media.ashx?id=BROKEN', caption: null },
+        GALLERY[1]
+    ];
+    const downloader = new ImageDownloader(memoryStorage(), {}, { fetch: fakeFetch([]) });
+    downloader.enqueue(gallery);
+    await downloader.idle();
+
+    const [broken, ok] = downloader.stored(gallery);
+    assert.equal(downloader.failed, 1);
+    assert.equal(downloader.errors.get('BROKEN'), 'HTTP 404');
+    assert.equal(broken.hash, undefined);
+    assert.ok(ok.hash);
+});
+
+test('enqueue fetches photos in the background a few at a time', async () => {
+    let running = 0;
+    let mostRunning = 0;
+    const fetch = async (url) => {
+        running++;
+        mostRunning = Math.max(mostRunning, running);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        running--;
+        return { body: Buffer.from(url), contentType: 'image/jpeg' };
+    };
+    const gallery = Array.from({ length: 10 }, (_, i) => ({ order: i + 1, id: `ID${i}`, url: `https://mspublic.centris.ca/media.ashx?id=ID${i}` }));
+    const downloader = new ImageDownloader(memoryStorage(), {}, { fetch, concurrency: 3 });
+
+    downloader.enqueue(gallery);
+    downloader.enqueue(gallery.slice(0, 2));
+    assert.equal(downloader.stored(gallery)[0].storedAs, undefined);
+
+    await downloader.idle();
+    assert.equal(mostRunning, 3);
+    assert.equal(downloader.downloaded, 10);
+    assert.ok(downloader.stored(gallery).every((photo) => photo.storedAs.endsWith('.jpg')));
+});
+
+test('directory storage writes photos and reloads its index', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'centris-images-'));
+    try {
+        const downloader = await ImageDownloader.open({ directory, fetch: fakeFetch([]) });
+        downloader.enqueue([GALLERY[0]]);
+        await downloader.idle();
+        await downloader.save();
+        const [photo] = downloader.stored([GALLERY[0]]);
+
+        assert.equal(photo.storedAs, join(directory, `${photo.hash}.jpg`));
+        assert.equal(await readFile(photo.storedAs, 'utf8'), 'photo ADDDD1B2C3D4E5F6');
+
+        const reopened = await new DirectoryImageStorage(directory).readIndex();
+        assert.deepEqual(reopened, { ADDDD1B2C3D4E5F6: { hash: photo.hash, storedAs: photo.storedAs } });
+    } finally {
+        await rm(directory, { recursive: true, force: true });
+    }
+});
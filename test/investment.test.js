@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeInvestmentMetrics, monthlyMortgagePayment, parseFinancing } from '../src/investment.js';
+
+const TRIPLEX = {
+    price: 1095000,
+    unitCount: 4,
+    revenue: { residential: 43200, commercial: 18000, gross: 61200 },
+    municipalTaxes: 6480,
+    schoolTaxes: 702,
+    expenses: { items: [], total: 7350 }
+};
+
+test('monthlyMortgagePayment compounds Canadian fixed rates semi-annually', () => {
+    assert.equal(Math.round(monthlyMortgagePayment(100000, 5, 25) * 100) / 100, 581.6);
+    assert.equal(monthlyMortgagePayment(120000, 0, 25), 400);
+    assert.equal(monthlyMortgagePayment(0, 5, 25), 0);
+});
+
+test('computeInvestmentMetrics derives GRM, price per door, cap rate and cash flow', () => {
+    const metrics = computeInvestmentMetrics(TRIPLEX, { mortgageRate: 5, downPaymentPercent: 20, vacancyRate: 3 });
+
+    assert.equal(metrics.grossRentMultiplier, 17.89);
+    assert.equal(metrics.pricePerDoor, 273750);
+    assert.equal(metrics.effectiveGrossRevenue, 59364);
+    assert.equal(metrics.operatingExpenses, 14532);
+    assert.equal(metrics.netOperatingIncome, 44832);
+    assert.equal(metrics.capRate, 4.09);
+    assert.equal(metrics.monthlyMortgagePayment, 5095);
+    assert.equal(metrics.monthlyCashFlow, -1359);
+});
+
+test('computeInvestmentMetrics applies the financing inputs', () => {
+    const cash = computeInvestmentMetrics(TRIPLEX, { downPaymentPercent: 100, vacancyRate: 0 });
+    assert.equal(cash.monthlyMortgagePayment, 0);
+    assert.equal(cash.monthlyCashFlow, Math.round((61200 - 14532) / 12));
+    assert.equal(cash.assumptions.mortgageRate, 5);
+    assert.equal(cash.assumptions.vacancyRate, 0);
+});
+
+test('computeInvestmentMetrics leaves metrics without inputs null', () => {
+    assert.equal(computeInvestmentMetrics({ price: 489000, bedrooms: 4 }), undefined);
+
+    const unitsOnly = computeInvestmentMetrics({ price: 900000, unitCount: 3 });
+    assert.equal(unitsOnly.pricePerDoor, 300000);
+    assert.equal(unitsOnly.grossRentMultiplier, null);
+    assert.equal(unitsOnly.monthlyCashFlow, null);
+});
+
+test('parseFinancing accepts decimals and keeps the defaults of missing values', () => {
+    assert.deepEqual(parseFinancing({ mortgageRate: 4.79, downPaymentPercent: 7.5, vacancyRate: 2.5 }), {
+        mortgageRate: 4.79, downPaymentPercent: 7.5, vacancyRate: 2.5, amortizationYears: 25
+    });
+    assert.deepEqual(parseFinancing({ mortgageRate: null }), parseFinancing());
+});
+
+test('parseFinancing rejects values that are not numbers or out of range', () => {
+    assert.throws(() => parseFinancing({ mortgageRate: '4.79' }), /mortgageRate must be a number from 0 to 30, got "4.79"/);
+    assert.throws(() => parseFinancing({ mortgageRate: 35 }), /mortgageRate must be a number from 0 to 30, got 35/);
+    assert.throws(() => parseFinancing({ vacancyRate: 120, downPaymentPercent: -5 }), /downPaymentPercent.*\n.*vacancyRate/);
+});
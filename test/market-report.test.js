@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildMarketReport, groupStats, percentile, propertyTypeLabel, renderMarketReportHtml } from '../src/market-report.js';
+
+const NOW = new Date('2024-10-15T08:00:00Z');
+
+const LISTINGS = [
+    { centrisId: '1', price: 400000, livingArea: 800, daysOnMarket: 10, bedrooms: 2, propertyType: 'Condo à vendre', matchedRegions: ['Montreal'], address: { neighborhood: 'Verdun' } },
+    { centrisId: '2', price: 500000, livingArea: 1000, daysOnMarket: 30, bedrooms: 2, propertyType: 'Condo à vendre', matchedRegions: ['Montreal'], address: { neighborhood: 'Verdun' } },
+    { centrisId: '3', price: 900000, livingArea: 1500, daysOnMarket: 20, bedrooms: 6, propertyType: 'Triplex à vendre', matchedRegions: ['Montreal'], address: { neighborhood: 'Rosemont' } },
+    { centrisId: '4', price: 749000, daysOnMarket: 45, propertyType: 'Bungalow for sale', address: { city: 'Laval', neighborhood: 'Sainte-Dorothée' } }
+];
+
+test('percentile interpolates between neighbours', () => {
+    assert.equal(percentile([1, 2, 3, 4], 50), 2.5);
+    assert.equal(percentile([10, 20, 30], 90), 28);
+    assert.equal(percentile([], 50), null);
+});
+
+test('propertyTypeLabel drops the sale or rental suffix', () => {
+    assert.equal(propertyTypeLabel('Condo à vendre'), 'Condo');
+    assert.equal(propertyTypeLabel('Two or more storey for sale'), 'Two or more storey');
+    assert.equal(propertyTypeLabel(undefined), 'Unknown');
+});
+
+test('groupStats computes prices, price per square foot, days on market and bedrooms', () => {
+    const stats = groupStats(LISTINGS.slice(0, 3));
+
+    assert.equal(stats.count, 3);
+    assert.deepEqual(stats.price, { min: 400000, max: 900000, mean: 600000, median: 500000, p10: 420000, p25: 450000, p75: 700000, p90: 820000 });
+    assert.equal(stats.medianPricePerSqft, 500);
+    assert.equal(stats.medianDaysOnMarket, 20);
+    assert.deepEqual(stats.bedrooms, { 2: 2, '5+': 1 });
+});
+
+test('buildMarketReport groups by region, property type and neighborhood', () => {
+    const records = [
+        ...LISTINGS,
+        { changeType: 'removed', centrisId: '9', lastKnown: {} },
+        { status: 'unavailable', centrisId: '8' }
+    ];
+    const report = buildMarketReport(records, NOW);
+
+    assert.equal(report.generatedAt, NOW.toISOString());
+    assert.equal(report.overall.count, 4);
+    assert.deepEqual(report.regions.map((group) => [group.region, group.count]), [['Montreal', 3], ['Laval', 1]]);
+    assert.deepEqual(report.propertyTypes.map((group) => [group.region, group.propertyType, group.count]), [
+        ['Montreal', 'Condo', 2], ['Montreal', 'Triplex', 1], ['Laval', 'Bungalow', 1]
+    ]);
+
+    const verdun = report.neighborhoods.find((group) => group.neighborhood === 'Verdun');
+    assert.equal(verdun.price.median, 450000);
+    assert.equal(verdun.bedrooms['2'], 2);
+});
+
+test('buildMarketReport groups French and English property types by their normalized code', () => {
+    const report = buildMarketReport([
+        { ...LISTINGS[0], propertyType: 'Maison à étages à vendre', normalized: { propertyType: { code: 'house' } } },
+        { ...LISTINGS[1], propertyType: 'Two or more storey for sale', normalized: { propertyType: { code: 'house' } } },
+        { ...LISTINGS[2], normalized: { propertyType: { code: 'plex' } } }
+    ], NOW);
+
+    assert.deepEqual(report.propertyTypes.map((group) => [group.propertyType, group.count]), [['house', 2], ['plex', 1]]);
+});
+
+test('buildMarketReport unwraps monitoring change records', () => {
+    const report = buildMarketReport([{ changeType: 'new', centrisId: '1', listing: LISTINGS[0] }], NOW);
+    assert.equal(report.overall.count, 1);
+    assert.equal(report.regions[0].region, 'Montreal');
+});
+
+test('renderMarketReportHtml renders one table per grouping and escapes names', () => {
+    const html = renderMarketReportHtml(buildMarketReport([
+        { ...LISTINGS[0], address: { neighborhood: 'Côte-des-Neiges <Nord>' } }
+    ], NOW));
+
+    assert.equal((html.match(/<table>/g) ?? []).length, 3);
+    assert.ok(html.includes('Côte-des-Neiges &lt;Nord&gt;'));
+    assert.ok(html.includes('<td>Condo</td>'));
+    assert.ok(html.includes('400,000 $'));
+});
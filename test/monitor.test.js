@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ListingMonitor, classifyChange, diffSnapshots } from '../src/monitor.js';
+
+const NOW = new Date('2024-10-15T08:00:00Z');
+
+function memoryMonitor(state = {}) {
+    const store = { saved: null, async setValue(key, value) { this.saved = { key, value }; } };
+    return new ListingMonitor(store, state);
+}
+
+test('classifyChange reports new, price and details changes', () => {
+    const stored = { price: 500000, snapshot: { bedrooms: 3, features: ['Garage'] } };
+
+    assert.deepEqual(classifyChange(undefined, { price: 1 }), { changeType: 'new' });
+    assert.equal(classifyChange(stored, { price: 500000, bedrooms: 3, features: ['Garage'] }), null);
+    assert.deepEqual(classifyChange(stored, { price: 479000, bedrooms: 3 }), {
+        changeType: 'priceChanged', oldPrice: 500000, newPrice: 479000
+    });
+    assert.deepEqual(classifyChange(stored, { price: 500000, bedrooms: 4 }), {
+        changeType: 'detailsChanged', changes: { bedrooms: { from: 3, to: 4 } }
+    });
+});
+
+test('diffSnapshots ignores fields the new scrape did not extract', () => {
+    assert.deepEqual(diffSnapshots({ lotSize: 5000, bedrooms: 2 }, { bedrooms: 2 }), {});
+    assert.deepEqual(diffSnapshots({}, { condoFees: 340 }), { condoFees: { from: null, to: 340 } });
+});
+
+test('update stores state and returns timestamped change records', () => {
+    const monitor = memoryMonitor();
+    const listing = { centrisId: '21456789', url: 'https://www.centris.ca/x/21456789', price: 459000, bedrooms: 2 };
+
+    const first = monitor.update(listing, NOW);
+    assert.equal(first.changeType, 'new');
+    assert.equal(first.detectedAt, NOW.toISOString());
+    assert.equal(first.listing, listing);
+    assert.equal(monitor.state['21456789'].firstSeenAt, NOW.toISOString());
+
+    assert.equal(monitor.update(listing, NOW), null);
+    assert.equal(monitor.update({ ...listing, price: 449000 }, NOW).oldPrice, 459000);
+});
+
+test('isUnchanged compares the card price with the stored price', () => {
+    const monitor = memoryMonitor({ 1: { price: 100 } });
+    assert.equal(monitor.isUnchanged({ centrisId: '1', price: 100 }), true);
+    assert.equal(monitor.isUnchanged({ centrisId: '1', price: 90 }), false);
+    assert.equal(monitor.isUnchanged({ centrisId: '2', price: 100 }), false);
+});
+
+test('collectRemoved reports and forgets listings not seen this run', async () => {
+    const monitor = memoryMonitor({
+        111: { centrisId: '111', url: 'u1', price: 1 },
+        222: { centrisId: '222', url: 'u2', price: 2 }
+    });
+    monitor.markSeen('111', NOW);
+
+    const removed = monitor.collectRemoved(NOW);
+    assert.deepEqual(removed.map((r) => [r.changeType, r.centrisId, r.lastKnown.price]), [['removed', '222', 2]]);
+    assert.deepEqual(Object.keys(monitor.state), ['111']);
+    assert.equal(monitor.state['111'].lastSeenAt, NOW.toISOString());
+
+    await monitor.save();
+    assert.equal(monitor.store.saved.key, 'LISTINGS');
+});
+
+test('collectRemoved only considers listings in the regions and profiles searched', () => {
+    const stored = (centrisId, listing) => ({ centrisId, url: `u${centrisId}`, price: 1, listing: { centrisId, ...listing } });
+    const monitor = memoryMonitor({
+        111: stored('111', { matchedRegions: ['Montreal'], address: { city: 'Montréal', neighborhood: 'Verdun' } }),
+        222: stored('222', { matchedRegions: ['Laval'], address: { city: 'Laval' } }),
+        333: stored('333', { matchedRegions: ['Montréal'], matchedProfiles: ['rentals'], address: { city: 'Montréal' } }),
+        444: { centrisId: '444', url: 'u444', price: 4 }
+    });
+
+    const removed = monitor.collectRemoved(NOW, { regions: ['Verdun'], profiles: ['condos'] });
+    assert.deepEqual(removed.map((record) => record.centrisId), ['111', '444']);
+    assert.deepEqual(Object.keys(monitor.state), ['222', '333']);
+});
+
+test('currentListings returns the summaries of the listings seen this run', () => {
+    const monitor = memoryMonitor();
+    const listing = {
+        centrisId: '21456789',
+        url: 'https://www.centris.ca/x/21456789',
+        price: 459000,
+        description: 'Long text',
+        normalized: { propertyType: { code: 'condo' }, features: [] },
+        daysOnMarket: 10,
+        scrapedAt: '2024-10-05T08:00:00Z'
+    };
+    monitor.update(listing, NOW);
+    monitor.state['15678901'] = { centrisId: '15678901', price: 1, listing: { centrisId: '15678901', price: 1 } };
+
+    const [current, ...others] = monitor.currentListings(NOW);
+    assert.equal(others.length, 0);
+    assert.equal(current.description, undefined);
+    assert.deepEqual(current.normalized, { propertyType: { code: 'condo' } });
+    assert.equal(current.daysOnMarket, 20);
+});
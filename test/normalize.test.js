@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeArea, normalizeFeatures, normalizeListing, propertyCategory } from '../src/normalize.js';
+
+test('propertyCategory maps French and English types to one code', () => {
+    const code = (type) => propertyCategory(type)?.code ?? null;
+    assert.equal(code('Maison à étages à vendre'), 'house');
+    assert.equal(code('Two or more storey for sale'), 'house');
+    assert.equal(code('Maison mobile à vendre'), 'mobile-home');
+    assert.equal(code('Mobile home for sale'), 'mobile-home');
+    assert.equal(code('Condominium'), 'condo');
+    assert.equal(code('Condo for rent'), 'condo');
+    assert.equal(code('Appartement à louer'), 'apartment');
+    assert.equal(code('Quintuplex à vendre'), 'plex');
+    assert.equal(code('Terrain à vendre'), 'land');
+    assert.equal(code('Chalet à vendre'), 'cottage');
+    assert.equal(code('Fermette à vendre'), 'farm');
+    assert.equal(code('Maison à vendre à Lotbinière'), 'house');
+    assert.equal(code('Stationnement'), null);
+    assert.deepEqual(propertyCategory('Jumelé à vendre'), { code: 'house', fr: 'Maison', en: 'House' });
+});
+
+test('normalizeFeatures gives the same codes for French and English lists', () => {
+    const french = normalizeFeatures(['Foyer-poêle', 'Piscine (Creusée)', 'Climatisation murale', 'Sous-sol fini', 'Piscine hors terre']);
+    const english = normalizeFeatures(['Fireplace', 'Pool (Inground)', 'Wall air conditioning', 'Finished basement']);
+    assert.deepEqual(french, english);
+    assert.deepEqual(french.map((feature) => feature.code), ['fireplace', 'pool', 'air_conditioning', 'basement']);
+    assert.deepEqual(french[1], { code: 'pool', fr: 'Piscine', en: 'Pool' });
+    assert.deepEqual(normalizeFeatures(['Vue panoramique']), []);
+});
+
+test('normalizeArea converts between square metres and square feet and keeps the original', () => {
+    assert.deepEqual(normalizeArea('1 858 m²'), { sqft: 19999, sqm: 1858, value: 1858, unit: 'sqm' });
+    assert.deepEqual(normalizeArea('1 650 pc'), { sqft: 1650, sqm: 153.3, value: 1650, unit: 'sqft' });
+    assert.deepEqual(normalizeArea(850), { sqft: 850, sqm: 79, value: 850, unit: 'sqft' });
+    assert.equal(normalizeArea('Aucune'), null);
+    assert.equal(normalizeArea(undefined), null);
+});
+
+test('normalizeListing leaves out the areas a listing does not have', () => {
+    assert.deepEqual(normalizeListing({ propertyType: 'Triplex à vendre', features: [], lotSize: '2 400 pc' }), {
+        propertyType: { code: 'plex', fr: 'Plex', en: 'Plex' },
+        features: [],
+        lotSize: { sqft: 2400, sqm: 223, value: 2400, unit: 'sqft' }
+    });
+});
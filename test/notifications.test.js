@@ -0,0 +1,226 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { createServer as createTcpServer } from 'node:net';
+import { once } from 'node:events';
+
+import { Notifier, SIGNATURE_HEADER, createNotifiers, listingHeadline, signPayload } from '../src/notifications.js';
+
+const CONDO = {
+    centrisId: '21456789',
+    url: 'https://www.centris.ca/fr/condo~a-vendre~montreal-ville-marie/21456789',
+    price: 459000,
+    propertyType: 'Condo à vendre',
+    bedrooms: 2,
+    address: { city: 'Montréal', neighborhood: 'Ville-Marie' },
+    matchedRegions: ['Montréal']
+};
+const HOUSE = {
+    centrisId: '15678901',
+    url: 'https://www.centris.ca/en/houses~for-sale~laval-sainte-dorothee/15678901',
+    price: 789000,
+    propertyType: 'House for sale',
+    bedrooms: 4,
+    address: { city: 'Laval' },
+    matchedRegions: ['Laval']
+};
+
+const noSleep = async () => {};
+
+/**
+ * Local HTTP stand-in answering with the given statuses in turn, then 200
+ */
+async function startHttpServer(statuses = []) {
+    const requests = [];
+    const server = createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body });
+            res.statusCode = statuses.shift() ?? 200;
+            res.end('ok');
+        });
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    return { url: `http://127.0.0.1:${server.address().port}/hook`, requests, close: () => server.close() };
+}
+
+/**
+ * Local SMTP stand-in keeping the DATA of every message
+ */
+async function startSmtpServer() {
+    const messages = [];
+    const server = createTcpServer((socket) => {
+        let buffer = '';
+        let inData = false;
+        socket.write('220 localhost ESMTP\r\n');
+        socket.on('data', (chunk) => {
+            buffer += chunk.toString();
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        socket.write('250 OK\r\n');
+                    } else {
+                        messages[messages.length - 1] += `${line}\n`;
+                    }
+                } else if (/^(EHLO|HELO)/i.test(line)) {
+                    socket.write('250 localhost\r\n');
+                } else if (/^DATA/i.test(line)) {
+                    inData = true;
+                    messages.push('');
+                    socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+                } else if (/^QUIT/i.test(line)) {
+                    socket.end('221 Bye\r\n');
+                } else {
+                    socket.write('250 OK\r\n');
+                }
+            }
+        });
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    return { port: server.address().port, messages, close: () => server.close() };
+}
+
+test('createNotifiers fills in defaults and rejects incomplete notifiers', () => {
+    const [webhook, email] = createNotifiers([
+        { type: 'webhook', url: 'https://example.com/hook' },
+        { type: 'email', smtp: { host: 'localhost' }, from: 'bot@example.com', to: ['team@example.com'] }
+    ]);
+    assert.equal(webhook.config.batchSize, 10);
+    assert.equal(webhook.name, 'notifiers[0]');
+    assert.equal(email.config.batchSize, 0);
+
+    assert.throws(() => createNotifiers([
+        { type: 'pager', url: 'https://example.com' },
+        { type: 'slack' },
+        { type: 'email', to: ['team@example.com'] }
+    ]), /notifiers\[0\]: type must be one of[\s\S]*notifiers\[1\]: slack notifiers need[\s\S]*notifiers\[2\]: email notifiers need/);
+});
+
+test('Notifier applies its filters, regions and onlyNew', async () => {
+    const notifier = new Notifier(createNotifiers([{
+        type: 'webhook',
+        url: 'https://example.com/hook',
+        onlyNew: true,
+        filters: { maxPrice: 500000, regions: ['montreal'] }
+    }])[0].config, { transport: async () => {} });
+
+    assert.equal(notifier.matches(CONDO, true), true);
+    assert.equal(notifier.matches(CONDO, false), false);
+    assert.equal(notifier.matches({ ...CONDO, price: 520000 }, true), false);
+    assert.equal(notifier.matches({ ...HOUSE, price: 450000 }, true), false);
+    assert.equal(listingHeadline(CONDO), '459,000 $ · Condo à vendre · 2 bd · Montréal (Ville-Marie)');
+});
+
+test('Notifier reads its filters for the run\'s searchType', () => {
+    const rental = { ...CONDO, price: 1850 };
+    const [buy] = createNotifiers([{ type: 'slack', url: 'https://example.com/hook', filters: { minPrice: 100000, maxRent: 2000 } }]);
+    const [rent] = createNotifiers([{ type: 'slack', url: 'https://example.com/hook', filters: { minPrice: 100000, maxRent: 2000 } }],
+        { searchType: 'rent' });
+
+    assert.equal(buy.matches(rental, true), false);
+    assert.equal(rent.matches(rental, true), true);
+    assert.equal(rent.matches({ ...rental, price: 2400 }, true), false);
+});
+
+test('webhook notifier batches listings and signs the body', async () => {
+    const server = await startHttpServer();
+    try {
+        const [notifier] = createNotifiers([{ type: 'webhook', url: server.url, secret: 's3cret', batchSize: 2 }]);
+        notifier.add(CONDO, { isNew: true });
+        assert.equal(notifier.queue.length, 1);
+        notifier.add(HOUSE);
+        assert.equal(notifier.queue.length, 0);
+        await notifier.flush();
+        assert.equal(server.requests.length, 1);
+
+        const [{ headers, body }] = server.requests;
+        assert.equal(headers[SIGNATURE_HEADER.toLowerCase()], signPayload(body, 's3cret'));
+        const payload = JSON.parse(body);
+        assert.equal(payload.count, 2);
+        assert.deepEqual(payload.listings.map((listing) => [listing.centrisId, listing.isNew]), [['21456789', true], ['15678901', false]]);
+        assert.deepEqual(notifier.summary(), { name: 'notifiers[0]', type: 'webhook', listingsSent: 2, listingsFailed: 0, messages: 1 });
+    } finally {
+        server.close();
+    }
+});
+
+test('notifiers retry server errors and give up on client errors', async () => {
+    const server = await startHttpServer([503, 500]);
+    try {
+        const [slack, teams] = createNotifiers([
+            { type: 'slack', url: server.url, batchSize: 1 },
+            { type: 'teams', url: server.url, batchSize: 1, maxRetries: 1 }
+        ], { sleep: noSleep });
+
+        slack.add(CONDO);
+        await slack.flush();
+        assert.equal(server.requests.length, 3);
+        const message = JSON.parse(server.requests[2].body);
+        assert.match(message.text, /^1 Centris listing/);
+        assert.match(message.blocks[1].text.text, /^<https:\/\/www\.centris\.ca\/.*\|459,000 \$ · Condo à vendre/);
+
+        server.requests.length = 0;
+        teams.add(HOUSE);
+        await teams.flush();
+        assert.equal(JSON.parse(server.requests[0].body)['@type'], 'MessageCard');
+
+        const failing = await startHttpServer([400]);
+        try {
+            const [broken] = createNotifiers([{ type: 'slack', url: failing.url, batchSize: 1 }], { sleep: noSleep });
+            broken.add(CONDO);
+            await assert.rejects(broken.flush(), /could not deliver 1 listing\(s\): .* HTTP 400/);
+            assert.equal(failing.requests.length, 1);
+            assert.equal(broken.summary().listingsFailed, 1);
+        } finally {
+            failing.close();
+        }
+    } finally {
+        server.close();
+    }
+});
+
+test('notifiers give up on a destination that does not answer', async () => {
+    const server = createServer(() => {});
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    try {
+        const [notifier] = createNotifiers([{ type: 'webhook', url: `http://127.0.0.1:${server.address().port}/hook`, batchSize: 1, maxRetries: 0 }],
+            { timeoutMs: 100 });
+        assert.equal(notifier.add(CONDO), true);
+        await assert.rejects(notifier.flush(), /could not deliver 1 listing\(s\)/);
+        assert.equal(notifier.summary().listingsFailed, 1);
+    } finally {
+        server.closeAllConnections();
+        server.close();
+    }
+});
+
+test('email notifier sends one digest over SMTP when flushed', async () => {
+    const smtp = await startSmtpServer();
+    try {
+        const [notifier] = createNotifiers([{
+            type: 'email',
+            smtp: { host: '127.0.0.1', port: smtp.port, secure: false, ignoreTLS: true },
+            from: 'bot@example.com',
+            to: ['team@example.com']
+        }]);
+        notifier.add(CONDO, { isNew: true });
+        notifier.add(HOUSE);
+        assert.equal(smtp.messages.length, 0);
+
+        await notifier.flush();
+        assert.equal(smtp.messages.length, 1);
+        assert.match(smtp.messages[0], /Subject: 2 Centris listing\(s\) matching your search, 1 new/);
+        assert.match(smtp.messages[0], /\/15678901/);
+        assert.equal(notifier.summary().listingsSent, 2);
+    } finally {
+        smtp.close();
+    }
+});
@@ -0,0 +1,51 @@
+/**
+ * Fixture-driven parser tests
+ *
+ * Every `<name>.html` under test/fixtures/<kind>/ is a saved Centris page and is
+ * paired with `<name>.json` holding the page URL and the expected parser output.
+ * Run with UPDATE_FIXTURES=1 to rewrite the expected output after a deliberate
+ * parser change, then review the diff.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { parseSearchResults, parseNextPageUrl } from '../src/parsers/search.js';
+import { parseListingDetails } from '../src/parsers/listing.js';
+
+const FIXTURES_DIR = fileURLToPath(new URL('./fixtures/', import.meta.url));
+const UPDATE = process.env.UPDATE_FIXTURES === '1';
+
+const PARSERS = {
+    search: (html, pageUrl) => ({
+        listings: parseSearchResults(html, pageUrl),
+        nextPageUrl: parseNextPageUrl(html, pageUrl)
+    }),
+    detail: (html, pageUrl) => parseListingDetails(html, pageUrl)
+};
+
+for (const [kind, parse] of Object.entries(PARSERS)) {
+    const dir = join(FIXTURES_DIR, kind);
+
+    for (const file of readdirSync(dir).filter((f) => f.endsWith('.html')).sort()) {
+        const name = file.replace(/\.html$/, '');
+
+        test(`${kind} parser: ${name}`, () => {
+            const html = readFileSync(join(dir, file), 'utf8');
+            const fixturePath = join(dir, `${name}.json`);
+            const fixture = JSON.parse(readFileSync(fixturePath, 'utf8'));
+            // Round-trip through JSON so undefined fields compare like the stored output
+            const actual = JSON.parse(JSON.stringify(parse(html, fixture.pageUrl)));
+
+            if (UPDATE) {
+                writeFileSync(fixturePath, `${JSON.stringify({ ...fixture, expected: actual }, null, 2)}\n`);
+                return;
+            }
+
+            assert.deepEqual(actual, fixture.expected);
+        });
+    }
+}
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseSearchProfiles } from '../src/profiles.js';
+
+const BASE = { geoArea: null, searchType: 'buy', propertyTypes: [], minPrice: 0, maxPrice: 0, features: ['garage'] };
+
+test('parseSearchProfiles merges each profile over the top-level criteria', () => {
+    const [condos, family, area] = parseSearchProfiles([
+        { name: ' condos ', regions: ['Montreal'], propertyTypes: ['condo'], maxPrice: 600000 },
+        { name: 'family', minBedrooms: 3 },
+        { name: 'area', geoArea: { latitude: 45.53, longitude: -73.51, radiusKm: 5 } }
+    ], BASE, ['Laval']);
+
+    assert.equal(condos.name, 'condos');
+    assert.deepEqual(condos.regions, ['Montreal']);
+    assert.deepEqual(condos.criteria, { ...BASE, propertyTypes: ['condo'], maxPrice: 600000 });
+
+    // Regions and filters left out come from the top-level input
+    assert.deepEqual(family.regions, ['Laval']);
+    assert.equal(family.criteria.minBedrooms, 3);
+    assert.deepEqual(family.criteria.features, ['garage']);
+
+    assert.deepEqual(area.regions, []);
+    assert.equal(area.criteria.geoArea.type, 'radius');
+});
+
+test('parseSearchProfiles inherits the top-level area unless the profile names regions', () => {
+    const geoArea = { type: 'radius', center: { latitude: 45.5, longitude: -73.6 }, radiusKm: 2 };
+    const [inherits, own] = parseSearchProfiles([{ name: 'a' }, { name: 'b', regions: ['Laval'] }], { ...BASE, geoArea }, []);
+    assert.equal(inherits.criteria.geoArea, geoArea);
+    assert.equal(own.criteria.geoArea, null);
+    assert.deepEqual(own.regions, ['Laval']);
+});
+
+test('parseSearchProfiles reports every invalid profile', () => {
+    assert.throws(() => parseSearchProfiles([
+        { regions: ['Montreal'] },
+        { name: 'a', maxPrise: 500000 },
+        { name: 'b', regions: [] },
+        { name: 'c', geoArea: { radiusKm: 2 } },
+        { name: 'd' },
+        { name: 'd' }
+    ], BASE, ['Montreal']), (err) => {
+        assert.match(err.message, /searchProfiles\[0\] needs a name/);
+        assert.match(err.message, /a: unknown field\(s\) maxPrise/);
+        assert.match(err.message, /b: regions must be a non-empty list/);
+        assert.match(err.message, /c: /);
+        assert.match(err.message, /d: profile names must be unique/);
+        return true;
+    });
+    assert.throws(() => parseSearchProfiles({}, BASE, []), /must be a list/);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { assessListingQuality } from '../src/quality.js';
+
+const NOW = new Date('2025-01-09T12:00:00Z');
+
+const HOUSE = {
+    centrisId: '15678901',
+    transactionType: 'Sale',
+    price: 789000,
+    bedrooms: 4,
+    bathrooms: 2,
+    livingArea: 2100,
+    lotSize: 6500,
+    yearBuilt: 1998
+};
+
+const codes = (quality) => quality.warnings.map(({ code }) => code);
+
+test('assessListingQuality gives a plausible listing full confidence', () => {
+    assert.deepEqual(assessListingQuality(HOUSE, { card: { price: 789000, bedrooms: 4 }, now: NOW }), { confidence: 100, warnings: [] });
+});
+
+test('assessListingQuality flags implausible values as errors', () => {
+    const quality = assessListingQuality({ ...HOUSE, yearBuilt: 2048, bedrooms: 41 }, { now: NOW });
+    assert.deepEqual(codes(quality), ['implausible-year', 'implausible-bedrooms']);
+    assert.equal(quality.warnings[0].severity, 'error');
+    assert.equal(quality.confidence, 0);
+
+    assert.deepEqual(codes(assessListingQuality({ ...HOUSE, price: 1850 }, { now: NOW })), ['implausible-price']);
+    // A monthly rent is checked against rent bounds
+    assert.deepEqual(assessListingQuality({ ...HOUSE, transactionType: 'Rental', price: 1850 }, { now: NOW }).warnings, []);
+});
+
+test('assessListingQuality flags doubtful values as warnings', () => {
+    const quality = assessListingQuality({ ...HOUSE, bathrooms: 8, livingArea: 6500 }, { now: NOW });
+    assert.deepEqual(codes(quality), ['bathrooms-exceed-bedrooms', 'area-equals-lot-size']);
+    assert.equal(quality.confidence, 70);
+
+    // Lot size read as living area: the price per square foot gives it away
+    assert.deepEqual(codes(assessListingQuality({ ...HOUSE, livingArea: 43000 }, { now: NOW })), ['implausible-price-per-sqft']);
+    assert.deepEqual(codes(assessListingQuality({ centrisId: '1' }, { now: NOW })), ['missing-price']);
+});
+
+test('assessListingQuality compares the detail values with the search card', () => {
+    const quality = assessListingQuality(HOUSE, { card: { price: 749000, bedrooms: 3, bathrooms: 2 }, now: NOW });
+    assert.deepEqual(quality.warnings.map(({ field, code }) => [field, code]), [['price', 'card-mismatch'], ['bedrooms', 'card-mismatch']]);
+    assert.equal(quality.confidence, 70);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ListingRegistry } from '../src/registry.js';
+
+test('claim deduplicates by centrisId and collects matching regions', () => {
+    const registry = new ListingRegistry(10);
+    const montreal = { centrisId: '21456789', url: 'https://www.centris.ca/fr/condos~a-vendre~montreal-ville-marie/21456789' };
+    const ddo = { centrisId: '21456789', url: 'https://www.centris.ca/fr/condos~a-vendre~dollard-des-ormeaux/21456789' };
+
+    assert.equal(registry.claim(montreal, 'Montreal'), true);
+    assert.equal(registry.claim(ddo, 'Dollard-des-Ormeaux'), false);
+    assert.equal(registry.claim(montreal, 'Montreal'), false);
+
+    assert.deepEqual(registry.matchedRegions(ddo), ['Montreal', 'Dollard-des-Ormeaux']);
+    assert.equal(registry.seenCount, 1);
+});
+
+test('claim falls back to the url for cards without an id', () => {
+    const registry = new ListingRegistry(10);
+    const card = { url: 'https://www.centris.ca/en/houses~for-sale~laval' };
+
+    assert.equal(registry.claim(card, 'Laval'), true);
+    assert.equal(registry.claim(card), false);
+    assert.deepEqual(registry.matchedRegions(card), ['Laval']);
+    assert.deepEqual(registry.matchedRegions({ centrisId: '99999999' }), []);
+});
+
+test('reserve enforces the cap across in-flight listings until slots are released', () => {
+    const registry = new ListingRegistry(2);
+
+    assert.equal(registry.reserve(), true);
+    assert.equal(registry.reserve(), true);
+    assert.equal(registry.hasCapacity(), false);
+    assert.equal(registry.reserve(), false);
+
+    registry.release();
+    assert.equal(registry.hasCapacity(), true);
+    assert.equal(registry.reserve(), true);
+    assert.equal(registry.reserve(), false);
+});
+
+test('claim collects the profiles that returned a listing', () => {
+    const registry = new ListingRegistry(10);
+    const card = { centrisId: '21456789' };
+
+    assert.equal(registry.claim(card, 'Montreal', 'condos'), true);
+    assert.equal(registry.claim(card, 'Montreal', 'investors'), false);
+    assert.equal(registry.claim(card, 'Montreal', 'condos'), false);
+    registry.claim({ centrisId: '15678901' }, 'Laval', 'investors');
+
+    assert.deepEqual(registry.matchedProfiles(card), ['condos', 'investors']);
+    assert.deepEqual(registry.profileCounts(), { condos: 1, investors: 2 });
+    assert.deepEqual(registry.matchedProfiles({ centrisId: '99999999' }), []);
+});
+
+test('takeFilteredOut reports a pre-filtered listing once', () => {
+    const registry = new ListingRegistry(10);
+    const card = { centrisId: '21456789' };
+
+    registry.claim(card, 'Montreal', 'condos');
+    assert.equal(registry.takeFilteredOut(card), false);
+    registry.markFilteredOut(card);
+    assert.equal(registry.takeFilteredOut(card), true);
+    assert.equal(registry.takeFilteredOut(card), false);
+});
+
+test('toJSON and restore carry the registry over a restart', () => {
+    const registry = new ListingRegistry(10);
+    registry.claim({ centrisId: '21456789' }, 'Montreal', 'condos');
+    registry.claim({ centrisId: '15678901' }, 'Laval');
+    registry.markFilteredOut({ centrisId: '15678901' });
+    registry.reserve();
+
+    const restored = new ListingRegistry(10);
+    restored.restore(JSON.parse(JSON.stringify(registry)));
+    assert.equal(restored.has('21456789'), true);
+    assert.deepEqual(restored.matchedProfiles({ centrisId: '21456789' }), ['condos']);
+    assert.equal(restored.takeFilteredOut({ centrisId: '15678901' }), true);
+    assert.equal(restored.reserved, 1);
+    assert.equal(restored.claim({ centrisId: '21456789' }, 'Montreal'), false);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { needsBrowser } from '../src/rendering.js';
+import { loadPage } from '../src/parsers/page.js';
+import { isListingAvailable, parseListingDetails } from '../src/parsers/listing.js';
+
+const fixture = (path) => readFileSync(new URL(`./fixtures/${path}`, import.meta.url), 'utf8');
+
+const CONDO_URL = 'https://www.centris.ca/fr/condo~a-vendre~montreal-ville-marie/21456789';
+const SEARCH_URL = 'https://www.centris.ca/fr/condos~a-vendre~montreal';
+
+const SHELL_HTML = `<!DOCTYPE html>
+<html lang="fr"><head><title>Centris</title></head>
+<body><div id="app"></div><noscript>Activez JavaScript</noscript></body></html>`;
+
+const NO_RESULTS_HTML = `<!DOCTYPE html>
+<html lang="fr"><body><main><div class="no-results">Aucune propriété ne correspond à vos critères.</div></main></body></html>`;
+
+test('needsBrowser accepts server-rendered listing and search pages', () => {
+    assert.equal(needsBrowser('listing', fixture('detail/fr-condo-ville-marie.html'), CONDO_URL), false);
+    assert.equal(needsBrowser('search', fixture('search/fr-montreal-condos.html'), SEARCH_URL), false);
+});
+
+test('needsBrowser hands over pages that JavaScript has yet to fill in', () => {
+    assert.equal(needsBrowser('listing', SHELL_HTML, CONDO_URL), true);
+    assert.equal(needsBrowser('search', SHELL_HTML, SEARCH_URL), true);
+});
+
+test('a listing page with only its title or its price is rendered', () => {
+    const page = (content) => `<!DOCTYPE html><html lang="fr"><body>${content}</body></html>`;
+    assert.equal(needsBrowser('listing', page('<h1 data-id="PageTitle">Condo à vendre</h1>'), CONDO_URL), false);
+    assert.equal(needsBrowser('listing', page('<span id="BuyPrice">549 000 $</span>'), CONDO_URL), false);
+    assert.equal(needsBrowser('listing', page('<h1 data-id="PageTitle"> </h1><span class="price"></span>'), CONDO_URL), true);
+});
+
+test('one loaded document serves the browser check and every parser after it', () => {
+    const html = fixture('detail/fr-condo-ville-marie.html');
+    const $ = loadPage(html);
+
+    assert.equal(needsBrowser('listing', html, CONDO_URL, $), false);
+    assert.equal(isListingAvailable($, CONDO_URL, '21456789'), true);
+    // Reading the details leaves the document as it was for the next parser
+    assert.deepEqual(parseListingDetails($, CONDO_URL), parseListingDetails(html, CONDO_URL));
+    assert.deepEqual(parseListingDetails($, CONDO_URL), parseListingDetails(html, CONDO_URL));
+});
+
+test('needsBrowser leaves empty searches and redirected listings to the usual handling', () => {
+    assert.equal(needsBrowser('search', NO_RESULTS_HTML, SEARCH_URL), false);
+    assert.equal(needsBrowser('listing', SHELL_HTML, 'https://www.centris.ca/fr'), false);
+});
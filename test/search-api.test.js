@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { CentrisSearchClient, buildSearchQuery, parseInscriptionsResponse, searchPriceRange, sortKey } from '../src/search-api.js';
+import { parseSearchResults } from '../src/parsers/search.js';
+
+const MONTREAL = { MatchType: 'GeographicArea', Text: 'Montréal (Île)', Id: 'RARA11' };
+
+function fieldValues(query, fieldId) {
+    return query.query.FieldsValues.filter((f) => f.fieldId === fieldId).map((f) => f.value);
+}
+
+test('buildSearchQuery sends region, price, rooms, types and features', () => {
+    const query = buildSearchQuery({
+        searchType: 'buy',
+        propertyTypes: ['condo', 'plex'],
+        minPrice: 300000,
+        maxPrice: 700000,
+        minBedrooms: 2,
+        features: ['pool', 'elevator', 'unknown']
+    }, MONTREAL);
+
+    assert.deepEqual(query.query.Filters, [MONTREAL]);
+    assert.deepEqual(fieldValues(query, 'SellingType'), ['Sale']);
+    assert.deepEqual(fieldValues(query, 'Category'), ['Residential']);
+    assert.deepEqual(fieldValues(query, 'PropertyType'), ['SellCondo', 'Plex']);
+    assert.deepEqual(fieldValues(query, 'SalePrice'), [300000, 700000]);
+    assert.deepEqual(fieldValues(query, 'Bedroom'), [2]);
+    assert.deepEqual(fieldValues(query, 'Bathroom'), []);
+    assert.deepEqual(fieldValues(query, 'Pool'), [true]);
+    assert.deepEqual(fieldValues(query, 'Elevator'), [true]);
+});
+
+test('buildSearchQuery accepts several geographies and a lot size range', () => {
+    const verdun = { MatchType: 'CityDistrict', Text: 'Montréal (Verdun/Île-des-Soeurs)', Id: 'CD123' };
+    const query = buildSearchQuery({ minLotSize: 4000 }, [MONTREAL, verdun]);
+
+    assert.deepEqual(query.query.Filters, [MONTREAL, verdun]);
+    const [min, max] = fieldValues(query, 'LandArea');
+    assert.equal(min, 4000);
+    assert.ok(max > 1e9);
+});
+
+test('buildSearchQuery uses rent price fields and an open upper bound', () => {
+    const query = buildSearchQuery({ searchType: 'rent' }, MONTREAL);
+
+    assert.deepEqual(fieldValues(query, 'SellingType'), ['Rent']);
+    assert.equal(fieldValues(query, 'SalePrice').length, 0);
+    const [min, max] = fieldValues(query, 'RentPrice');
+    assert.equal(min, 0);
+    assert.ok(max > 1e9);
+});
+
+test('buildSearchQuery caps the rent with maxRent only', () => {
+    const query = buildSearchQuery({ searchType: 'rent', minPrice: 300000, maxPrice: 800000, maxRent: 2000 }, MONTREAL);
+    assert.deepEqual(fieldValues(query, 'RentPrice'), [0, 2000]);
+
+    assert.deepEqual(searchPriceRange({ searchType: 'rent', maxPrice: 1800, maxRent: 2000 }), { min: 0, max: 2000 });
+    assert.deepEqual(searchPriceRange({ searchType: 'buy', minPrice: 300000, maxPrice: 500000, maxRent: 2000 }), { min: 300000, max: 500000 });
+});
+
+test('sortKey maps sortBy values and defaults to newest first', () => {
+    assert.equal(sortKey('price_asc'), 'PriceAsc');
+    assert.equal(sortKey('date_desc'), 'DateDesc');
+    assert.equal(sortKey(undefined), 'DateDesc');
+});
+
+test('parseInscriptionsResponse unwraps cards that the search parser can read', () => {
+    const body = JSON.parse(readFileSync(new URL('./fixtures/api/get-inscriptions-fr.json', import.meta.url), 'utf8'));
+    const page = parseInscriptionsResponse(body);
+
+    assert.equal(page.total, 1284);
+    assert.equal(page.pageSize, 20);
+
+    const listings = parseSearchResults(page.html, 'https://www.centris.ca/fr');
+    assert.deepEqual(listings.map((l) => l.centrisId), ['21456789', '13987654']);
+    assert.equal(listings[0].priceFormatted, '459 000 $');
+});
+
+test('parseInscriptionsResponse rejects unsuccessful responses', () => {
+    assert.throws(() => parseInscriptionsResponse({ d: { Succeeded: false } }), /unsuccessful/);
+    assert.throws(() => parseInscriptionsResponse(null), /unsuccessful/);
+});
+
+test('buildSearchQuery sends the bounds of a map-area search without geographies', () => {
+    const query = buildSearchQuery({}, [], { south: 45.49, west: -73.62, north: 45.55, east: -73.55 });
+    assert.deepEqual(query.query.Filters, []);
+    assert.deepEqual(query.query.MapBounds, {
+        SouthWest: { Lat: 45.49, Lng: -73.62 },
+        NorthEast: { Lat: 45.55, Lng: -73.55 }
+    });
+    assert.equal(buildSearchQuery({}, MONTREAL).query.MapBounds, undefined);
+});
+
+test('CentrisSearchClient.search pages through the results and resumes from a given page', async () => {
+    const client = new CentrisSearchClient();
+    const positions = [];
+    client.start = async () => {};
+    client.post = async (endpoint, body) => {
+        if (!endpoint.endsWith('GetInscriptions')) return {};
+        positions.push(body.startPosition);
+        return { d: { Succeeded: true, Result: { html: '<div></div>', count: 50, inscNumberPerPage: 20 } } };
+    };
+
+    const pages = [];
+    const onPage = async (html, pageNumber, next) => pages.push([pageNumber, next]);
+    assert.deepEqual(await client.search({}, [MONTREAL], { onPage }), { total: 50, next: null });
+    assert.deepEqual(positions, [0, 20, 40]);
+    assert.deepEqual(pages[0], [1, { pageNumber: 2, startPosition: 20 }]);
+
+    positions.length = 0;
+    pages.length = 0;
+    await client.search({}, [MONTREAL], { onPage, resumeFrom: { pageNumber: 3, startPosition: 40 } });
+    assert.deepEqual(positions, [40]);
+    assert.deepEqual(pages, [[3, { pageNumber: 4, startPosition: 60 }]]);
+});
+
+test('CentrisSearchClient.search stops when onPage says so and returns the unread page', async () => {
+    const client = new CentrisSearchClient();
+    const positions = [];
+    client.start = async () => {};
+    client.post = async (endpoint, body) => {
+        if (!endpoint.endsWith('GetInscriptions')) return {};
+        positions.push(body.startPosition);
+        return { d: { Succeeded: true, Result: { html: '<div></div>', count: 50, inscNumberPerPage: 20 } } };
+    };
+
+    const result = await client.search({}, [MONTREAL], { onPage: async (html, pageNumber) => pageNumber < 2 });
+    assert.deepEqual(positions, [0, 20]);
+    assert.deepEqual(result, { total: 50, next: { pageNumber: 3, startPosition: 40 } });
+});
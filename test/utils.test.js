@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    centrisIdFromUrl,
+    daysSince,
+    listingUrlFromId,
+    parseArea,
+    parseDate,
+    parseMeasurement,
+    parsePrice,
+    parseQuebecNumber
+} from '../src/utils.js';
+
+test('parsePrice reads currency formatting to whole dollars', () => {
+    assert.equal(parsePrice('459 000 $'), 459000);
+    assert.equal(parsePrice('$1,150,000'), 1150000);
+    assert.equal(parsePrice('1 234,56 $ /mois'), 1235);
+    assert.equal(parsePrice(''), null);
+});
+
+test('parseArea reads square feet and converts square metres', () => {
+    assert.equal(parseArea('850 pc'), 850);
+    assert.equal(parseArea('1,650 sqft'), 1650);
+    assert.equal(parseArea('12 500 pi²'), 12500);
+    assert.equal(parseArea('79 m²'), 850);
+    assert.equal(parseArea('Aucune'), null);
+});
+
+test('parseQuebecNumber reads French and English notation', () => {
+    assert.equal(parseQuebecNumber('1 250 000 $'), 1250000);
+    assert.equal(parseQuebecNumber('1\u00a0250\u00a0000\u00a0$'), 1250000);
+    assert.equal(parseQuebecNumber('12,5 m'), 12.5);
+    assert.equal(parseQuebecNumber('2 450,50 $'), 2450.5);
+    assert.equal(parseQuebecNumber('$1,250,000'), 1250000);
+    assert.equal(parseQuebecNumber('1,234.56'), 1234.56);
+    assert.equal(parseQuebecNumber('3 1/2'), 3);
+    assert.equal(parseQuebecNumber('Aucune'), null);
+});
+
+test('parseMeasurement keeps the unit as written', () => {
+    assert.deepEqual(parseMeasurement('79 m²'), { value: 79, unit: 'sqm' });
+    assert.deepEqual(parseMeasurement('12 500 pi²'), { value: 12500, unit: 'sqft' });
+    assert.deepEqual(parseMeasurement('1 650 sq. ft'), { value: 1650, unit: 'sqft' });
+    assert.deepEqual(parseMeasurement('12,5 m'), { value: 12.5, unit: 'm' });
+    assert.deepEqual(parseMeasurement('40 pi'), { value: 40, unit: 'ft' });
+    assert.deepEqual(parseMeasurement('5 pièces'), { value: 5, unit: null });
+});
+
+test('daysSince counts whole days and ignores bad dates', () => {
+    const now = new Date('2024-10-11T12:00:00Z');
+    assert.equal(daysSince('2024-10-01', now), 10);
+    assert.equal(daysSince('2024-10-12', now), 0);
+    assert.equal(daysSince('not a date', now), null);
+    assert.equal(daysSince(undefined, now), null);
+});
+
+test('centrisIdFromUrl reads the listing number at the end of the path', () => {
+    assert.equal(centrisIdFromUrl('https://www.centris.ca/fr/condo~a-vendre~montreal-ville-marie/21456789?view=Summary'), '21456789');
+    assert.equal(centrisIdFromUrl('https://www.centris.ca/en/property/1765432/'), '1765432');
+    assert.equal(centrisIdFromUrl('https://www.centris.ca/fr/propriete~a-vendre~montreal'), undefined);
+    assert.equal(centrisIdFromUrl(undefined), undefined);
+});
+
+test('listingUrlFromId builds the listing URL in the chosen language', () => {
+    assert.equal(listingUrlFromId('21456789', 'fr'), 'https://www.centris.ca/fr/propriete/21456789');
+    assert.equal(listingUrlFromId('21456789', 'en'), 'https://www.centris.ca/en/property/21456789');
+    assert.equal(listingUrlFromId('21456789', 'de'), 'https://www.centris.ca/fr/propriete/21456789');
+});
+
+test('parseDate reads ISO, French and English dates', () => {
+    assert.equal(parseDate('2024-12-01'), '2024-12-01');
+    assert.equal(parseDate('1er décembre 2024'), '2024-12-01');
+    assert.equal(parseDate('15 août 2025'), '2025-08-15');
+    assert.equal(parseDate('December 1, 2024'), '2024-12-01');
+    assert.equal(parseDate('Immédiatement'), null);
+    assert.equal(parseDate(undefined), null);
+});